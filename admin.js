@@ -6,15 +6,26 @@
 import AdminController from './adminController.js';
 import FixturesEngine from './fixturesEngine.js';
 import NewsEngine from './newsEngine.js';
+import DisciplineEngine from './disciplineEngine.js';
+import CalendarEngine from './calendarEngine.js';
 
 class AdminInterface {
     constructor() {
         this.adminController = new AdminController();
         this.fixturesEngine = new FixturesEngine();
         this.newsEngine = new NewsEngine();
+        this.disciplineEngine = new DisciplineEngine();
+        this.calendar = new CalendarEngine();
         this.currentSection = 'dashboard';
         this.currentMatchId = null;
+        this.currentMatchTeams = null;
+        this.currentSuspensions = [];
         this.currentNewsId = null;
+        this.fixturesPreview = null;
+        this.currentRescheduleId = null;
+        this.currentPlayoffMatchId = null;
+        this.currentPlayoffLeg = null;
+        this.currentPlayoffTeams = null;
         
         this.init();
     }
@@ -134,6 +145,24 @@ class AdminInterface {
         const actionMap = {
             'update_match_result': 'تحديث نتيجة مباراة',
             'update_match_status': 'تحديث حالة مباراة',
+            'record_forfeit': 'تسجيل انسحاب',
+            'add_point_deduction': 'خصم نقاط',
+            'remove_point_deduction': 'إلغاء خصم نقاط',
+            'record_draw_order': 'تسجيل نتيجة القرعة',
+            'generate_fixtures': 'توليد جدول المباريات',
+            'reschedule_match': 'إعادة جدولة مباراة',
+            'generate_playoffs': 'توليد قرعة الأدوار الإقصائية',
+            'lock_playoffs': 'اعتماد قرعة الأدوار الإقصائية',
+            'unlock_playoffs': 'إلغاء اعتماد قرعة الأدوار الإقصائية',
+            'update_playoff_result': 'تحديث نتيجة مباراة إقصائية',
+            'reseed_playoffs': 'إعادة توزيع مقاعد الأدوار الإقصائية',
+            'undo_playoff_change': 'التراجع عن تعديل في الأدوار الإقصائية',
+            'close_season': 'إغلاق الموسم وأرشفته',
+            'add_player': 'تسجيل لاعب جديد',
+            'update_player': 'تحديث بيانات لاعب',
+            'assign_player': 'نقل لاعب أو تغيير رقمه',
+            'release_player': 'إلغاء قيد لاعب',
+            'reset_tournament': 'إعادة ضبط البطولة',
             'create_news_article': 'إضافة خبر جديد',
             'update_news_article': 'تحديث خبر',
             'delete_news_article': 'حذف خبر',
@@ -172,9 +201,13 @@ class AdminInterface {
                         `<span class="score">${match.homeGoals} - ${match.awayGoals}</span>` :
                         '<span class="no-result">-</span>'
                     }
+                    ${match.forfeit ? '<span class="forfeit-badge">انسحاب</span>' : ''}
                 </div>
                 <div class="match-actions">
                     <button onclick="window.adminInterface.editMatch('${match.id}')" class="btn-edit">تحرير</button>
+                    ${match.status !== 'played' ? 
+                        `<button onclick="window.adminInterface.openReschedule('${match.id}')" class="btn-secondary">إعادة جدولة</button>` : ''
+                    }
                 </div>
             </div>
         `).join('');
@@ -192,9 +225,25 @@ class AdminInterface {
         document.getElementById('home-goals').value = match.homeGoals || '';
         document.getElementById('away-goals').value = match.awayGoals || '';
         document.getElementById('match-status').value = match.status;
-        document.getElementById('best-player').value = match.bestPlayer || '';
+        this.populateBestPlayerSelect(match);
         document.getElementById('postponement-reason').value = match.postponementReason || '';
 
+        // Populate events editor
+        this.currentMatchTeams = [match.homeTeamInfo, match.awayTeamInfo];
+        this.currentSuspensions = this.disciplineEngine.getSuspendedPlayersForMatch(matchId);
+        this.renderEventsEditor(match.events || []);
+
+        // Populate forfeit controls
+        const forfeitSelect = document.getElementById('forfeit-team');
+        forfeitSelect.innerHTML = `
+            <option value="">لا يوجد انسحاب</option>
+            <option value="${match.homeTeam}">انسحاب ${match.homeTeamInfo.name}</option>
+            <option value="${match.awayTeam}">انسحاب ${match.awayTeamInfo.name}</option>
+        `;
+        forfeitSelect.value = match.forfeit ? match.forfeit.teamId : '';
+        document.getElementById('forfeit-reason').value = match.forfeit ? match.forfeit.reason : '';
+        this.toggleForfeitReason(!!match.forfeit);
+
         // Show/hide postponement reason
         this.togglePostponementReason(match.status === 'postponed');
 
@@ -202,6 +251,20 @@ class AdminInterface {
         document.getElementById('match-modal').style.display = 'block';
     }
 
+    populateBestPlayerSelect(match) {
+        const select = document.getElementById('best-player');
+        const teamOptions = (team) => `
+            <optgroup label="${team.name}">
+                ${(team.squad || []).map(player => 
+                    `<option value="${player.playerId}">#${player.number} ${player.name}</option>`
+                ).join('')}
+            </optgroup>
+        `;
+
+        select.innerHTML = `<option value="">بدون</option>${teamOptions(match.homeTeamInfo)}${teamOptions(match.awayTeamInfo)}`;
+        select.value = match.bestPlayerId || '';
+    }
+
     async saveMatch() {
         if (!this.currentMatchId) return;
 
@@ -209,15 +272,36 @@ class AdminInterface {
             const homeGoals = document.getElementById('home-goals').value;
             const awayGoals = document.getElementById('away-goals').value;
             const status = document.getElementById('match-status').value;
-            const bestPlayer = document.getElementById('best-player').value;
+            const bestPlayerId = document.getElementById('best-player').value;
             const postponementReason = document.getElementById('postponement-reason').value;
+            const forfeitTeam = document.getElementById('forfeit-team').value;
+
+            // A forfeit sets the scoreline itself, so it replaces the normal result entry
+            if (forfeitTeam) {
+                const forfeitReason = document.getElementById('forfeit-reason').value.trim();
+                if (!forfeitReason) {
+                    this.showError('يجب إدخال سبب الانسحاب');
+                    return;
+                }
+
+                const forfeitResult = this.adminController.recordForfeit(this.currentMatchId, forfeitTeam, forfeitReason);
+                if (forfeitResult.success) {
+                    this.showSuccess('تم تسجيل الانسحاب بنجاح' + this.getSeedingWarning());
+                    this.closeModal();
+                    this.loadMatchesSection();
+                } else {
+                    this.showError(forfeitResult.error);
+                }
+                return;
+            }
 
             // Update match result if goals are provided
             if (homeGoals !== '' && awayGoals !== '') {
                 const resultData = {
                     homeGoals: parseInt(homeGoals),
                     awayGoals: parseInt(awayGoals),
-                    bestPlayer: bestPlayer || null
+                    bestPlayerId: bestPlayerId || null,
+                    events: this.collectEvents()
                 };
 
                 const resultResult = this.adminController.updateMatchResult(this.currentMatchId, resultData);
@@ -227,15 +311,18 @@ class AdminInterface {
                 }
             }
 
-            // Update match status
-            const statusResult = this.adminController.updateMatchStatus(
-                this.currentMatchId, 
-                status, 
-                status === 'postponed' ? postponementReason : null
-            );
+            // Update match status only if it changed (saving a result already marks the match as played)
+            const currentMatch = this.adminController.matchEngine.getMatch(this.currentMatchId);
+            const statusResult = currentMatch && currentMatch.status === status ?
+                { success: true } :
+                this.adminController.updateMatchStatus(
+                    this.currentMatchId, 
+                    status, 
+                    status === 'postponed' ? postponementReason : null
+                );
 
             if (statusResult.success) {
-                this.showSuccess('تم حفظ تغييرات المباراة بنجاح');
+                this.showSuccess('تم حفظ تغييرات المباراة بنجاح' + this.getSeedingWarning());
                 this.closeModal();
                 this.loadMatchesSection();
             } else {
@@ -248,6 +335,1077 @@ class AdminInterface {
         }
     }
 
+    getSeedingWarning() {
+        const check = this.adminController.playoffEngine.checkSeeding();
+        return check && check.seedingChanged ? 
+            ' - تنبيه: تغير ترتيب المتأهلين بعد توليد قرعة الأدوار الإقصائية، راجع قسم الأدوار الإقصائية' : '';
+    }
+
+    openReschedule(matchId) {
+        const match = this.fixturesEngine.getAllFixtures().find(m => m.id === matchId);
+        if (!match) return;
+
+        this.currentRescheduleId = matchId;
+
+        document.getElementById('reschedule-modal-title').textContent = 
+            `إعادة جدولة ${match.homeTeamInfo.name} × ${match.awayTeamInfo.name}`;
+        document.getElementById('reschedule-day').value = '';
+        document.getElementById('reschedule-time').value = match.scheduledTime;
+        document.getElementById('reschedule-reason').value = '';
+
+        const slots = this.adminController.matchEngine.getRescheduleSlots(matchId);
+        const slotsContainer = document.getElementById('reschedule-slots');
+        slotsContainer.innerHTML = slots.length > 0 ? slots.map(slot => `
+            <button type="button" class="btn-secondary btn-sm reschedule-slot" data-day="${slot.day}" data-time="${slot.scheduledTime}">
+                ${this.fixturesEngine.ramadanDays[slot.day] || `اليوم ${slot.day}`} - ${slot.scheduledTime}
+                ${slot.matchesThatNight > 0 ? `(${slot.matchesThatNight} مباراة في الليلة)` : ''}
+            </button>
+        `).join('') : '<p class="no-slots">لا توجد مواعيد متاحة قبل انطلاق النهائيات</p>';
+
+        const history = this.fixturesEngine.getRescheduleHistory(match);
+        document.getElementById('reschedule-history').innerHTML = history.length > 0 ? `
+            <h4>سجل تغيير الموعد</h4>
+            <ul>
+                ${history.map(move => `<li>من ${move.fromDayName} (${move.fromTime}) إلى ${move.toDayName} (${move.toTime})</li>`).join('')}
+            </ul>
+        ` : '';
+
+        document.getElementById('reschedule-modal').style.display = 'block';
+    }
+
+    saveReschedule() {
+        if (!this.currentRescheduleId) return;
+
+        try {
+            const day = document.getElementById('reschedule-day').value;
+            const time = document.getElementById('reschedule-time').value;
+            const reason = document.getElementById('reschedule-reason').value.trim();
+
+            if (!day || !time) {
+                this.showError('يجب تحديد اليوم والموعد الجديدين');
+                return;
+            }
+
+            const result = this.adminController.rescheduleMatch(this.currentRescheduleId, parseInt(day), time, reason || null);
+
+            if (result.success) {
+                this.showSuccess('تم نقل المباراة إلى الموعد الجديد');
+                this.closeModal();
+                this.loadMatchesSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error rescheduling match:', error);
+            this.showError('حدث خطأ في إعادة جدولة المباراة');
+        }
+    }
+
+    renderEventsEditor(events) {
+        const container = document.getElementById('match-events-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+        events.forEach(event => this.addEventRow(event));
+    }
+
+    addEventRow(event = null) {
+        const container = document.getElementById('match-events-list');
+        if (!container || !this.currentMatchTeams) return;
+
+        const [homeTeam, awayTeam] = this.currentMatchTeams;
+        const row = document.createElement('div');
+        row.className = 'event-row';
+
+        row.innerHTML = `
+            <select class="event-type">
+                <option value="goal">هدف</option>
+                <option value="penalty">ركلة جزاء</option>
+                <option value="own_goal">هدف عكسي</option>
+                <option value="yellow_card">بطاقة صفراء</option>
+                <option value="red_card">بطاقة حمراء</option>
+            </select>
+            <select class="event-team">
+                <option value="${homeTeam.id}">${homeTeam.name}</option>
+                <option value="${awayTeam.id}">${awayTeam.name}</option>
+            </select>
+            <select class="event-player"></select>
+            <input type="number" class="event-minute" min="1" max="120" placeholder="الدقيقة">
+            <select class="event-assist"></select>
+            <button type="button" class="btn-danger btn-sm remove-event">&times;</button>
+            <span class="suspension-warning" style="display: none;"></span>
+        `;
+
+        container.appendChild(row);
+
+        if (event) {
+            row.querySelector('.event-type').value = event.type;
+            row.querySelector('.event-team').value = event.team;
+            row.querySelector('.event-minute').value = event.minute;
+        }
+
+        this.updateEventRowPlayers(row, event);
+    }
+
+    updateEventRowPlayers(row, event = null) {
+        const teamId = row.querySelector('.event-team').value;
+        const type = row.querySelector('.event-type').value;
+        const team = this.currentMatchTeams.find(t => t.id === teamId);
+        const squad = team && team.squad ? team.squad : [];
+
+        const playerOptions = squad.map(player => 
+            `<option value="${player.number}">#${player.number} ${player.name.trim()}${
+                this.getPlayerSuspension(teamId, player.number) ? ' (موقوف)' : ''
+            }</option>`
+        ).join('');
+
+        const playerSelect = row.querySelector('.event-player');
+        const assistSelect = row.querySelector('.event-assist');
+        // Saved events point at registered players, whose shirt numbers may have changed since
+        const currentNumber = (playerId, number) => 
+            (playerId && squad.find(player => player.playerId === playerId)?.number) ?? number;
+        const selectedPlayer = event ? currentNumber(event.playerId, event.player) : playerSelect.value;
+        const selectedAssist = event ? currentNumber(event.assistId, event.assist) : assistSelect.value;
+
+        playerSelect.innerHTML = playerOptions;
+        assistSelect.innerHTML = `<option value="">بدون صناعة</option>${playerOptions}`;
+
+        if (selectedPlayer !== null && selectedPlayer !== '') {
+            playerSelect.value = selectedPlayer;
+        }
+        assistSelect.value = selectedAssist !== null && selectedAssist !== undefined ? selectedAssist : '';
+
+        // Only open-play goals can have an assist
+        assistSelect.disabled = type !== 'goal';
+        if (assistSelect.disabled) {
+            assistSelect.value = '';
+        }
+
+        this.flagSuspendedPlayer(row);
+    }
+
+    getPlayerSuspension(teamId, playerNumber) {
+        return this.currentSuspensions.find(suspension => 
+            suspension.teamId === teamId && suspension.playerNumber === playerNumber
+        ) || null;
+    }
+
+    flagSuspendedPlayer(row) {
+        const warning = row.querySelector('.suspension-warning');
+        const teamId = row.querySelector('.event-team').value;
+        const suspension = this.getPlayerSuspension(teamId, parseInt(row.querySelector('.event-player').value));
+
+        row.classList.toggle('suspended-player', !!suspension);
+        warning.style.display = suspension ? 'inline' : 'none';
+        warning.textContent = suspension ? 
+            `⚠️ ${suspension.playerName} موقوف في هذه المباراة (${suspension.reasonText})` : '';
+    }
+
+    collectEvents() {
+        return Array.from(document.querySelectorAll('#match-events-list .event-row')).map(row => ({
+            type: row.querySelector('.event-type').value,
+            team: row.querySelector('.event-team').value,
+            player: parseInt(row.querySelector('.event-player').value),
+            minute: parseInt(row.querySelector('.event-minute').value),
+            assist: row.querySelector('.event-assist').value !== '' ? 
+                parseInt(row.querySelector('.event-assist').value) : null
+        }));
+    }
+
+    loadSchedulerSection() {
+        const constraints = this.adminController.fixtureGenerator.getConstraints();
+
+        document.getElementById('generator-format').value = constraints.format;
+        document.getElementById('generator-matches-per-night').value = constraints.matchesPerNight;
+        document.getElementById('generator-start-day').value = constraints.startDay;
+        document.getElementById('generator-end-day').value = constraints.endDay;
+        document.getElementById('generator-blackout-days').value = constraints.blackoutDays.join(', ');
+        document.getElementById('generator-kickoff-times').value = constraints.kickoffTimes.join(', ');
+        document.getElementById('generator-avoid-back-to-back').checked = constraints.avoidBackToBack;
+    }
+
+    previewFixtures() {
+        try {
+            const splitList = (value) => value.split(',').map(item => item.trim()).filter(item => item);
+
+            const options = {
+                format: document.getElementById('generator-format').value,
+                matchesPerNight: document.getElementById('generator-matches-per-night').value,
+                startDay: document.getElementById('generator-start-day').value,
+                endDay: document.getElementById('generator-end-day').value,
+                blackoutDays: splitList(document.getElementById('generator-blackout-days').value),
+                kickoffTimes: splitList(document.getElementById('generator-kickoff-times').value),
+                avoidBackToBack: document.getElementById('generator-avoid-back-to-back').checked
+            };
+
+            const result = this.adminController.previewFixtures(options);
+            const commitButton = document.getElementById('commit-fixtures-btn');
+
+            if (result.success) {
+                this.fixturesPreview = result.preview;
+                this.displayFixturesPreview(result.preview);
+                commitButton.disabled = false;
+            } else {
+                this.fixturesPreview = null;
+                commitButton.disabled = true;
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error previewing fixtures:', error);
+            this.showError('حدث خطأ في توليد جدول المباريات');
+        }
+    }
+
+    displayFixturesPreview(preview) {
+        const container = document.getElementById('fixtures-preview');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="preview-summary">
+                <span>${preview.fixtures.length} مباراة</span>
+                <span>${preview.rounds} جولة</span>
+                <span>${preview.nightsUsed} ليلة (من اليوم ${preview.firstDay} إلى اليوم ${preview.lastDay})</span>
+            </div>
+            <div class="preview-balance">
+                ${preview.homeAwayBalance.map(team => `
+                    <span class="balance-item">${team.teamName}: ${team.home} أرض / ${team.away} خارج</span>
+                `).join('')}
+            </div>
+            ${preview.byes.length > 0 ? `
+                <div class="preview-byes">
+                    ${preview.byes.map(bye => `<span class="bye-item">الجولة ${bye.round}: راحة ${bye.teamName}</span>`).join('')}
+                </div>
+            ` : ''}
+            <div class="preview-fixtures">
+                ${preview.fixtures.map(fixture => `
+                    <div class="match-item">
+                        <div class="match-info">
+                            <div class="match-teams">
+                                <span class="home-team">${fixture.homeTeamName}</span>
+                                <span class="vs">×</span>
+                                <span class="away-team">${fixture.awayTeamName}</span>
+                            </div>
+                            <div class="match-details">
+                                <span class="match-day">${fixture.dayName}</span>
+                                <span class="match-time">${fixture.scheduledTime}</span>
+                                <span class="match-round">الجولة ${fixture.round}</span>
+                            </div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    commitFixtures() {
+        if (!this.fixturesPreview) return;
+
+        if (!confirm('سيتم استبدال جدول المباريات الحالي بالجدول الجديد. هل أنت متأكد؟')) {
+            return;
+        }
+
+        try {
+            const result = this.adminController.commitFixtures(this.fixturesPreview);
+
+            if (result.success) {
+                this.showSuccess(`تم اعتماد الجدول (${result.matches} مباراة)`);
+                this.fixturesPreview = null;
+                document.getElementById('commit-fixtures-btn').disabled = true;
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error committing fixtures:', error);
+            this.showError('حدث خطأ في اعتماد جدول المباريات');
+        }
+    }
+
+    loadPlayoffsSection() {
+        const playoffEngine = this.adminController.playoffEngine;
+        const bracket = playoffEngine.getPlayoffBracket();
+        const phase = playoffEngine.getTournamentPhase();
+        const eligibility = playoffEngine.validatePlayoffEligibility();
+        const locked = playoffEngine.isBracketLocked();
+
+        const startDayInput = document.getElementById('playoff-start-day');
+        if (startDayInput && !startDayInput.value) {
+            startDayInput.value = (bracket && playoffEngine.getAllPlayoffMatches(bracket)[0].day) || this.adminController.tournament.getPlayoffStartDay() || '';
+        }
+
+        document.getElementById('playoff-status').innerHTML = `
+            <div class="playoff-phase">${playoffEngine.getPhaseText(phase)}</div>
+            <div class="playoff-eligibility ${eligibility.eligible ? 'eligible' : 'not-eligible'}">
+                ${eligibility.eligible ? 
+                    `اكتمل ${eligibility.completionPercentage.toFixed(0)}% من مباريات الدور الأول` : 
+                    eligibility.reason}
+            </div>
+            ${bracket ? `
+                <div class="playoff-lock-state">
+                    ${locked ? 
+                        `القرعة معتمدة منذ ${new Date(bracket.metadata.lockedAt).toLocaleString('ar-SA')}` : 
+                        'القرعة غير معتمدة بعد - يمكن إعادة توليدها'}
+                </div>
+            ` : ''}
+        `;
+
+        document.getElementById('generate-playoffs-btn').disabled = locked;
+        document.getElementById('lock-playoffs-btn').disabled = !bracket || locked;
+        document.getElementById('unlock-playoffs-btn').disabled = !locked;
+
+        this.displaySeedingCheck(bracket);
+        this.displayPlayoffMatches(bracket, locked);
+        this.displayPlayoffHistory();
+    }
+
+    displaySeedingCheck(bracket) {
+        const container = document.getElementById('playoff-seeding-check');
+        if (!container) return;
+
+        const check = bracket ? this.adminController.playoffEngine.checkSeeding(bracket) : null;
+        if (!check || !check.stale) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'block';
+        container.innerHTML = `
+            <p class="seeding-warning">
+                ⚠️ ${check.resultsChanged ? 
+                    `تغيرت نتائج الدور الأول بعد توليد القرعة (${new Date(check.seededAt).toLocaleString('ar-SA')})` : 
+                    'الترتيب الحالي لا يطابق مقاعد القرعة'}
+            </p>
+            ${check.seedingChanged ? `
+                <table class="seeding-diff">
+                    <thead>
+                        <tr>
+                            <th>المقعد</th>
+                            <th>في القرعة</th>
+                            <th>حسب الترتيب الحالي</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${check.changes.map(change => `
+                            <tr>
+                                <td>${change.seed}</td>
+                                <td class="seed-previous">${change.previous.name}</td>
+                                <td class="seed-current">${change.current ? change.current.name : '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${check.qualifiedIn.length > 0 ? `<p>يتأهل الآن: ${check.qualifiedIn.map(team => team.name).join('، ')}</p>` : ''}
+                ${check.qualifiedOut.length > 0 ? `<p>يخرج من التأهل: ${check.qualifiedOut.map(team => team.name).join('، ')}</p>` : ''}
+            ` : '<p>لم يتغير ترتيب المتأهلين، ويمكن تحديث لقطة الترتيب المحفوظة مع القرعة</p>'}
+            <button type="button" onclick="window.adminInterface.reseedPlayoffs()" class="btn-primary">
+                ${check.seedingChanged ? 'إعادة توزيع المقاعد' : 'تحديث لقطة الترتيب'}
+            </button>
+        `;
+    }
+
+    reseedPlayoffs() {
+        if (!confirm('سيتم بناء القرعة من جديد حسب الترتيب الحالي مع الإبقاء على المواعيد وحالة الاعتماد. هل أنت متأكد؟')) {
+            return;
+        }
+
+        const result = this.adminController.reseedPlayoffBracket();
+
+        if (result.success) {
+            this.showSuccess(result.changes.length > 0 ? 
+                `تمت إعادة توزيع المقاعد (${result.changes.length} تغيير)` : 
+                'تم تحديث لقطة الترتيب دون تغيير المقاعد');
+            this.loadPlayoffsSection();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    displayPlayoffHistory() {
+        const container = document.getElementById('playoff-history');
+        if (!container) return;
+
+        const playoffEngine = this.adminController.playoffEngine;
+        const history = playoffEngine.getPlayoffHistory();
+
+        document.getElementById('undo-playoff-btn').disabled = history.length === 0;
+
+        if (history.length === 0) {
+            container.innerHTML = '<p class="no-preview">لا توجد تعديلات يمكن التراجع عنها</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <ul class="playoff-history-list">
+                ${history.slice().reverse().map((entry, index) => `
+                    <li class="${index === 0 ? 'latest' : ''}">
+                        <span class="history-action">${playoffEngine.getHistoryActionText(entry)}</span>
+                        <span class="history-time">${new Date(entry.timestamp).toLocaleString('ar-SA')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    undoPlayoffChange() {
+        const latest = this.adminController.playoffEngine.getPlayoffHistory().slice(-1)[0];
+        if (!latest) return;
+
+        if (!confirm(`سيتم التراجع عن: ${this.adminController.playoffEngine.getHistoryActionText(latest)}. هل أنت متأكد؟`)) {
+            return;
+        }
+
+        const result = this.adminController.undoPlayoffChange();
+
+        if (result.success) {
+            this.showSuccess('تم التراجع عن آخر تعديل');
+            this.loadPlayoffsSection();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    displayPlayoffMatches(bracket, locked) {
+        const container = document.getElementById('playoff-matches');
+        if (!container) return;
+
+        if (!bracket) {
+            container.innerHTML = '<p class="no-preview">لم يتم توليد القرعة بعد</p>';
+            return;
+        }
+
+        const playoffEngine = this.adminController.playoffEngine;
+
+        // Two-legged ties are listed leg by leg; the aggregate shows on the second leg
+        const rows = playoffEngine.getAllPlayoffMatches(bracket).flatMap(match => 
+            match.twoLegged ? playoffEngine.getMatchLegs(match) : [match]
+        );
+
+        container.innerHTML = rows.map(match => `
+            <div class="match-item">
+                <div class="match-info">
+                    <div class="match-teams">
+                        <span class="home-team">${match.homeTeam ? match.homeTeam.name : 'يحدد لاحقاً'}</span>
+                        <span class="vs">×</span>
+                        <span class="away-team">${match.awayTeam ? match.awayTeam.name : 'يحدد لاحقاً'}</span>
+                    </div>
+                    <div class="match-details">
+                        <span class="match-round">${match.matchName}</span>
+                        ${match.day ? `<span class="match-day">اليوم ${match.day} رمضان - ${this.calendar.formatDate(match.day)}</span>` : ''}
+                        ${match.scheduledTime ? `<span class="match-time">${match.scheduledTime}</span>` : ''}
+                    </div>
+                </div>
+                <div class="match-result">
+                    ${match.leg === 1 && match.status === 'completed' ? 
+                        `<span class="score">${match.homeGoals} - ${match.awayGoals}</span>` :
+                        match.status === 'completed' && match.winner ? 
+                        `<span class="score">${playoffEngine.getResultText(match)}</span>
+                         <span class="playoff-winner">الفائز: ${match.winner.name}</span>` :
+                        '<span class="no-result">-</span>'
+                    }
+                </div>
+                <div class="match-actions">
+                    ${locked && match.homeTeam && match.awayTeam ? 
+                        `<button onclick="window.adminInterface.editPlayoffMatch('${match.id}'${match.leg ? `, ${match.leg}` : ''})" class="btn-edit">إدخال النتيجة</button>` : ''
+                    }
+                </div>
+            </div>
+        `).join('');
+    }
+
+    generatePlayoffs() {
+        const bracket = this.adminController.playoffEngine.getPlayoffBracket();
+        if (bracket && !confirm('سيتم استبدال القرعة الحالية بقرعة جديدة من الترتيب الحالي. هل أنت متأكد؟')) {
+            return;
+        }
+
+        try {
+            const result = this.adminController.generatePlayoffBracket({
+                startDay: document.getElementById('playoff-start-day').value,
+                kickoffTime: document.getElementById('playoff-kickoff-time').value
+            });
+
+            if (result.success) {
+                this.showSuccess('تم توليد قرعة الأدوار الإقصائية');
+                this.loadPlayoffsSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error generating playoffs:', error);
+            this.showError('حدث خطأ في توليد قرعة الأدوار الإقصائية');
+        }
+    }
+
+    lockPlayoffs() {
+        if (!confirm('بعد اعتماد القرعة لن يمكن إعادة توليدها. هل أنت متأكد؟')) {
+            return;
+        }
+
+        const result = this.adminController.lockPlayoffBracket();
+
+        if (result.success) {
+            this.showSuccess('تم اعتماد القرعة');
+            this.loadPlayoffsSection();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    unlockPlayoffs() {
+        const result = this.adminController.unlockPlayoffBracket();
+
+        if (result.success) {
+            this.showSuccess('تم إلغاء اعتماد القرعة');
+            this.loadPlayoffsSection();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
+    editPlayoffMatch(matchId, leg = null) {
+        const playoffEngine = this.adminController.playoffEngine;
+        const tie = playoffEngine.getPlayoffMatch(matchId);
+        if (!tie || !tie.homeTeam || !tie.awayTeam) return;
+
+        // For two-legged ties the form is filled from the host's side of the chosen leg
+        const match = leg ? playoffEngine.getMatchLegs(tie)[leg - 1] : tie;
+
+        this.currentPlayoffMatchId = matchId;
+        this.currentPlayoffLeg = leg;
+
+        const completed = match.status === 'completed';
+        const value = (number) => number === null || number === undefined ? '' : number;
+        const legNote = document.getElementById('playoff-leg-note');
+
+        document.getElementById('playoff-modal-title').textContent = 
+            `${match.matchName}: ${match.homeTeam.name} × ${match.awayTeam.name}`;
+        document.getElementById('playoff-home-label').textContent = `أهداف ${match.homeTeam.name}:`;
+        document.getElementById('playoff-away-label').textContent = `أهداف ${match.awayTeam.name}:`;
+        document.getElementById('playoff-home-goals').value = completed ? match.homeGoals : '';
+        document.getElementById('playoff-away-goals').value = completed ? match.awayGoals : '';
+        document.getElementById('playoff-has-extra-time').checked = !!match.extraTime;
+        document.getElementById('playoff-et-home').value = value(match.extraTime?.homeGoals);
+        document.getElementById('playoff-et-away').value = value(match.extraTime?.awayGoals);
+        document.getElementById('playoff-has-penalties').checked = !!match.penalties;
+        this.renderShootoutEditor(match, match.penalties?.kicks || []);
+        document.getElementById('playoff-extras').style.display = leg === 1 ? 'none' : 'block';
+        legNote.style.display = leg ? 'block' : 'none';
+        legNote.textContent = leg === 1 ? 
+            'مباراة الذهاب - لا أشواط إضافية ولا ركلات ترجيح' : 
+            'مباراة الإياب - الأشواط الإضافية وركلات الترجيح فقط عند تعادل مجموع المباراتين';
+        this.togglePlayoffExtras();
+
+        document.getElementById('playoff-modal').style.display = 'block';
+    }
+
+    savePlayoffResult() {
+        if (!this.currentPlayoffMatchId) return;
+
+        try {
+            const hasExtraTime = document.getElementById('playoff-has-extra-time').checked;
+            const hasPenalties = document.getElementById('playoff-has-penalties').checked;
+
+            const result = this.adminController.recordPlayoffResult(this.currentPlayoffMatchId, {
+                leg: this.currentPlayoffLeg,
+                homeGoals: document.getElementById('playoff-home-goals').value,
+                awayGoals: document.getElementById('playoff-away-goals').value,
+                extraTime: hasExtraTime ? {
+                    homeGoals: document.getElementById('playoff-et-home').value,
+                    awayGoals: document.getElementById('playoff-et-away').value
+                } : null,
+                penalties: hasPenalties ? {
+                    kicks: this.collectKicks()
+                } : null
+            });
+
+            if (result.success) {
+                this.showSuccess('تم حفظ نتيجة المباراة');
+                this.closeModal();
+                this.loadPlayoffsSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error saving playoff result:', error);
+            this.showError('حدث خطأ في حفظ نتيجة المباراة');
+        }
+    }
+
+    togglePlayoffExtras() {
+        document.getElementById('playoff-extra-time-group').style.display = 
+            document.getElementById('playoff-has-extra-time').checked ? 'flex' : 'none';
+        document.getElementById('playoff-penalties-group').style.display = 
+            document.getElementById('playoff-has-penalties').checked ? 'block' : 'none';
+    }
+
+    renderShootoutEditor(match, kicks) {
+        const container = document.getElementById('playoff-kicks-list');
+        if (!container) return;
+
+        // Kicks are listed with the leg's host first, like the score fields
+        const teamsData = this.adminController.storage.load(this.adminController.storage.keys.TEAMS);
+        this.currentPlayoffTeams = [match.homeTeam, match.awayTeam].map(team => 
+            teamsData?.teams.find(t => t.id === team.id) || { id: team.id, name: team.name, squad: [] }
+        );
+
+        container.innerHTML = '';
+        kicks.forEach(kick => this.addKickRow(kick));
+        this.updateShootoutTally();
+    }
+
+    addKickRow(kick = null) {
+        const container = document.getElementById('playoff-kicks-list');
+        if (!container || !this.currentPlayoffTeams) return;
+
+        const [homeTeam, awayTeam] = this.currentPlayoffTeams;
+        const rows = container.querySelectorAll('.kick-row');
+        const row = document.createElement('div');
+        row.className = 'kick-row';
+
+        row.innerHTML = `
+            <span class="kick-order">${rows.length + 1}</span>
+            <select class="kick-team">
+                <option value="${homeTeam.id}">${homeTeam.name}</option>
+                <option value="${awayTeam.id}">${awayTeam.name}</option>
+            </select>
+            <select class="kick-player"></select>
+            <select class="kick-outcome">
+                <option value="scored">سجل</option>
+                <option value="missed">أهدر</option>
+                <option value="saved">تصدى لها الحارس</option>
+            </select>
+            <button type="button" class="btn-danger btn-sm remove-kick">&times;</button>
+        `;
+
+        container.appendChild(row);
+
+        // Teams kick alternately, so a new kick goes to the other team by default
+        const lastTeam = rows.length > 0 ? rows[rows.length - 1].querySelector('.kick-team').value : awayTeam.id;
+        row.querySelector('.kick-team').value = kick ? kick.team : 
+            (lastTeam === homeTeam.id ? awayTeam.id : homeTeam.id);
+        if (kick) {
+            row.querySelector('.kick-outcome').value = kick.outcome;
+        }
+
+        this.updateKickRowPlayers(row, kick);
+        this.updateShootoutTally();
+    }
+
+    updateKickRowPlayers(row, kick = null) {
+        const teamId = row.querySelector('.kick-team').value;
+        const team = this.currentPlayoffTeams.find(t => t.id === teamId);
+        const squad = team && team.squad ? team.squad : [];
+        const playerSelect = row.querySelector('.kick-player');
+
+        playerSelect.innerHTML = squad.map(player => 
+            `<option value="${player.number}">#${player.number} ${player.name.trim()}</option>`
+        ).join('');
+
+        if (kick) {
+            playerSelect.value = kick.player;
+        }
+    }
+
+    collectKicks() {
+        return Array.from(document.querySelectorAll('#playoff-kicks-list .kick-row')).map(row => ({
+            team: row.querySelector('.kick-team').value,
+            player: parseInt(row.querySelector('.kick-player').value),
+            outcome: row.querySelector('.kick-outcome').value
+        }));
+    }
+
+    updateShootoutTally() {
+        const tally = document.getElementById('playoff-shootout-tally');
+        if (!tally || !this.currentPlayoffTeams) return;
+
+        const kicks = this.collectKicks();
+        document.querySelectorAll('#playoff-kicks-list .kick-order').forEach((order, index) => {
+            order.textContent = index + 1;
+        });
+
+        if (kicks.length === 0) {
+            tally.textContent = '';
+            return;
+        }
+
+        const [homeTeam, awayTeam] = this.currentPlayoffTeams;
+        const scored = (teamId) => kicks.filter(kick => kick.team === teamId && kick.outcome === 'scored').length;
+        const shootout = this.adminController.playoffEngine.validateShootout(
+            { homeTeam: homeTeam, awayTeam: awayTeam }, kicks
+        );
+
+        tally.textContent = `${homeTeam.name} ${scored(homeTeam.id)} - ${scored(awayTeam.id)} ${awayTeam.name}` + 
+            (shootout.valid ? ` - الفائز: ${shootout.winner === homeTeam.id ? homeTeam.name : awayTeam.name}` : '');
+    }
+
+    loadPlayersSection() {
+        const registry = this.adminController.playerRegistry;
+        const teamsData = this.adminController.storage.load(this.adminController.storage.keys.TEAMS);
+        const teamOptions = (teamsData?.teams || []).map(team => 
+            `<option value="${team.id}">${team.name}</option>`
+        ).join('');
+
+        document.getElementById('players-season').textContent = registry.getCurrentSeason();
+        document.getElementById('player-team').innerHTML = teamOptions;
+        document.getElementById('player-position').innerHTML = registry.validPositions.map(position => 
+            `<option value="${position}">${position}</option>`
+        ).join('');
+
+        const filter = document.getElementById('players-team-filter');
+        const selectedTeam = filter.value || teamsData?.teams[0]?.id || '';
+        filter.innerHTML = `${teamOptions}<option value="unassigned">بدون فريق هذا الموسم</option>`;
+        filter.value = selectedTeam;
+
+        this.displayRegistryChecks();
+        this.displayPlayersList();
+    }
+
+    displayRegistryChecks() {
+        const container = document.getElementById('registry-checks');
+        if (!container) return;
+
+        const registry = this.adminController.playerRegistry;
+        const data = registry.getRegistry();
+        const duplicates = registry.findDuplicateNumbers(data);
+        const unresolved = data.migration?.unresolvedBestPlayers || [];
+        const teamsData = this.adminController.storage.load(this.adminController.storage.keys.TEAMS);
+        const teamName = (teamId) => teamsData?.teams.find(team => team.id === teamId)?.name || teamId;
+
+        container.innerHTML = `
+            <p>${data.players.length} لاعب مسجل</p>
+            ${duplicates.length > 0 ? `
+                <ul class="registry-issues">
+                    ${duplicates.map(duplicate => `
+                        <li>الرقم ${duplicate.number} مكرر في ${teamName(duplicate.teamId)} (${duplicate.season}): 
+                            ${duplicate.players.map(player => player.name).join('، ')}</li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="registry-ok">لا توجد أرقام قمصان مكررة</p>'}
+            ${unresolved.length > 0 ? `
+                <p class="form-note">أسماء أفضل لاعب لم يتم ربطها بلاعب مسجل أثناء الترحيل:</p>
+                <ul class="registry-issues">
+                    ${unresolved.map(entry => `
+                        <li>${entry.name} - <button class="btn-edit" onclick="window.adminInterface.editMatch('${entry.matchId}')">تحرير المباراة</button></li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    displayPlayersList() {
+        const container = document.getElementById('players-list');
+        if (!container) return;
+
+        const registry = this.adminController.playerRegistry;
+        const teamId = document.getElementById('players-team-filter').value;
+        const teamsData = this.adminController.storage.load(this.adminController.storage.keys.TEAMS);
+
+        const players = teamId === 'unassigned' ?
+            registry.getPlayers().filter(player => !registry.getAssignment(player)).map(player => ({ 
+                playerId: player.id, name: player.name, position: player.position, number: '' 
+            })) :
+            registry.getSquad(teamId);
+
+        if (players.length === 0) {
+            container.innerHTML = '<p class="no-preview">لا يوجد لاعبون</p>';
+            return;
+        }
+
+        container.innerHTML = players.map(player => `
+            <div class="player-row" data-player-id="${player.playerId}">
+                <span class="player-id">${player.playerId}</span>
+                <input type="text" class="player-row-name" value="${player.name}">
+                <select class="player-row-position">
+                    ${registry.validPositions.map(position => 
+                        `<option value="${position}" ${position === player.position ? 'selected' : ''}>${position}</option>`
+                    ).join('')}
+                </select>
+                <select class="player-row-team">
+                    <option value="">بدون فريق</option>
+                    ${(teamsData?.teams || []).map(team => 
+                        `<option value="${team.id}" ${team.id === teamId ? 'selected' : ''}>${team.name}</option>`
+                    ).join('')}
+                </select>
+                <input type="number" class="player-row-number" min="1" max="99" value="${player.number}">
+                <button class="btn-primary btn-sm save-player">حفظ</button>
+            </div>
+        `).join('');
+    }
+
+    savePlayer() {
+        try {
+            const playerData = {
+                name: document.getElementById('player-name').value.trim(),
+                position: document.getElementById('player-position').value,
+                teamId: document.getElementById('player-team').value,
+                number: parseInt(document.getElementById('player-number').value)
+            };
+
+            if (!playerData.name || !playerData.teamId || isNaN(playerData.number)) {
+                this.showError('يجب إدخال اسم اللاعب والفريق ورقم القميص');
+                return;
+            }
+
+            const result = this.adminController.addPlayer(playerData);
+
+            if (result.success) {
+                this.showSuccess(`تم تسجيل ${result.player.name} برقم تعريف ${result.player.id}`);
+                document.getElementById('player-form').reset();
+                this.loadPlayersSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error saving player:', error);
+            this.showError('حدث خطأ في تسجيل اللاعب');
+        }
+    }
+
+    savePlayerRow(row) {
+        try {
+            const registry = this.adminController.playerRegistry;
+            const playerId = row.dataset.playerId;
+            const player = registry.getPlayer(playerId);
+            if (!player) return;
+
+            const name = row.querySelector('.player-row-name').value.trim();
+            const position = row.querySelector('.player-row-position').value;
+            const teamId = row.querySelector('.player-row-team').value;
+            const number = parseInt(row.querySelector('.player-row-number').value);
+            const assignment = registry.getAssignment(player);
+
+            if (teamId && isNaN(number)) {
+                this.showError('يجب إدخال رقم القميص');
+                return;
+            }
+
+            if (!teamId && assignment && !confirm(`سيتم إلغاء قيد ${player.name} من فريقه لهذا الموسم. هل أنت متأكد؟`)) {
+                return;
+            }
+
+            if (name !== player.name || position !== player.position) {
+                const updateResult = this.adminController.updatePlayer(playerId, { name, position });
+                if (!updateResult.success) {
+                    this.showError(updateResult.error);
+                    return;
+                }
+            }
+
+            if ((assignment?.teamId || '') !== teamId || (teamId && assignment?.number !== number)) {
+                const assignResult = this.adminController.assignPlayer(playerId, teamId, number);
+                if (!assignResult.success) {
+                    this.showError(assignResult.error);
+                    return;
+                }
+            }
+
+            this.showSuccess('تم حفظ بيانات اللاعب');
+            this.loadPlayersSection();
+        } catch (error) {
+            console.error('Error saving player row:', error);
+            this.showError('حدث خطأ في حفظ بيانات اللاعب');
+        }
+    }
+
+    loadSeasonsSection() {
+        const archiveEngine = this.adminController.archiveEngine;
+        const check = archiveEngine.canCloseSeason();
+        const configData = this.adminController.storage.load(this.adminController.storage.keys.CONFIG);
+
+        document.getElementById('season-close-status').innerHTML = `
+            <div class="playoff-phase">الموسم الحالي: ${configData?.tournament?.season || '-'}</div>
+            <div class="playoff-eligibility ${check.valid ? 'eligible' : 'not-eligible'}">
+                ${check.valid ? 'انتهى الموسم ويمكن أرشفته' : check.error}
+            </div>
+        `;
+        document.getElementById('close-season-btn').disabled = !check.valid;
+
+        const seasons = archiveEngine.getArchivedSeasons();
+        document.getElementById('archived-seasons-list').innerHTML = seasons.length > 0 ? `
+            <ul class="playoff-history-list">
+                ${seasons.map(season => `
+                    <li>
+                        <span class="history-action">${season.season}${season.champion ? ` - البطل: ${season.champion.name}` : ''}</span>
+                        <span class="history-time">${new Date(season.closedAt).toLocaleDateString('ar-SA')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '<p class="no-preview">لا توجد مواسم مؤرشفة بعد</p>';
+    }
+
+    closeSeason() {
+        const newSeasonName = document.getElementById('new-season-name').value.trim();
+        if (!newSeasonName) return;
+
+        if (!confirm(`سيتم أرشفة الموسم الحالي وبدء موسم "${newSeasonName}" بدون مباريات أو أخبار. لا يمكن التراجع عن ذلك. هل أنت متأكد؟`)) {
+            return;
+        }
+
+        try {
+            const result = this.adminController.closeSeason(newSeasonName);
+
+            if (result.success) {
+                this.showSuccess(`تمت أرشفة ${result.season.season} وبدء ${result.newSeason} - يمكنك الآن توليد جدول المباريات`);
+                document.getElementById('close-season-form').reset();
+                this.loadSeasonsSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error closing season:', error);
+            this.showError('حدث خطأ في إغلاق الموسم');
+        }
+    }
+
+    loadSanctionsSection() {
+        const teamSelect = document.getElementById('deduction-team');
+        if (teamSelect) {
+            const teamsData = this.adminController.storage.load(this.adminController.storage.keys.TEAMS);
+            teamSelect.innerHTML = (teamsData?.teams || []).map(team => 
+                `<option value="${team.id}">${team.name}</option>`
+            ).join('');
+        }
+
+        this.displayAdjustments(this.adminController.standingsCalculator.getStandingsAdjustments());
+
+        const standings = this.adminController.standingsCalculator.calculateStandings();
+        this.displayPendingDraws(this.adminController.rankingPolicy.getPendingDraws(standings));
+    }
+
+    displayPendingDraws(groups) {
+        const container = document.getElementById('draws-container');
+        if (!container) return;
+
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="no-adjustments">لا يوجد تعادل ينتظر القرعة</p>';
+            return;
+        }
+
+        // Each select starts on the current provisional order
+        container.innerHTML = groups.map(group => `
+            <div class="adjustment-item draw-group">
+                <div class="adjustment-info">
+                    <strong>تعادل تام بين ${group.teams.map(team => team.teamName).join('، ')}</strong>
+                    ${group.teams.map((current, index) => `
+                        <div class="form-group">
+                            <label>المسحوب ${index + 1}:</label>
+                            <select class="draw-position">
+                                ${group.teams.map(team => `
+                                    <option value="${team.teamId}" ${team.teamId === current.teamId ? 'selected' : ''}>${team.teamName}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="adjustment-actions">
+                    <button class="btn-primary record-draw">اعتماد نتيجة القرعة</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    saveDrawOrder(groupElement) {
+        try {
+            const teamIds = [...groupElement.querySelectorAll('.draw-position')].map(select => select.value);
+
+            if (new Set(teamIds).size !== teamIds.length) {
+                this.showError('يجب اختيار فريق مختلف في كل مركز');
+                return;
+            }
+
+            const result = this.adminController.recordDrawOrder(teamIds);
+
+            if (result.success) {
+                this.showSuccess('تم تسجيل نتيجة القرعة');
+                this.loadSanctionsSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error saving draw order:', error);
+            this.showError('حدث خطأ في تسجيل نتيجة القرعة');
+        }
+    }
+
+    displayAdjustments(adjustments) {
+        const container = document.getElementById('adjustments-container');
+        if (!container) return;
+
+        if (adjustments.length === 0) {
+            container.innerHTML = '<p class="no-adjustments">لا توجد انسحابات أو خصومات مسجلة</p>';
+            return;
+        }
+
+        container.innerHTML = adjustments.map(adjustment => adjustment.type === 'forfeit' ? `
+            <div class="adjustment-item forfeit">
+                <div class="adjustment-info">
+                    <strong>انسحاب ${adjustment.teamName}</strong>
+                    <span>أمام ${adjustment.opponentName} - اليوم ${adjustment.day} (${adjustment.homeGoals} - ${adjustment.awayGoals})</span>
+                    <span class="adjustment-reason">${adjustment.reason}</span>
+                </div>
+                <div class="adjustment-actions">
+                    <button onclick="window.adminInterface.editMatch('${adjustment.id}')" class="btn-edit">تحرير المباراة</button>
+                </div>
+            </div>
+        ` : `
+            <div class="adjustment-item deduction">
+                <div class="adjustment-info">
+                    <strong>خصم ${adjustment.points} نقطة من ${adjustment.teamName}</strong>
+                    <span>${new Date(adjustment.createdAt).toLocaleDateString('ar-SA')}</span>
+                    <span class="adjustment-reason">${adjustment.reason}</span>
+                </div>
+                <div class="adjustment-actions">
+                    <button class="btn-danger remove-deduction" data-deduction-id="${adjustment.id}">إلغاء الخصم</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    saveDeduction() {
+        try {
+            const teamId = document.getElementById('deduction-team').value;
+            const points = parseInt(document.getElementById('deduction-points').value);
+            const reason = document.getElementById('deduction-reason').value.trim();
+
+            if (!teamId || isNaN(points) || points <= 0 || !reason) {
+                this.showError('يجب اختيار الفريق وإدخال عدد النقاط والسبب');
+                return;
+            }
+
+            const result = this.adminController.addPointDeduction(teamId, points, reason);
+
+            if (result.success) {
+                this.showSuccess('تم خصم النقاط بنجاح');
+                document.getElementById('deduction-form').reset();
+                this.loadSanctionsSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error saving deduction:', error);
+            this.showError('حدث خطأ في خصم النقاط');
+        }
+    }
+
+    removeDeduction(deductionId) {
+        if (!confirm('هل أنت متأكد من إلغاء خصم النقاط؟')) {
+            return;
+        }
+
+        try {
+            const result = this.adminController.removePointDeduction(deductionId);
+
+            if (result.success) {
+                this.showSuccess('تم إلغاء خصم النقاط');
+                this.loadSanctionsSection();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error removing deduction:', error);
+            this.showError('حدث خطأ في إلغاء خصم النقاط');
+        }
+    }
+
     loadNewsSection() {
         const articles = this.newsEngine.getAllArticles({ publishedOnly: false });
         this.displayNews(articles);
@@ -495,6 +1653,120 @@ class AdminInterface {
         }
     }
 
+    getResetOptions() {
+        return {
+            mode: document.querySelector('input[name="reset-mode"]:checked')?.value,
+            day: document.getElementById('reset-day').value
+        };
+    }
+
+    updateResetPreview() {
+        const container = document.getElementById('reset-preview');
+        if (!container) return;
+
+        const options = this.getResetOptions();
+        document.getElementById('reset-day-group').style.display = options.mode === 'matchday' ? 'block' : 'none';
+
+        const plan = this.adminController.tournament.planReset(options);
+        document.getElementById('reset-btn').disabled = !plan.valid;
+
+        if (!plan.valid) {
+            container.innerHTML = `<div class="playoff-eligibility not-eligible">${options.mode === 'matchday' && !options.day ? 'اختر اليوم الذي تريد الرجوع إليه' : plan.error}</div>`;
+            return;
+        }
+
+        const changes = [];
+        if (plan.mode === 'everything') {
+            changes.push(`حذف ${plan.removedMatches.length} مباراة من الجدول`);
+            changes.push(`حذف ${plan.removedDeductions} خصم نقاط`);
+        } else {
+            changes.push(`مسح نتائج ${plan.clearedMatches.length} مباراة`);
+        }
+        if (plan.removesPlayoffs) {
+            changes.push('حذف شجرة الأدوار الإقصائية ونتائجها');
+        }
+
+        container.innerHTML = `
+            <ul class="reset-changes">
+                ${changes.map(change => `<li>${change}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    resetTournament() {
+        const options = this.getResetOptions();
+        const confirmText = {
+            results: 'سيتم مسح جميع نتائج المباريات.',
+            matchday: `سيتم مسح نتائج المباريات بعد اليوم ${options.day}.`,
+            everything: 'سيتم حذف جميع المباريات والنتائج وخصم النقاط.'
+        };
+
+        if (!confirm(`${confirmText[options.mode]} ستُحفظ نسخة احتياطية تلقائية أولاً. هل أنت متأكد؟`)) {
+            return;
+        }
+
+        try {
+            const result = this.adminController.resetTournament(options);
+
+            if (result.success) {
+                this.showSuccess('تمت إعادة ضبط البطولة وحُفظت نسخة احتياطية تلقائية');
+                this.loadDashboardData();
+                this.updateResetPreview();
+                this.displayAutoBackups();
+            } else {
+                this.showError(result.error);
+            }
+        } catch (error) {
+            console.error('Error resetting tournament:', error);
+            this.showError('حدث خطأ في إعادة ضبط البطولة');
+        }
+    }
+
+    displayAutoBackups() {
+        const container = document.getElementById('auto-backups-list');
+        if (!container) return;
+
+        const backups = this.adminController.getAutoBackups();
+        if (backups.length === 0) {
+            container.innerHTML = '<p class="no-preview">لا توجد نسخ احتياطية تلقائية</p>';
+            return;
+        }
+
+        const reasonText = {
+            reset_results: 'قبل مسح النتائج',
+            reset_matchday: 'قبل الرجوع إلى يوم سابق',
+            reset_everything: 'قبل مسح كل شيء'
+        };
+
+        container.innerHTML = `
+            <ul class="playoff-history-list">
+                ${backups.map(backup => `
+                    <li>
+                        <span class="history-action">${reasonText[backup.reason] || backup.reason}</span>
+                        <span class="history-time">${new Date(backup.timestamp).toLocaleString('ar-SA')}</span>
+                        <button type="button" onclick="window.adminInterface.restoreAutoBackup('${backup.id}')" class="btn-secondary">استعادة</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    restoreAutoBackup(backupId) {
+        if (!confirm('سيتم استبدال البيانات الحالية بهذه النسخة الاحتياطية. هل أنت متأكد؟')) {
+            return;
+        }
+
+        const result = this.adminController.restoreAutoBackup(backupId);
+
+        if (result.success) {
+            this.showSuccess('تم استعادة النسخة الاحتياطية بنجاح');
+            this.loadDashboardData();
+            this.updateResetPreview();
+        } else {
+            this.showError(result.error);
+        }
+    }
+
     loadLogsSection() {
         const logs = this.adminController.getRecentAdminActions(50);
         this.displayLogs(logs);
@@ -574,6 +1846,143 @@ class AdminInterface {
             this.togglePostponementReason(e.target.value === 'postponed');
         });
 
+        // Match events editor
+        document.getElementById('add-event-btn')?.addEventListener('click', () => {
+            this.addEventRow();
+        });
+
+        document.getElementById('match-events-list')?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('event-team') || e.target.classList.contains('event-type')) {
+                this.updateEventRowPlayers(e.target.closest('.event-row'));
+            } else if (e.target.classList.contains('event-player')) {
+                this.flagSuspendedPlayer(e.target.closest('.event-row'));
+            }
+        });
+
+        document.getElementById('match-events-list')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-event')) {
+                e.target.closest('.event-row').remove();
+            }
+        });
+
+        // Reschedule form
+        document.getElementById('reschedule-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveReschedule();
+        });
+
+        document.getElementById('reschedule-slots')?.addEventListener('click', (e) => {
+            const slot = e.target.closest('.reschedule-slot');
+            if (slot) {
+                document.getElementById('reschedule-day').value = slot.dataset.day;
+                document.getElementById('reschedule-time').value = slot.dataset.time;
+            }
+        });
+
+        // Fixture generator
+        document.getElementById('generator-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.previewFixtures();
+        });
+
+        document.getElementById('commit-fixtures-btn')?.addEventListener('click', () => {
+            this.commitFixtures();
+        });
+
+        // Playoffs
+        document.getElementById('playoff-generate-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generatePlayoffs();
+        });
+
+        document.getElementById('lock-playoffs-btn')?.addEventListener('click', () => {
+            this.lockPlayoffs();
+        });
+
+        document.getElementById('unlock-playoffs-btn')?.addEventListener('click', () => {
+            this.unlockPlayoffs();
+        });
+
+        document.getElementById('undo-playoff-btn')?.addEventListener('click', () => {
+            this.undoPlayoffChange();
+        });
+
+        // Seasons
+        document.getElementById('close-season-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.closeSeason();
+        });
+
+        document.getElementById('playoff-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePlayoffResult();
+        });
+
+        ['playoff-has-extra-time', 'playoff-has-penalties'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.togglePlayoffExtras();
+            });
+        });
+
+        // Penalty shootout editor
+        document.getElementById('add-kick-btn')?.addEventListener('click', () => {
+            this.addKickRow();
+        });
+
+        document.getElementById('playoff-kicks-list')?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('kick-team')) {
+                this.updateKickRowPlayers(e.target.closest('.kick-row'));
+            }
+            this.updateShootoutTally();
+        });
+
+        document.getElementById('playoff-kicks-list')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-kick')) {
+                e.target.closest('.kick-row').remove();
+                this.updateShootoutTally();
+            }
+        });
+
+        // Forfeit controls
+        document.getElementById('forfeit-team')?.addEventListener('change', (e) => {
+            this.toggleForfeitReason(e.target.value !== '');
+        });
+
+        // Player registry
+        document.getElementById('player-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePlayer();
+        });
+
+        document.getElementById('players-team-filter')?.addEventListener('change', () => {
+            this.displayPlayersList();
+        });
+
+        document.getElementById('players-list')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('save-player')) {
+                this.savePlayerRow(e.target.closest('.player-row'));
+            }
+        });
+
+        // Point deductions
+        document.getElementById('deduction-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveDeduction();
+        });
+
+        document.getElementById('adjustments-container')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('remove-deduction')) {
+                this.removeDeduction(e.target.dataset.deductionId);
+            }
+        });
+
+        // Drawing of lots
+        document.getElementById('draws-container')?.addEventListener('click', (e) => {
+            if (e.target.classList.contains('record-draw')) {
+                this.saveDrawOrder(e.target.closest('.draw-group'));
+            }
+        });
+
         // News form
         document.getElementById('news-form')?.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -600,6 +2009,22 @@ class AdminInterface {
             document.getElementById('backup-file-input').click();
         });
 
+        // Reset wizard
+        document.querySelectorAll('input[name="reset-mode"]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateResetPreview();
+            });
+        });
+
+        document.getElementById('reset-day')?.addEventListener('input', () => {
+            this.updateResetPreview();
+        });
+
+        document.getElementById('reset-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.resetTournament();
+        });
+
         document.getElementById('backup-file-input')?.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
@@ -670,11 +2095,28 @@ class AdminInterface {
             case 'news':
                 this.loadNewsSection();
                 break;
+            case 'scheduler':
+                this.loadSchedulerSection();
+                break;
+            case 'players':
+                this.loadPlayersSection();
+                break;
+            case 'playoffs':
+                this.loadPlayoffsSection();
+                break;
+            case 'sanctions':
+                this.loadSanctionsSection();
+                break;
+            case 'seasons':
+                this.loadSeasonsSection();
+                break;
             case 'settings':
                 this.loadSystemInfo();
                 break;
             case 'backup':
                 this.updateBackupInfo();
+                this.updateResetPreview();
+                this.displayAutoBackups();
                 break;
             case 'logs':
                 this.loadLogsSection();
@@ -705,12 +2147,25 @@ class AdminInterface {
         }
     }
 
+    toggleForfeitReason(show) {
+        const group = document.getElementById('forfeit-reason-group');
+        if (group) {
+            group.style.display = show ? 'block' : 'none';
+        }
+    }
+
     closeModal() {
         document.querySelectorAll('.modal').forEach(modal => {
             modal.style.display = 'none';
         });
         this.currentMatchId = null;
+        this.currentMatchTeams = null;
+        this.currentSuspensions = [];
         this.currentNewsId = null;
+        this.currentRescheduleId = null;
+        this.currentPlayoffMatchId = null;
+        this.currentPlayoffLeg = null;
+        this.currentPlayoffTeams = null;
     }
 
     clearForms() {
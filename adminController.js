@@ -7,6 +7,14 @@ import LocalStorageManager from './storage.js';
 import MatchEngine from './matchEngine.js';
 import NewsEngine from './newsEngine.js';
 import StandingsCalculator from './standingsEngine.js';
+import TournamentSystem from './tournamentEngine.js';
+import FixtureGenerator from './fixtureGenerator.js';
+import PlayoffEngine from './playoffEngine.js';
+import ArchiveEngine from './archiveEngine.js';
+import ProjectionEngine from './projectionEngine.js';
+import RatingEngine from './ratingEngine.js';
+import PlayerRegistry from './playerRegistry.js';
+import RankingPolicy from './rankingPolicy.js';
 
 class AdminController {
     constructor() {
@@ -14,12 +22,21 @@ class AdminController {
         this.matchEngine = new MatchEngine();
         this.newsEngine = new NewsEngine();
         this.standingsCalculator = new StandingsCalculator();
+        this.tournament = new TournamentSystem();
+        this.fixtureGenerator = new FixtureGenerator();
+        this.playoffEngine = new PlayoffEngine();
+        this.archiveEngine = new ArchiveEngine();
+        this.projectionEngine = new ProjectionEngine();
+        this.ratingEngine = new RatingEngine();
+        this.playerRegistry = new PlayerRegistry();
+        this.rankingPolicy = new RankingPolicy();
         
         // Default admin password (SHA-256 hash of "admin123")
         this.defaultPasswordHash = "240be518fabd2724ddb6f04eeb1da5967448d7e831c08c8fa822809f74c720a9";
         this.sessionTimeout = 3600000; // 1 hour
         this.maxLoginAttempts = 3;
         this.lockoutDuration = 900000; // 15 minutes
+        this.maxAutoBackups = 3;
         
         this.currentSession = null;
         this.loginAttempts = 0;
@@ -230,27 +247,456 @@ class AdminController {
                 // Recalculate standings
                 this.standingsCalculator.updateStoredStatistics();
                 
+                // Re-run the season projection with the new result
+                this.projectionEngine.updateProjection();
+                
+                // Update power ratings
+                this.ratingEngine.updateRatings();
+                
+                // Log admin action
+                this.logAdminAction('update_match_result', {
+                    matchId,
+                    resultData
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error updating match result:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في تحديث نتيجة المباراة'
+            };
+        }
+    }
+
+    /**
+     * Update match status (admin operation)
+     */
+    updateMatchStatus(matchId, status, reason = null) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.matchEngine.setMatchStatus(matchId, status, reason);
+            
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction('update_match_status', {
+                    matchId,
+                    status,
+                    reason
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error updating match status:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في تحديث حالة المباراة'
+            };
+        }
+    }
+
+    /**
+     * Move a postponed or scheduled match to a new day and time (admin operation)
+     */
+    rescheduleMatch(matchId, newDay, newTime = null, reason = null) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.matchEngine.rescheduleMatch(matchId, newDay, newTime, reason);
+
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction('reschedule_match', {
+                    matchId,
+                    newDay,
+                    newTime,
+                    reason
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error rescheduling match:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في إعادة جدولة المباراة'
+            };
+        }
+    }
+
+    /**
+     * Record a forfeit for a match (admin operation)
+     */
+    recordForfeit(matchId, forfeitingTeamId, reason) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.matchEngine.recordForfeit(matchId, forfeitingTeamId, reason);
+
+            if (result.success) {
+                // Recalculate standings
+                this.standingsCalculator.updateStoredStatistics();
+
+                // Re-run the season projection with the new result
+                this.projectionEngine.updateProjection();
+
+                // Update power ratings
+                this.ratingEngine.updateRatings();
+
+                // Log admin action
+                this.logAdminAction('record_forfeit', {
+                    matchId,
+                    forfeitingTeamId,
+                    reason
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error recording forfeit:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في تسجيل الانسحاب'
+            };
+        }
+    }
+
+    /**
+     * Deduct points from a team (admin operation)
+     */
+    addPointDeduction(teamId, points, reason) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.tournament.addPointDeduction(teamId, points, reason);
+
+            if (result.success) {
+                // Recalculate standings
+                this.standingsCalculator.updateStoredStatistics();
+
+                // Log admin action
+                this.logAdminAction('add_point_deduction', {
+                    teamId,
+                    points,
+                    reason
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error adding point deduction:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في خصم النقاط'
+            };
+        }
+    }
+
+    /**
+     * Record the result of a drawing of lots between tied teams (admin operation)
+     */
+    recordDrawOrder(teamIds) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.rankingPolicy.recordDrawOrder(teamIds);
+
+            if (result.success) {
+                // Recalculate standings
+                this.standingsCalculator.updateStoredStatistics();
+
+                // Log admin action
+                this.logAdminAction('record_draw_order', {
+                    teamIds
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error recording draw order:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في تسجيل نتيجة القرعة'
+            };
+        }
+    }
+
+    /**
+     * Cancel a point deduction (admin operation)
+     */
+    removePointDeduction(deductionId) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.tournament.removePointDeduction(deductionId);
+
+            if (result.success) {
+                // Recalculate standings
+                this.standingsCalculator.updateStoredStatistics();
+
+                // Log admin action
+                this.logAdminAction('remove_point_deduction', {
+                    deductionId,
+                    teamId: result.deduction.teamId
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error removing point deduction:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في إلغاء خصم النقاط'
+            };
+        }
+    }
+
+    /**
+     * Generate a round-robin schedule preview (admin operation)
+     */
+    previewFixtures(options = {}) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            return this.fixtureGenerator.generatePreview(options);
+        } catch (error) {
+            console.error('Error previewing fixtures:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في توليد جدول المباريات'
+            };
+        }
+    }
+
+    /**
+     * Replace the schedule with a previewed one (admin operation)
+     */
+    commitFixtures(preview) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.fixtureGenerator.commitPreview(preview);
+
+            if (result.success) {
+                // Recalculate standings
+                this.standingsCalculator.updateStoredStatistics();
+
+                // Log admin action
+                this.logAdminAction('generate_fixtures', {
+                    format: preview.format,
+                    matches: result.matches,
+                    replaced: result.replaced
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error committing fixtures:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في اعتماد جدول المباريات'
+            };
+        }
+    }
+
+    /**
+     * Generate (or redraw) the playoff bracket and its schedule (admin operation)
+     */
+    generatePlayoffBracket(options = {}) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            if (this.playoffEngine.isBracketLocked()) {
+                return {
+                    success: false,
+                    error: 'القرعة معتمدة ولا يمكن إعادة توليدها'
+                };
+            }
+
+            const eligibility = this.playoffEngine.validatePlayoffEligibility();
+            if (!eligibility.eligible) {
+                return {
+                    success: false,
+                    error: eligibility.reason
+                };
+            }
+
+            const bracket = this.playoffEngine.generatePlayoffBracket();
+            if (!bracket) {
+                return {
+                    success: false,
+                    error: 'حدث خطأ في توليد قرعة الأدوار الإقصائية'
+                };
+            }
+
+            const startDay = parseInt(options.startDay) || null;
+            const schedule = this.playoffEngine.generatePlayoffSchedule(startDay, options.kickoffTime || undefined);
+
+            // Log admin action
+            this.logAdminAction('generate_playoffs', {
+                qualifiedTeams: bracket.metadata.qualifiedTeams.map(team => team.teamId),
+                startDay: startDay
+            });
+
+            return {
+                success: true,
+                bracket: this.playoffEngine.getPlayoffBracket(),
+                schedule: schedule
+            };
+        } catch (error) {
+            console.error('Error generating playoff bracket:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في توليد قرعة الأدوار الإقصائية'
+            };
+        }
+    }
+
+    /**
+     * Lock the playoff bracket (admin operation)
+     */
+    lockPlayoffBracket() {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.playoffEngine.lockBracket();
+
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction('lock_playoffs', {});
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error locking playoff bracket:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في اعتماد القرعة'
+            };
+        }
+    }
+
+    /**
+     * Unlock the playoff bracket before any result is entered (admin operation)
+     */
+    unlockPlayoffBracket() {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.playoffEngine.unlockBracket();
+
+            if (result.success) {
                 // Log admin action
-                this.logAdminAction('update_match_result', {
-                    matchId,
-                    resultData
+                this.logAdminAction('unlock_playoffs', {});
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error unlocking playoff bracket:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في إلغاء اعتماد القرعة'
+            };
+        }
+    }
+
+    /**
+     * Re-seed the playoff bracket after group results were corrected (admin operation)
+     */
+    reseedPlayoffBracket() {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.playoffEngine.reseedBracket();
+
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction('reseed_playoffs', {
+                    changes: result.changes.map(change => ({
+                        seed: change.seed,
+                        from: change.previous.id,
+                        to: change.current ? change.current.id : null
+                    }))
                 });
             }
 
             return result;
         } catch (error) {
-            console.error('Error updating match result:', error);
+            console.error('Error re-seeding playoff bracket:', error);
             return {
                 success: false,
-                error: 'حدث خطأ في تحديث نتيجة المباراة'
+                error: 'حدث خطأ في إعادة توزيع المقاعد'
             };
         }
     }
 
     /**
-     * Update match status (admin operation)
+     * Undo the latest playoff change (admin operation)
      */
-    updateMatchStatus(matchId, status, reason = null) {
+    undoPlayoffChange() {
         if (!this.isAuthenticated()) {
             return {
                 success: false,
@@ -259,23 +705,192 @@ class AdminController {
         }
 
         try {
-            const result = this.matchEngine.setMatchStatus(matchId, status, reason);
-            
+            const result = this.playoffEngine.undoLastChange();
+
             if (result.success) {
                 // Log admin action
-                this.logAdminAction('update_match_status', {
+                this.logAdminAction('undo_playoff_change', {
+                    action: result.undone.action,
+                    matchId: result.undone.matchId,
+                    leg: result.undone.leg
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error undoing playoff change:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في التراجع عن التعديل'
+            };
+        }
+    }
+
+    /**
+     * Record a playoff match result (admin operation)
+     */
+    recordPlayoffResult(matchId, resultData) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.playoffEngine.recordPlayoffResult(matchId, resultData);
+
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction('update_playoff_result', {
                     matchId,
-                    status,
-                    reason
+                    homeGoals: result.match.homeGoals,
+                    awayGoals: result.match.awayGoals,
+                    decidedBy: result.match.decidedBy
                 });
             }
 
             return result;
         } catch (error) {
-            console.error('Error updating match status:', error);
+            console.error('Error recording playoff result:', error);
             return {
                 success: false,
-                error: 'حدث خطأ في تحديث حالة المباراة'
+                error: 'حدث خطأ في تسجيل نتيجة المباراة'
+            };
+        }
+    }
+
+    /**
+     * Close the finished season into the archive and start a new one (admin operation)
+     */
+    closeSeason(newSeasonName) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.archiveEngine.closeSeason(newSeasonName);
+
+            if (result.success) {
+                this.playoffEngine.bracketStructure = null;
+                this.standingsCalculator.updateStoredStatistics();
+
+                // Log admin action
+                this.logAdminAction('close_season', {
+                    season: result.season.season,
+                    champion: result.season.champion ? result.season.champion.id : null,
+                    newSeason: result.newSeason
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error closing season:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في إغلاق الموسم'
+            };
+        }
+    }
+
+    /**
+     * Register a new player (admin operation)
+     */
+    addPlayer(playerData) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.playerRegistry.addPlayer(playerData);
+
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction('add_player', {
+                    playerId: result.player.id,
+                    teamId: playerData.teamId,
+                    number: playerData.number
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error adding player:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في تسجيل اللاعب'
+            };
+        }
+    }
+
+    /**
+     * Update a player's name or position (admin operation)
+     */
+    updatePlayer(playerId, updates) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.playerRegistry.updatePlayer(playerId, updates);
+
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction('update_player', {
+                    playerId,
+                    updates
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error updating player:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في تحديث بيانات اللاعب'
+            };
+        }
+    }
+
+    /**
+     * Move a player to a team and shirt number for the current season, or release them (admin operation)
+     */
+    assignPlayer(playerId, teamId, number) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const result = this.playerRegistry.assignPlayer(playerId, teamId, number);
+
+            if (result.success) {
+                // Log admin action
+                this.logAdminAction(teamId ? 'assign_player' : 'release_player', {
+                    playerId,
+                    teamId: teamId || null,
+                    number: teamId ? number : null,
+                    previousTeamId: result.previous ? result.previous.teamId : null
+                });
+            }
+
+            return result;
+        } catch (error) {
+            console.error('Error assigning player:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في تعديل قيد اللاعب'
             };
         }
     }
@@ -512,6 +1127,128 @@ class AdminController {
         }
     }
 
+    /**
+     * Get the automatic backups taken before destructive operations, newest first
+     */
+    getAutoBackups() {
+        return this.storage.load(this.storage.keys.AUTO_BACKUPS) || [];
+    }
+
+    /**
+     * Store an automatic backup, keeping only the most recent ones
+     */
+    createAutoBackup(reason) {
+        try {
+            const backup = this.storage.backup();
+            if (!backup) {
+                return null;
+            }
+
+            const entry = {
+                id: 'backup_' + Date.now(),
+                reason: reason,
+                timestamp: backup.timestamp,
+                data: backup
+            };
+
+            const backups = [entry, ...this.getAutoBackups()].slice(0, this.maxAutoBackups);
+            if (!this.storage.save(this.storage.keys.AUTO_BACKUPS, backups)) {
+                return null;
+            }
+
+            return entry;
+        } catch (error) {
+            console.error('Error creating automatic backup:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Restore an automatic backup by ID
+     */
+    restoreAutoBackup(backupId) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        const entry = this.getAutoBackups().find(backup => backup.id === backupId);
+        if (!entry) {
+            return {
+                success: false,
+                error: 'النسخة الاحتياطية غير موجودة'
+            };
+        }
+
+        const result = this.restoreSystemBackup(entry.data);
+        if (result.success) {
+            this.playoffEngine.loadBracket();
+        }
+
+        return result;
+    }
+
+    /**
+     * Reset tournament data (admin operation)
+     * An automatic backup is always taken first; the reset is refused if it cannot be stored
+     */
+    resetTournament(options) {
+        if (!this.isAuthenticated()) {
+            return {
+                success: false,
+                error: 'غير مصرح بالوصول'
+            };
+        }
+
+        try {
+            const plan = this.tournament.planReset(options);
+            if (!plan.valid) {
+                return {
+                    success: false,
+                    error: plan.error
+                };
+            }
+
+            const backup = this.createAutoBackup(`reset_${plan.mode}`);
+            if (!backup) {
+                return {
+                    success: false,
+                    error: 'تعذر حفظ النسخة الاحتياطية التلقائية، لم يتم إعادة الضبط'
+                };
+            }
+
+            const result = this.tournament.resetTournament(options);
+
+            if (result.success) {
+                this.playoffEngine.bracketStructure = null;
+                this.matchEngine.recalculateAllStatistics();
+                this.standingsCalculator.updateStoredStatistics();
+
+                // Log admin action
+                this.logAdminAction('reset_tournament', {
+                    mode: result.mode,
+                    day: result.day,
+                    clearedMatches: result.clearedMatches.length,
+                    removedMatches: result.removedMatches.length,
+                    backupId: backup.id
+                });
+            }
+
+            return {
+                ...result,
+                backup: { id: backup.id, timestamp: backup.timestamp }
+            };
+        } catch (error) {
+            console.error('Error resetting tournament:', error);
+            return {
+                success: false,
+                error: 'حدث خطأ في إعادة ضبط البطولة'
+            };
+        }
+    }
+
     /**
      * Hash password using SHA-256
      */
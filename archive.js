@@ -0,0 +1,478 @@
+/**
+ * Archive Page Controller for Salfoon Ramadan League Platform
+ * Browses closed seasons and shows all-time tables across them
+ */
+
+import LocalStorageManager from './storage.js';
+import ArchiveEngine from './archiveEngine.js';
+import PlayoffEngine from './playoffEngine.js';
+import { createPlayerLink } from './playerRegistry.js';
+
+class ArchiveController {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.archiveEngine = new ArchiveEngine();
+        this.playoffEngine = new PlayoffEngine();
+        this.currentSeason = null;
+        
+        this.init();
+    }
+
+    async init() {
+        try {
+            // Wait for storage initialization
+            await this.storage.initializeStorage();
+            
+            // Load and display the archive
+            this.loadArchive();
+            
+            // Set up event listeners
+            this.setupEventListeners();
+            
+            // Hide loading screen
+            this.hideLoadingScreen();
+            
+        } catch (error) {
+            console.error('Error initializing archive controller:', error);
+            this.showError('حدث خطأ في تحميل البيانات');
+        }
+    }
+
+    loadArchive() {
+        try {
+            const seasons = this.archiveEngine.getArchivedSeasons();
+
+            document.getElementById('no-archive').style.display = seasons.length === 0 ? 'block' : 'none';
+            document.getElementById('archive-season').style.display = seasons.length > 0 ? 'block' : 'none';
+            document.getElementById('all-time').style.display = seasons.length > 0 ? 'block' : 'none';
+
+            if (seasons.length === 0) {
+                this.updateLastUpdatedTime();
+                return;
+            }
+
+            this.populateSeasonSelect(seasons);
+            this.displaySeason(seasons[0].id);
+            this.displayTitlesTable();
+            this.displayAllTimeTable();
+            this.populateH2HSelects();
+            this.updateLastUpdatedTime();
+            
+        } catch (error) {
+            console.error('Error loading archive:', error);
+            this.showError('حدث خطأ في تحميل الأرشيف');
+        }
+    }
+
+    populateSeasonSelect(seasons) {
+        const select = document.getElementById('season-select');
+        if (!select) return;
+
+        select.innerHTML = seasons.map(season => `
+            <option value="${season.id}">${season.season}${season.champion ? ` - البطل: ${season.champion.name}` : ''}</option>
+        `).join('');
+    }
+
+    displaySeason(seasonId) {
+        const season = this.archiveEngine.getSeason(seasonId);
+        if (!season) return;
+
+        this.currentSeason = season;
+
+        this.displayChampion(season);
+        this.displayStandings(season);
+        this.displayBracket(season);
+        this.displayScorers(season);
+        this.displayNews(season);
+    }
+
+    displayChampion(season) {
+        const container = document.getElementById('archive-champion');
+        if (!container) return;
+
+        if (!season.champion) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const team = season.teams.find(t => t.id === season.champion.id);
+
+        container.innerHTML = `
+            <div class="champion-card">
+                <span class="champion-trophy">🏆</span>
+                ${team?.logo ? `<img src="${team.logo}" alt="${season.champion.name}" class="team-logo">` : ''}
+                <h2 class="champion-name">${season.champion.name}</h2>
+                <p class="champion-label">بطل ${season.season}</p>
+                ${season.runnerUp ? `<p class="runner-up">الوصيف: ${season.runnerUp.name}</p>` : ''}
+                ${season.thirdPlace ? `<p class="third-place">المركز الثالث: ${season.thirdPlace.name}</p>` : ''}
+            </div>
+        `;
+    }
+
+    displayStandings(season) {
+        const container = document.getElementById('archive-standings');
+        if (!container) return;
+
+        container.innerHTML = `
+            <table class="standings-table">
+                <thead>
+                    <tr>
+                        <th class="position-col">#</th>
+                        <th class="team-col">الفريق</th>
+                        <th class="matches-col">لعب</th>
+                        <th class="wins-col">فوز</th>
+                        <th class="draws-col">تعادل</th>
+                        <th class="losses-col">خسارة</th>
+                        <th class="goals-for-col">له</th>
+                        <th class="goals-against-col">عليه</th>
+                        <th class="goal-diff-col">الفارق</th>
+                        <th class="points-col">النقاط</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${season.standings.map(team => `
+                        <tr>
+                            <td class="position-col">${team.position}</td>
+                            <td class="team-col">${team.teamName}</td>
+                            <td class="matches-col">${team.played}</td>
+                            <td class="wins-col">${team.won}</td>
+                            <td class="draws-col">${team.drawn}</td>
+                            <td class="losses-col">${team.lost}</td>
+                            <td class="goals-for-col">${team.goalsFor}</td>
+                            <td class="goals-against-col">${team.goalsAgainst}</td>
+                            <td class="goal-diff-col">${team.goalDifference > 0 ? '+' : ''}${team.goalDifference}</td>
+                            <td class="points-col">${team.points}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${(season.adjustments || []).length > 0 ? `
+                <ol class="standings-footnotes">
+                    ${season.adjustments.map(adjustment => `
+                        <li class="standings-footnote ${adjustment.type}">
+                            ${adjustment.type === 'forfeit' ? 
+                                `انسحب ${adjustment.teamName} من مباراته أمام ${adjustment.opponentName} واحتُسبت النتيجة ${adjustment.homeGoals} - ${adjustment.awayGoals}` :
+                                `خُصمت ${adjustment.points} ${adjustment.points === 1 ? 'نقطة' : 'نقاط'} من ${adjustment.teamName}`}. السبب: ${adjustment.reason}
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : ''}
+        `;
+    }
+
+    displayBracket(season) {
+        const container = document.getElementById('archive-bracket');
+        if (!container) return;
+
+        if (!season.bracket) {
+            container.innerHTML = '<p class="no-data">لم تُلعب أدوار إقصائية في هذا الموسم</p>';
+            return;
+        }
+
+        container.innerHTML = this.playoffEngine.getAllPlayoffMatches(season.bracket).map(match => `
+            <div class="archive-match">
+                <span class="archive-match-name">${match.matchName}</span>
+                <span class="archive-match-teams">${match.homeTeam?.name || '-'} × ${match.awayTeam?.name || '-'}</span>
+                <span class="archive-match-result">${this.playoffEngine.getResultText(match) || 'لم تُلعب'}</span>
+            </div>
+        `).join('');
+    }
+
+    displayScorers(season) {
+        const container = document.getElementById('archive-scorers');
+        if (!container) return;
+
+        if (season.scorers.length === 0) {
+            container.innerHTML = '<p class="no-data">لا توجد إحصائيات هدافين لهذا الموسم</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="scorers-header">
+                <span class="rank-header">المركز</span>
+                <span class="player-header">اللاعب</span>
+                <span class="team-header">الفريق</span>
+                <span class="goals-header">الأهداف</span>
+                <span class="penalties-header">ج</span>
+                <span class="matches-header">م</span>
+            </div>
+            ${season.scorers.map((scorer, index) => `
+                <div class="scorer-row">
+                    <span class="scorer-rank">${index + 1}</span>
+                    <span class="scorer-name">${createPlayerLink(scorer.playerId, scorer.name)}</span>
+                    <span class="scorer-team">${scorer.team}</span>
+                    <span class="scorer-goals">${scorer.goals}</span>
+                    <span class="scorer-penalties">${scorer.penalties}</span>
+                    <span class="scorer-matches">${scorer.matches}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    displayNews(season) {
+        const container = document.getElementById('archive-news');
+        if (!container) return;
+
+        if (season.news.length === 0) {
+            container.innerHTML = '<p class="no-data">لا توجد أخبار مؤرشفة لهذا الموسم</p>';
+            return;
+        }
+
+        container.innerHTML = season.news.map(article => `
+            <details class="archive-article">
+                <summary>
+                    <span class="archive-article-title">${article.title}</span>
+                    ${article.publishDate ? `<span class="archive-article-date">${new Date(article.publishDate).toLocaleDateString('ar-SA')}</span>` : ''}
+                </summary>
+                <p>${(article.content || '').replace(/\n/g, '<br>')}</p>
+            </details>
+        `).join('');
+    }
+
+    displayTitlesTable() {
+        const container = document.getElementById('titles-table');
+        if (!container) return;
+
+        const honours = this.archiveEngine.getTitlesTable();
+
+        container.innerHTML = `
+            <table class="standings-table">
+                <thead>
+                    <tr>
+                        <th class="team-col">الفريق</th>
+                        <th>🏆 الألقاب</th>
+                        <th>🥈 الوصافة</th>
+                        <th>🥉 المركز الثالث</th>
+                        <th>مواسم التتويج</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${honours.map(team => `
+                        <tr>
+                            <td class="team-col">${team.teamName}</td>
+                            <td>${team.titles}</td>
+                            <td>${team.runnerUp}</td>
+                            <td>${team.thirdPlace}</td>
+                            <td>${team.titleSeasons.join('، ') || '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    displayAllTimeTable() {
+        const container = document.getElementById('all-time-table');
+        if (!container) return;
+
+        const table = this.archiveEngine.getAllTimeTable();
+
+        container.innerHTML = `
+            <table class="standings-table">
+                <thead>
+                    <tr>
+                        <th class="position-col">#</th>
+                        <th class="team-col">الفريق</th>
+                        <th>مواسم</th>
+                        <th class="matches-col">لعب</th>
+                        <th class="wins-col">فوز</th>
+                        <th class="draws-col">تعادل</th>
+                        <th class="losses-col">خسارة</th>
+                        <th class="goals-for-col">له</th>
+                        <th class="goals-against-col">عليه</th>
+                        <th class="goal-diff-col">الفارق</th>
+                        <th class="points-col">النقاط</th>
+                        <th>الألقاب</th>
+                        <th>أفضل مركز</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${table.map((team, index) => `
+                        <tr>
+                            <td class="position-col">${index + 1}</td>
+                            <td class="team-col">${team.teamName}</td>
+                            <td>${team.seasons}</td>
+                            <td class="matches-col">${team.played}</td>
+                            <td class="wins-col">${team.won}</td>
+                            <td class="draws-col">${team.drawn}</td>
+                            <td class="losses-col">${team.lost}</td>
+                            <td class="goals-for-col">${team.goalsFor}</td>
+                            <td class="goals-against-col">${team.goalsAgainst}</td>
+                            <td class="goal-diff-col">${team.goalDifference > 0 ? '+' : ''}${team.goalDifference}</td>
+                            <td class="points-col">${team.points}</td>
+                            <td>${team.titles}</td>
+                            <td>${team.bestPosition}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    populateH2HSelects() {
+        const teams = this.archiveEngine.getArchivedTeams();
+        const options = teams.map(team => `<option value="${team.id}">${team.name}</option>`).join('');
+
+        const selectA = document.getElementById('h2h-team-a');
+        const selectB = document.getElementById('h2h-team-b');
+        if (!selectA || !selectB) return;
+
+        selectA.innerHTML = `<option value="">اختر الفريق الأول</option>${options}`;
+        selectB.innerHTML = `<option value="">اختر الفريق الثاني</option>${options}`;
+    }
+
+    displayHeadToHead() {
+        const container = document.getElementById('h2h-result');
+        if (!container) return;
+
+        const teamA = document.getElementById('h2h-team-a')?.value;
+        const teamB = document.getElementById('h2h-team-b')?.value;
+
+        if (!teamA || !teamB || teamA === teamB) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const record = this.archiveEngine.getAllTimeHeadToHead(teamA, teamB);
+        if (!record) return;
+
+        const teams = this.archiveEngine.getArchivedTeams();
+        const teamName = (teamId) => teams.find(team => team.id === teamId)?.name || teamId;
+
+        if (record.played === 0) {
+            container.innerHTML = '<p class="no-data">لم يلتقِ الفريقان في المواسم المؤرشفة</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="h2h-summary">
+                <div class="h2h-stat"><span class="stat-value">${record.winsA}</span><span class="stat-label">فوز ${teamName(teamA)}</span></div>
+                <div class="h2h-stat"><span class="stat-value">${record.draws}</span><span class="stat-label">تعادل</span></div>
+                <div class="h2h-stat"><span class="stat-value">${record.winsB}</span><span class="stat-label">فوز ${teamName(teamB)}</span></div>
+                <div class="h2h-stat"><span class="stat-value">${record.goalsA} - ${record.goalsB}</span><span class="stat-label">الأهداف</span></div>
+            </div>
+            <ul class="h2h-matches">
+                ${record.matches.map(match => `
+                    <li>
+                        <span class="h2h-season">${match.season} - ${match.stage}</span>
+                        <span>${teamName(match.homeTeam)} ${match.homeGoals} - ${match.awayGoals} ${teamName(match.awayTeam)}</span>
+                        ${match.note ? `<span class="h2h-note">(${match.note})</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    setupEventListeners() {
+        // Season selector
+        document.getElementById('season-select')?.addEventListener('change', (e) => {
+            this.displaySeason(e.target.value);
+        });
+
+        // Head-to-head selectors
+        ['h2h-team-a', 'h2h-team-b'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                this.displayHeadToHead();
+            });
+        });
+
+        // Theme toggle
+        const themeToggle = document.getElementById('theme-toggle');
+        if (themeToggle) {
+            themeToggle.addEventListener('click', () => {
+                this.toggleTheme();
+            });
+        }
+
+        // Mobile navigation
+        const navToggle = document.querySelector('.nav-toggle');
+        const navMenu = document.querySelector('.nav-menu');
+        
+        if (navToggle && navMenu) {
+            navToggle.addEventListener('click', () => {
+                navMenu.classList.toggle('active');
+            });
+        }
+
+        // Back to top button
+        const backToTop = document.getElementById('back-to-top');
+        if (backToTop) {
+            backToTop.addEventListener('click', () => {
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            });
+
+            // Show/hide back to top button
+            window.addEventListener('scroll', () => {
+                if (window.scrollY > 300) {
+                    backToTop.classList.add('show');
+                } else {
+                    backToTop.classList.remove('show');
+                }
+            });
+        }
+    }
+
+    toggleTheme() {
+        document.body.classList.toggle('dark-theme');
+        
+        const themeIcon = document.querySelector('.theme-icon');
+        if (themeIcon) {
+            themeIcon.textContent = document.body.classList.contains('dark-theme') ? '☀️' : '🌙';
+        }
+
+        // Save theme preference
+        const preferences = this.storage.load(this.storage.keys.USER_PREFERENCES) || {};
+        preferences.darkMode = document.body.classList.contains('dark-theme');
+        this.storage.save(this.storage.keys.USER_PREFERENCES, preferences);
+    }
+
+    updateLastUpdatedTime() {
+        const updateTimeElement = document.getElementById('update-time');
+        if (updateTimeElement) {
+            const now = new Date();
+            const timeString = now.toLocaleString('ar-SA', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            updateTimeElement.textContent = timeString;
+        }
+    }
+
+    hideLoadingScreen() {
+        const loadingScreen = document.getElementById('loading-screen');
+        if (loadingScreen) {
+            loadingScreen.style.opacity = '0';
+            setTimeout(() => {
+                loadingScreen.style.display = 'none';
+            }, 500);
+        }
+    }
+
+    showError(message) {
+        // Create error notification
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-notification';
+        errorDiv.textContent = message;
+        
+        document.body.appendChild(errorDiv);
+        
+        setTimeout(() => {
+            errorDiv.classList.add('show');
+        }, 10);
+
+        setTimeout(() => {
+            errorDiv.classList.remove('show');
+            setTimeout(() => {
+                document.body.removeChild(errorDiv);
+            }, 300);
+        }, 5000);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.archiveController = new ArchiveController();
+});
\ No newline at end of file
@@ -0,0 +1,394 @@
+/**
+ * Season Archive Engine for Salfoon Ramadan League Platform
+ * Closes finished seasons into a read-only archive and computes all-time tables across them
+ */
+
+import LocalStorageManager from './storage.js';
+import StandingsCalculator from './standingsEngine.js';
+import PlayoffEngine from './playoffEngine.js';
+import PlayerStatsEngine from './playerStatsEngine.js';
+import MatchEngine from './matchEngine.js';
+import PlayerRegistry from './playerRegistry.js';
+
+class ArchiveEngine {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.standingsCalculator = new StandingsCalculator();
+        this.playoffEngine = new PlayoffEngine();
+        this.playerStatsEngine = new PlayerStatsEngine();
+        this.matchEngine = new MatchEngine();
+        this.playerRegistry = new PlayerRegistry();
+        this.archivedLeaderboardSize = 50;
+    }
+
+    /**
+     * Load the archive
+     */
+    loadArchive() {
+        return this.storage.load(this.storage.keys.ARCHIVE) || { seasons: [] };
+    }
+
+    /**
+     * Get a short summary of every archived season, newest first
+     */
+    getArchivedSeasons() {
+        return this.loadArchive().seasons.map(season => ({
+            id: season.id,
+            season: season.season,
+            closedAt: season.closedAt,
+            champion: season.champion,
+            runnerUp: season.runnerUp,
+            teams: season.standings.length,
+            matches: season.matches.length
+        })).reverse();
+    }
+
+    /**
+     * Get a full archived season by ID
+     */
+    getSeason(seasonId) {
+        return this.loadArchive().seasons.find(season => season.id === seasonId) || null;
+    }
+
+    /**
+     * Check whether the current season can be closed
+     * The season is finished once the final is played, or once the group stage is complete when there are no playoffs
+     */
+    canCloseSeason() {
+        try {
+            const configData = this.storage.load(this.storage.keys.CONFIG);
+            const seasonName = configData?.tournament?.season;
+            if (!seasonName) {
+                return { valid: false, error: 'Current season has no name in config' };
+            }
+
+            if (this.loadArchive().seasons.some(season => season.season === seasonName)) {
+                return { valid: false, error: `Season ${seasonName} is already archived` };
+            }
+
+            const format = this.playoffEngine.tournament.getPlayoffFormat();
+            const phase = this.playoffEngine.getTournamentPhase();
+
+            if (format.enabled && phase !== 'tournament_completed') {
+                return { valid: false, error: 'Season is not finished: the playoff final has not been played' };
+            }
+
+            if (!format.enabled && !this.playoffEngine.isGroupStageComplete()) {
+                return { valid: false, error: 'Season is not finished: group matches are still to be played' };
+            }
+
+            return { valid: true, season: seasonName };
+
+        } catch (error) {
+            console.error('Error checking season close:', error);
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Build the read-only record of the current season
+     */
+    buildSeasonRecord(seasonName) {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const teamsData = this.storage.load(this.storage.keys.TEAMS);
+        const matchesData = this.storage.load(this.storage.keys.MATCHES);
+        const newsData = this.storage.load(this.storage.keys.NEWS);
+        const bracket = this.playoffEngine.getPlayoffBracket();
+
+        const standings = this.standingsCalculator.calculateStandings() || [];
+        const copy = (data) => data === null || data === undefined ? null : JSON.parse(JSON.stringify(data));
+        const teamRef = (team) => team ? { id: team.id, name: team.name } : null;
+
+        // Without playoffs the league leader is champion
+        let champion = teamRef(bracket?.metadata?.champion);
+        let runnerUp = teamRef(bracket?.metadata?.runnerUp);
+        let thirdPlace = teamRef(bracket?.metadata?.thirdPlace);
+
+        if (!bracket && standings.length > 0) {
+            [champion, runnerUp, thirdPlace] = standings.slice(0, 3).map(team => ({ id: team.teamId, name: team.teamName }));
+        }
+
+        return {
+            id: `season-${Date.now()}`,
+            season: seasonName,
+            closedAt: new Date().toISOString(),
+            tournament: copy(configData?.tournament),
+            champion: champion,
+            runnerUp: runnerUp || null,
+            thirdPlace: thirdPlace || null,
+            teams: (teamsData?.teams || []).map(team => ({
+                id: team.id,
+                name: team.name,
+                logo: team.logo,
+                squad: copy(team.squad || [])
+            })),
+            standings: standings.map(team => ({
+                teamId: team.teamId,
+                teamName: team.teamName,
+                position: team.position,
+                played: team.played,
+                won: team.won,
+                drawn: team.drawn,
+                lost: team.lost,
+                goalsFor: team.goalsFor,
+                goalsAgainst: team.goalsAgainst,
+                goalDifference: team.goalDifference,
+                points: team.points
+            })),
+            matches: copy((matchesData?.matches || []).filter(match => match.status === 'played')),
+            bracket: copy(bracket),
+            adjustments: copy(this.standingsCalculator.getStandingsAdjustments()),
+            scorers: this.playerStatsEngine.getTopScorers(null, this.archivedLeaderboardSize),
+            assists: this.playerStatsEngine.getTopAssists(null, this.archivedLeaderboardSize),
+            bestPlayers: this.playerStatsEngine.getBestPlayers(null, this.archivedLeaderboardSize),
+            news: copy(newsData?.articles || [])
+        };
+    }
+
+    /**
+     * Close the current season into the archive and start a fresh one
+     * The new season keeps teams and squads but starts with no fixtures, news, adjustments or playoffs
+     */
+    closeSeason(newSeasonName) {
+        try {
+            const check = this.canCloseSeason();
+            if (!check.valid) {
+                throw new Error(check.error);
+            }
+
+            newSeasonName = (newSeasonName || '').trim();
+            if (!newSeasonName) {
+                throw new Error('New season name is required');
+            }
+
+            if (newSeasonName === check.season || this.loadArchive().seasons.some(season => season.season === newSeasonName)) {
+                throw new Error(`Season ${newSeasonName} already exists`);
+            }
+
+            const record = this.buildSeasonRecord(check.season);
+
+            const archive = this.loadArchive();
+            archive.seasons.push(record);
+            if (!this.storage.save(this.storage.keys.ARCHIVE, archive)) {
+                throw new Error('Failed to save the season archive');
+            }
+
+            this.startNewSeason(newSeasonName);
+
+            return {
+                success: true,
+                season: record,
+                newSeason: newSeasonName
+            };
+        } catch (error) {
+            console.error('Error closing season:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Clear the season data and name the new season in config
+     */
+    startNewSeason(seasonName) {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+
+        // Players stay with their teams and shirt numbers until the admin changes them
+        this.playerRegistry.rolloverSeason(configData.tournament.season, seasonName);
+
+        configData.tournament.season = seasonName;
+        // Ties in the new season need their own drawing of lots
+        if (configData.tournament.rankingPolicy) {
+            configData.tournament.rankingPolicy.drawOrder = [];
+        }
+        this.storage.save(this.storage.keys.CONFIG, configData);
+        this.playerRegistry.syncSquads();
+
+        this.storage.save(this.storage.keys.MATCHES, { matches: [] });
+        this.storage.save(this.storage.keys.NEWS, { articles: [] });
+        this.storage.remove(this.storage.keys.ADJUSTMENTS);
+        this.storage.remove(this.storage.keys.PLAYOFFS);
+        this.storage.remove(this.storage.keys.PLAYOFF_HISTORY);
+        this.playoffEngine.bracketStructure = null;
+
+        // Team statistics follow the (now empty) match list
+        this.matchEngine.recalculateAllStatistics();
+    }
+
+    /**
+     * Get the all-time league table: group-stage totals summed over every archived season
+     */
+    getAllTimeTable() {
+        try {
+            const teams = {};
+
+            this.loadArchive().seasons.forEach(season => {
+                season.standings.forEach(row => {
+                    if (!teams[row.teamId]) {
+                        teams[row.teamId] = {
+                            teamId: row.teamId,
+                            teamName: row.teamName,
+                            seasons: 0,
+                            played: 0,
+                            won: 0,
+                            drawn: 0,
+                            lost: 0,
+                            goalsFor: 0,
+                            goalsAgainst: 0,
+                            points: 0,
+                            titles: 0,
+                            bestPosition: row.position
+                        };
+                    }
+
+                    const team = teams[row.teamId];
+                    // The latest archived name wins for renamed teams
+                    team.teamName = row.teamName;
+                    team.seasons += 1;
+                    ['played', 'won', 'drawn', 'lost', 'goalsFor', 'goalsAgainst', 'points'].forEach(field => {
+                        team[field] += row[field];
+                    });
+                    team.bestPosition = Math.min(team.bestPosition, row.position);
+                });
+
+                if (season.champion && teams[season.champion.id]) {
+                    teams[season.champion.id].titles += 1;
+                }
+            });
+
+            return Object.values(teams)
+                .map(team => ({ ...team, goalDifference: team.goalsFor - team.goalsAgainst }))
+                .sort((a, b) => {
+                    if (b.points !== a.points) return b.points - a.points;
+                    if (b.goalDifference !== a.goalDifference) return b.goalDifference - a.goalDifference;
+                    if (b.goalsFor !== a.goalsFor) return b.goalsFor - a.goalsFor;
+                    return a.teamName.localeCompare(b.teamName, 'ar');
+                });
+
+        } catch (error) {
+            console.error('Error calculating all-time table:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the honours table: titles, runner-up and third places per team
+     */
+    getTitlesTable() {
+        try {
+            const honours = {};
+            const award = (team, field, seasonName) => {
+                if (!team) return;
+                if (!honours[team.id]) {
+                    honours[team.id] = { teamId: team.id, teamName: team.name, titles: 0, runnerUp: 0, thirdPlace: 0, titleSeasons: [] };
+                }
+                honours[team.id][field] += 1;
+                if (field === 'titles') {
+                    honours[team.id].titleSeasons.push(seasonName);
+                }
+            };
+
+            this.loadArchive().seasons.forEach(season => {
+                award(season.champion, 'titles', season.season);
+                award(season.runnerUp, 'runnerUp', season.season);
+                award(season.thirdPlace, 'thirdPlace', season.season);
+            });
+
+            return Object.values(honours).sort((a, b) => {
+                if (b.titles !== a.titles) return b.titles - a.titles;
+                if (b.runnerUp !== a.runnerUp) return b.runnerUp - a.runnerUp;
+                return b.thirdPlace - a.thirdPlace;
+            });
+
+        } catch (error) {
+            console.error('Error calculating titles table:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get the head-to-head record of two teams across all archived seasons, group and playoff matches
+     * Playoff ties are counted per match on the score after extra time; shootouts are noted but count as draws
+     */
+    getAllTimeHeadToHead(teamA, teamB) {
+        try {
+            const record = {
+                teamA: teamA,
+                teamB: teamB,
+                played: 0,
+                winsA: 0,
+                winsB: 0,
+                draws: 0,
+                goalsA: 0,
+                goalsB: 0,
+                matches: []
+            };
+
+            const addMatch = (season, stage, homeId, awayId, homeGoals, awayGoals, note = null) => {
+                const aIsHome = homeId === teamA;
+                const goalsA = aIsHome ? homeGoals : awayGoals;
+                const goalsB = aIsHome ? awayGoals : homeGoals;
+
+                record.played += 1;
+                record.goalsA += goalsA;
+                record.goalsB += goalsB;
+                if (goalsA > goalsB) record.winsA += 1;
+                else if (goalsB > goalsA) record.winsB += 1;
+                else record.draws += 1;
+
+                record.matches.push({ season, stage, homeTeam: homeId, awayTeam: awayId, homeGoals, awayGoals, note });
+            };
+            const isPairing = (homeId, awayId) => 
+                (homeId === teamA && awayId === teamB) || (homeId === teamB && awayId === teamA);
+
+            this.loadArchive().seasons.forEach(season => {
+                season.matches
+                    .filter(match => isPairing(match.homeTeam, match.awayTeam))
+                    .forEach(match => addMatch(season.season, 'دور المجموعة', match.homeTeam, match.awayTeam, match.homeGoals, match.awayGoals));
+
+                if (!season.bracket) return;
+
+                this.playoffEngine.getAllPlayoffMatches(season.bracket)
+                    .filter(match => match.status === 'completed' && isPairing(match.homeTeam?.id, match.awayTeam?.id))
+                    .forEach(match => {
+                        const legs = match.twoLegged ? this.playoffEngine.getMatchLegs(match) : [match];
+                        legs.forEach(leg => {
+                            const extra = leg.extraTime || { homeGoals: 0, awayGoals: 0 };
+                            addMatch(
+                                season.season,
+                                leg.matchName,
+                                leg.homeTeam.id,
+                                leg.awayTeam.id,
+                                leg.homeGoals + extra.homeGoals,
+                                leg.awayGoals + extra.awayGoals,
+                                leg.penalties ? `ركلات الترجيح ${leg.penalties.homeGoals} - ${leg.penalties.awayGoals}` : null
+                            );
+                        });
+                    });
+            });
+
+            return record;
+
+        } catch (error) {
+            console.error('Error calculating all-time head to head:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get every team that appears in the archive, for selectors
+     */
+    getArchivedTeams() {
+        const teams = {};
+        this.loadArchive().seasons.forEach(season => {
+            season.teams.forEach(team => {
+                teams[team.id] = { id: team.id, name: team.name, logo: team.logo };
+            });
+        });
+        return Object.values(teams);
+    }
+}
+
+export default ArchiveEngine;
\ No newline at end of file
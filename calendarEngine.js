@@ -0,0 +1,271 @@
+/**
+ * Calendar Engine for Salfoon Ramadan League Platform
+ * Maps Ramadan day numbers to Gregorian dates and real match datetimes in the league timezone
+ */
+
+import LocalStorageManager from './storage.js';
+
+class CalendarEngine {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.defaultTimezone = 'Asia/Aden';
+        this.defaultTime = '21:00';
+        this.firstMatchDay = 3;
+        this.hijriCalendar = 'islamic-umalqura';
+        this.ramadanMonth = 9;
+        this.dayLength = 24 * 60 * 60 * 1000;
+        // Kickoffs before this hour belong to the previous evening (after midnight)
+        this.lateNightCutoffHour = 6;
+    }
+
+    /**
+     * Get calendar settings from config
+     */
+    getSettings() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const tournament = configData?.tournament || {};
+        const calendar = tournament.calendar || {};
+
+        return {
+            timezone: calendar.timezone || this.defaultTimezone,
+            ramadanStart: calendar.ramadanStart || null,
+            hijriYear: calendar.hijriYear || null,
+            startDate: tournament.startDate || null
+        };
+    }
+
+    /**
+     * Get the Gregorian date (YYYY-MM-DD) of 1 Ramadan
+     * An explicit ramadanStart wins, then the chosen Hijri year, then the tournament start date
+     */
+    getRamadanStartDate() {
+        try {
+            const settings = this.getSettings();
+
+            if (settings.ramadanStart) {
+                return this.normalizeDate(settings.ramadanStart);
+            }
+
+            if (settings.hijriYear) {
+                const hijriStart = this.findHijriMonthStart(parseInt(settings.hijriYear), this.ramadanMonth);
+                if (hijriStart) {
+                    return hijriStart;
+                }
+            }
+
+            if (settings.startDate) {
+                // startDate is the first match day of the tournament
+                return this.addDays(this.normalizeDate(settings.startDate), -(this.firstMatchDay - 1));
+            }
+
+            throw new Error('No tournament start date configured');
+        } catch (error) {
+            console.error('Error getting Ramadan start date:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Find the Gregorian date of the first day of a Hijri month (Umm al-Qura calendar)
+     */
+    findHijriMonthStart(hijriYear, hijriMonth) {
+        try {
+            const formatter = new Intl.DateTimeFormat(`en-u-ca-${this.hijriCalendar}-nu-latn`, {
+                timeZone: 'UTC',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric'
+            });
+
+            // Arithmetic estimate, then search nearby days for the exact start
+            const islamicEpoch = Date.UTC(622, 6, 16);
+            const monthsSinceEpoch = (hijriYear - 1) * 12 + (hijriMonth - 1);
+            const estimate = islamicEpoch + Math.round(monthsSinceEpoch * 29.530588853) * this.dayLength;
+
+            for (let offset = -5; offset <= 5; offset++) {
+                const date = new Date(estimate + offset * this.dayLength);
+                const parts = {};
+                formatter.formatToParts(date).forEach(part => {
+                    parts[part.type] = part.value;
+                });
+
+                if (parseInt(parts.year) === hijriYear && parseInt(parts.month) === hijriMonth && parseInt(parts.day) === 1) {
+                    return date.toISOString().slice(0, 10);
+                }
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Error finding Hijri month start:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the Gregorian date (YYYY-MM-DD) of a Ramadan day
+     */
+    getDateForDay(day) {
+        const ramadanStart = this.getRamadanStartDate();
+        if (!ramadanStart || typeof day !== 'number') {
+            return null;
+        }
+        return this.addDays(ramadanStart, day - 1);
+    }
+
+    /**
+     * Get the exact kickoff instant for a Ramadan day and local time in the league timezone
+     */
+    getDateTime(day, time = null) {
+        try {
+            const date = this.getDateForDay(day);
+            if (!date) {
+                return null;
+            }
+
+            const [hours, minutes] = (time || this.defaultTime).split(':').map(value => parseInt(value));
+            const calendarDate = hours < this.lateNightCutoffHour ? this.addDays(date, 1) : date;
+
+            return this.zonedTimeToDate(calendarDate, hours, minutes, this.getSettings().timezone);
+        } catch (error) {
+            console.error('Error getting match datetime:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the kickoff instant for a match
+     */
+    getMatchDateTime(match) {
+        if (!match) {
+            return null;
+        }
+        return this.getDateTime(match.day, match.scheduledTime);
+    }
+
+    /**
+     * Get the current Ramadan day in the league timezone (may fall outside 1-30)
+     */
+    getCurrentRamadanDay(now = new Date()) {
+        const ramadanStart = this.getRamadanStartDate();
+        if (!ramadanStart) {
+            return null;
+        }
+
+        const today = this.getLocalDate(now, this.getSettings().timezone);
+        return Math.round((Date.parse(today) - Date.parse(ramadanStart)) / this.dayLength) + 1;
+    }
+
+    /**
+     * Check whether a Ramadan day is today in the league timezone
+     */
+    isToday(day, now = new Date()) {
+        return this.getCurrentRamadanDay(now) === day;
+    }
+
+    /**
+     * Get time remaining until a match kicks off
+     */
+    getTimeUntil(match, now = new Date()) {
+        const kickoff = this.getMatchDateTime(match);
+        if (!kickoff) {
+            return null;
+        }
+
+        const totalMs = Math.max(0, kickoff.getTime() - now.getTime());
+        return {
+            kickoff: kickoff,
+            totalMs: totalMs,
+            days: Math.floor(totalMs / this.dayLength),
+            hours: Math.floor((totalMs % this.dayLength) / (60 * 60 * 1000)),
+            minutes: Math.floor((totalMs % (60 * 60 * 1000)) / (60 * 1000)),
+            seconds: Math.floor((totalMs % (60 * 1000)) / 1000),
+            started: totalMs === 0
+        };
+    }
+
+    /**
+     * Format the Gregorian date of a Ramadan day in Arabic
+     */
+    formatDate(day) {
+        const date = this.getDateForDay(day);
+        if (!date) {
+            return '';
+        }
+
+        return new Intl.DateTimeFormat('ar-u-ca-gregory', {
+            timeZone: 'UTC',
+            weekday: 'long',
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        }).format(new Date(`${date}T00:00:00Z`));
+    }
+
+    /**
+     * Convert a wall-clock time in a timezone to a Date
+     */
+    zonedTimeToDate(date, hours, minutes, timeZone) {
+        const [year, month, dayOfMonth] = date.split('-').map(value => parseInt(value));
+        const wallClock = Date.UTC(year, month - 1, dayOfMonth, hours, minutes);
+
+        // Apply the zone offset, then correct once in case the offset differs at the result (DST)
+        let instant = wallClock - this.getTimezoneOffset(new Date(wallClock), timeZone);
+        instant = wallClock - this.getTimezoneOffset(new Date(instant), timeZone);
+
+        return new Date(instant);
+    }
+
+    /**
+     * Get a timezone's UTC offset in milliseconds at an instant
+     */
+    getTimezoneOffset(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - (date.getTime() - date.getMilliseconds());
+    }
+
+    /**
+     * Get the local calendar date (YYYY-MM-DD) of an instant in a timezone
+     */
+    getLocalDate(date, timeZone) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    addDays(date, days) {
+        return new Date(Date.parse(`${date}T00:00:00Z`) + days * this.dayLength).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Normalize a date string to YYYY-MM-DD
+     */
+    normalizeDate(date) {
+        const parsed = new Date(date);
+        if (isNaN(parsed.getTime())) {
+            throw new Error(`Invalid date: ${date}`);
+        }
+        return parsed.toISOString().slice(0, 10);
+    }
+}
+
+export default CalendarEngine;
\ No newline at end of file
@@ -0,0 +1,306 @@
+/**
+ * Discipline Engine for Salfoon Ramadan League Platform
+ * Handles yellow/red card records and automatic suspensions
+ */
+
+import LocalStorageManager from './storage.js';
+
+class DisciplineEngine {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.defaultSettings = {
+            yellowCardThreshold: 3,
+            yellowAccumulationSuspension: 1,
+            secondYellowSuspension: 1,
+            redCardSuspension: 1,
+            fairPlayPoints: {
+                yellowCard: 1,
+                redCard: 3
+            }
+        };
+    }
+
+    /**
+     * Get discipline settings from config, falling back to defaults
+     */
+    getSettings() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        return {
+            ...this.defaultSettings,
+            ...(configData?.tournament?.discipline || {})
+        };
+    }
+
+    /**
+     * Get card totals per player, optionally for a single team
+     */
+    getCardRecords(teamId = null) {
+        try {
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+
+            if (!matchesData || !teamsData) {
+                throw new Error('Failed to load required data');
+            }
+
+            const records = {};
+
+            matchesData.matches
+                .filter(match => match.status === 'played' && match.events)
+                .forEach(match => {
+                    match.events
+                        .filter(event => event.type === 'yellow_card' || event.type === 'red_card')
+                        .forEach(event => {
+                            if (teamId && event.team !== teamId) return;
+
+                            const key = `${event.team}#${event.playerId || event.player}`;
+                            if (!records[key]) {
+                                const team = teamsData.teams.find(t => t.id === event.team);
+                                const player = this.findSquadPlayer(team, event.playerId, event.player);
+                                records[key] = {
+                                    teamId: event.team,
+                                    playerId: event.playerId || null,
+                                    number: player ? player.number : event.player,
+                                    name: player ? player.name.trim() : `#${event.player}`,
+                                    yellowCards: 0,
+                                    redCards: 0
+                                };
+                            }
+
+                            if (event.type === 'yellow_card') {
+                                records[key].yellowCards += 1;
+                            } else {
+                                records[key].redCards += 1;
+                            }
+                        });
+                });
+
+            return Object.values(records)
+                .sort((a, b) => (b.redCards - a.redCards) || (b.yellowCards - a.yellowCards));
+
+        } catch (error) {
+            console.error('Error getting card records:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Calculate fair-play points per team from recorded cards (lower is better)
+     */
+    calculateFairPlayPoints(matches = null) {
+        try {
+            const matchesData = matches || this.storage.load(this.storage.keys.MATCHES);
+            if (!matchesData) {
+                throw new Error('Failed to load matches data');
+            }
+
+            const allMatches = matchesData.matches ? matchesData.matches : matchesData;
+            const { fairPlayPoints } = this.getSettings();
+            const fairPlay = {};
+
+            allMatches
+                .filter(match => match.status === 'played' && match.events)
+                .forEach(match => {
+                    match.events.forEach(event => {
+                        if (event.type !== 'yellow_card' && event.type !== 'red_card') return;
+
+                        if (!fairPlay[event.team]) {
+                            fairPlay[event.team] = { yellowCards: 0, redCards: 0, points: 0 };
+                        }
+
+                        if (event.type === 'yellow_card') {
+                            fairPlay[event.team].yellowCards += 1;
+                            fairPlay[event.team].points += fairPlayPoints.yellowCard;
+                        } else {
+                            fairPlay[event.team].redCards += 1;
+                            fairPlay[event.team].points += fairPlayPoints.redCard;
+                        }
+                    });
+                });
+
+            return fairPlay;
+
+        } catch (error) {
+            console.error('Error calculating fair-play points:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get fair-play table for all teams, best conduct first
+     */
+    getFairPlayTable() {
+        try {
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            if (!teamsData) {
+                throw new Error('Failed to load teams data');
+            }
+
+            const fairPlay = this.calculateFairPlayPoints();
+
+            return teamsData.teams
+                .map(team => ({
+                    teamId: team.id,
+                    teamName: team.name,
+                    logo: team.logo,
+                    yellowCards: fairPlay[team.id]?.yellowCards || 0,
+                    redCards: fairPlay[team.id]?.redCards || 0,
+                    points: fairPlay[team.id]?.points || 0
+                }))
+                .sort((a, b) => (a.points - b.points) || a.teamName.localeCompare(b.teamName, 'ar'))
+                .map((team, index) => ({ ...team, position: index + 1 }));
+
+        } catch (error) {
+            console.error('Error getting fair-play table:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Work out every suspension from recorded cards, in match order
+     */
+    calculateSuspensions() {
+        try {
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+
+            if (!matchesData || !teamsData) {
+                throw new Error('Failed to load required data');
+            }
+
+            const settings = this.getSettings();
+            const suspensions = [];
+
+            teamsData.teams.forEach(team => {
+                // Postponed matches do not count towards serving a ban
+                const teamMatches = matchesData.matches
+                    .filter(match => (match.homeTeam === team.id || match.awayTeam === team.id) && 
+                        match.status !== 'postponed')
+                    .sort((a, b) => (a.day - b.day) || a.id.localeCompare(b.id));
+
+                const yellowCounts = {};
+
+                teamMatches.forEach((match, matchIndex) => {
+                    if (match.status !== 'played' || !match.events) return;
+
+                    // Collect cards per player for this match (by player ID, so a changed shirt number keeps the record)
+                    const matchCards = {};
+                    match.events
+                        .filter(event => event.team === team.id && 
+                            (event.type === 'yellow_card' || event.type === 'red_card'))
+                        .forEach(event => {
+                            const key = event.playerId || `#${event.player}`;
+                            if (!matchCards[key]) {
+                                matchCards[key] = { playerId: event.playerId || null, number: event.player, yellow: 0, red: 0 };
+                            }
+                            if (event.type === 'yellow_card') {
+                                matchCards[key].yellow += 1;
+                            } else {
+                                matchCards[key].red += 1;
+                            }
+                        });
+
+                    Object.entries(matchCards).forEach(([playerKey, cards]) => {
+                        let reason = null;
+                        let matchesToServe = 0;
+
+                        if (cards.yellow >= 2) {
+                            // Two yellows in one match is a sending off and does not count towards accumulation
+                            reason = 'second_yellow';
+                            matchesToServe = settings.secondYellowSuspension;
+                        } else {
+                            yellowCounts[playerKey] = (yellowCounts[playerKey] || 0) + cards.yellow;
+
+                            if (cards.red > 0) {
+                                reason = 'red_card';
+                                matchesToServe = settings.redCardSuspension;
+                            } else if (cards.yellow > 0 && settings.yellowCardThreshold > 0 &&
+                                yellowCounts[playerKey] % settings.yellowCardThreshold === 0) {
+                                reason = 'yellow_accumulation';
+                                matchesToServe = settings.yellowAccumulationSuspension;
+                            }
+                        }
+
+                        if (!reason || matchesToServe <= 0) return;
+
+                        const player = this.findSquadPlayer(team, cards.playerId, cards.number);
+                        const playerNumber = player ? player.number : cards.number;
+                        const coveredMatches = teamMatches.slice(matchIndex + 1, matchIndex + 1 + matchesToServe);
+                        const servedCount = coveredMatches.filter(m => m.status === 'played').length;
+
+                        suspensions.push({
+                            teamId: team.id,
+                            teamName: team.name,
+                            playerId: cards.playerId,
+                            playerNumber: playerNumber,
+                            playerName: player ? player.name.trim() : `#${playerNumber}`,
+                            reason: reason,
+                            reasonText: this.getReasonText(reason),
+                            triggerMatchId: match.id,
+                            triggerDay: match.day,
+                            matchesToServe: matchesToServe,
+                            matchIds: coveredMatches.map(m => m.id),
+                            servedCount: servedCount,
+                            active: servedCount < matchesToServe
+                        });
+                    });
+                });
+            });
+
+            return suspensions;
+
+        } catch (error) {
+            console.error('Error calculating suspensions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get suspensions, optionally for a single team
+     */
+    getSuspensions(teamId = null, activeOnly = false) {
+        return this.calculateSuspensions().filter(suspension => 
+            (!teamId || suspension.teamId === teamId) && (!activeOnly || suspension.active)
+        );
+    }
+
+    /**
+     * Get players suspended for a given match
+     */
+    getSuspendedPlayersForMatch(matchId) {
+        return this.calculateSuspensions().filter(suspension => suspension.matchIds.includes(matchId));
+    }
+
+    /**
+     * Check whether a player is suspended for a given match
+     */
+    isPlayerSuspended(teamId, playerNumber, matchId) {
+        return this.getSuspendedPlayersForMatch(matchId).some(suspension => 
+            suspension.teamId === teamId && suspension.playerNumber === playerNumber
+        );
+    }
+
+    /**
+     * Find a squad player by registry ID, or by shirt number for cards recorded before the registry
+     */
+    findSquadPlayer(team, playerId, number) {
+        const squad = team?.squad || [];
+        return playerId ? 
+            squad.find(player => player.playerId === playerId) || null : 
+            squad.find(player => player.number === number) || null;
+    }
+
+    /**
+     * Get suspension reason text in Arabic
+     */
+    getReasonText(reason) {
+        const reasonMap = {
+            'red_card': 'بطاقة حمراء',
+            'second_yellow': 'إنذار ثانٍ في المباراة',
+            'yellow_accumulation': 'تراكم البطاقات الصفراء'
+        };
+        return reasonMap[reason] || reason;
+    }
+}
+
+export default DisciplineEngine;
\ No newline at end of file
@@ -0,0 +1,349 @@
+/**
+ * Fixture Generator for Salfoon Ramadan League Platform
+ * Builds round-robin schedules (circle method) across the allowed Ramadan nights
+ */
+
+import LocalStorageManager from './storage.js';
+import TournamentSystem from './tournamentEngine.js';
+import MatchEngine from './matchEngine.js';
+import FixturesEngine from './fixturesEngine.js';
+
+class FixtureGenerator {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.tournament = new TournamentSystem();
+        this.matchEngine = new MatchEngine();
+        this.fixturesEngine = new FixturesEngine();
+        this.defaultConstraints = {
+            matchesPerNight: 1,
+            avoidBackToBack: true,
+            blackoutDays: [],
+            kickoffTimes: ['21:00', '22:30']
+        };
+    }
+
+    /**
+     * Get scheduling constraints from config, merged with any overrides
+     */
+    getConstraints(overrides = {}) {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const constraints = {
+            ...this.defaultConstraints,
+            startDay: this.matchEngine.ramadanDayRange.min,
+            endDay: this.matchEngine.ramadanDayRange.max,
+            format: this.tournament.getLeagueFormat(),
+            ...(configData?.tournament?.scheduling || {}),
+            ...overrides
+        };
+
+        return {
+            ...constraints,
+            matchesPerNight: parseInt(constraints.matchesPerNight),
+            startDay: parseInt(constraints.startDay),
+            endDay: parseInt(constraints.endDay),
+            avoidBackToBack: constraints.avoidBackToBack !== false,
+            blackoutDays: (constraints.blackoutDays || []).map(day => parseInt(day)).filter(day => !isNaN(day))
+        };
+    }
+
+    /**
+     * Validate scheduling constraints
+     */
+    validateConstraints(constraints) {
+        const { min, max } = this.matchEngine.ramadanDayRange;
+
+        if (!this.tournament.roundRobinFormats[constraints.format]) {
+            return { valid: false, error: `Invalid format. Must be one of: ${Object.keys(this.tournament.roundRobinFormats).join(', ')}` };
+        }
+
+        if (isNaN(constraints.matchesPerNight) || constraints.matchesPerNight < 1) {
+            return { valid: false, error: 'At least one match per night is required' };
+        }
+
+        if (!Array.isArray(constraints.kickoffTimes) || constraints.kickoffTimes.length < constraints.matchesPerNight) {
+            return { valid: false, error: 'A kickoff time is required for every match slot in a night' };
+        }
+
+        const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+        if (constraints.kickoffTimes.some(time => !timeRegex.test(time))) {
+            return { valid: false, error: 'Invalid kickoff time format. Use HH:MM format' };
+        }
+
+        if (isNaN(constraints.startDay) || isNaN(constraints.endDay) ||
+            constraints.startDay < min || constraints.endDay > max || constraints.startDay > constraints.endDay) {
+            return { valid: false, error: `Schedule must fall between Ramadan days ${min} and ${max}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Generate round pairings with the circle method
+     * One team stays fixed while the others rotate; odd team counts get a bye slot.
+     * The fixed team alternates venues and the left-hand side of the circle hosts,
+     * which keeps every team within one game of an even home/away split.
+     */
+    generateRounds(teamIds, legs = 1) {
+        const slots = teamIds.length % 2 === 1 ? [...teamIds, null] : [...teamIds];
+        const slotCount = slots.length;
+        const fixed = slots[0];
+        const rotating = slots.slice(1);
+        const firstLeg = [];
+
+        for (let round = 0; round < slotCount - 1; round++) {
+            const order = [fixed, ...rotating];
+            const matches = [];
+            let bye = null;
+
+            for (let i = 0; i < slotCount / 2; i++) {
+                const teamA = order[i];
+                const teamB = order[slotCount - 1 - i];
+
+                if (teamA === null || teamB === null) {
+                    bye = teamA || teamB;
+                    continue;
+                }
+
+                const hostsFirst = i > 0 || round % 2 === 0;
+                matches.push(hostsFirst ? 
+                    { homeTeam: teamA, awayTeam: teamB } : 
+                    { homeTeam: teamB, awayTeam: teamA });
+            }
+
+            firstLeg.push({ round: round + 1, matches, bye });
+            rotating.unshift(rotating.pop());
+        }
+
+        if (legs < 2) {
+            return firstLeg;
+        }
+
+        // Second leg repeats the first with home and away swapped
+        const secondLeg = firstLeg.map(round => ({
+            round: round.round + firstLeg.length,
+            matches: round.matches.map(match => ({ homeTeam: match.awayTeam, awayTeam: match.homeTeam })),
+            bye: round.bye
+        }));
+
+        return [...firstLeg, ...secondLeg];
+    }
+
+    /**
+     * Assign round matches to nights, respecting the scheduling constraints
+     */
+    assignNights(rounds, constraints) {
+        const nights = [];
+        for (let day = constraints.startDay; day <= constraints.endDay; day++) {
+            if (!constraints.blackoutDays.includes(day)) {
+                nights.push(day);
+            }
+        }
+
+        const pending = [];
+        rounds.forEach(round => {
+            round.matches.forEach(match => pending.push({ ...match, round: round.round }));
+        });
+
+        const teamNights = {};
+        const scheduled = [];
+
+        nights.forEach(day => {
+            let slot = 0;
+
+            // Matches may be pulled forward by at most one round, so rounds stay in order
+            const latestRound = pending.length > 0 ? pending[0].round + 1 : 0;
+
+            for (let i = 0; i < pending.length && slot < constraints.matchesPerNight; i++) {
+                const match = pending[i];
+                const teams = [match.homeTeam, match.awayTeam];
+
+                if (match.round > latestRound) break;
+
+                const clash = teams.some(teamId => {
+                    const played = teamNights[teamId] || [];
+                    return played.includes(day) || (constraints.avoidBackToBack && played.includes(day - 1));
+                });
+                if (clash) continue;
+
+                teams.forEach(teamId => {
+                    teamNights[teamId] = [...(teamNights[teamId] || []), day];
+                });
+
+                scheduled.push({ ...match, day, scheduledTime: constraints.kickoffTimes[slot] });
+                pending.splice(i, 1);
+                i--;
+                slot++;
+            }
+        });
+
+        return { scheduled, unscheduled: pending };
+    }
+
+    /**
+     * Generate a schedule preview without saving anything
+     */
+    generatePreview(overrides = {}) {
+        try {
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            if (!teamsData) {
+                throw new Error('Failed to load teams data');
+            }
+
+            const teamIds = teamsData.teams.map(team => team.id);
+            if (teamIds.length < this.tournament.minTeams) {
+                throw new Error(`At least ${this.tournament.minTeams} teams are required to generate fixtures`);
+            }
+
+            const constraints = this.getConstraints(overrides);
+            const validation = this.validateConstraints(constraints);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const legs = this.tournament.roundRobinFormats[constraints.format];
+            const rounds = this.generateRounds(teamIds, legs);
+            const { scheduled, unscheduled } = this.assignNights(rounds, constraints);
+
+            if (unscheduled.length > 0) {
+                throw new Error(`Not enough nights between days ${constraints.startDay} and ${constraints.endDay}: ${unscheduled.length} matches could not be scheduled`);
+            }
+
+            const teamNames = {};
+            teamsData.teams.forEach(team => {
+                teamNames[team.id] = team.name;
+            });
+
+            const idWidth = Math.max(2, String(scheduled.length).length);
+            const fixtures = scheduled
+                .sort((a, b) => a.day - b.day || a.scheduledTime.localeCompare(b.scheduledTime))
+                .map((match, index) => ({
+                    id: `match-${String(index + 1).padStart(idWidth, '0')}`,
+                    round: match.round,
+                    day: match.day,
+                    dayName: this.fixturesEngine.ramadanDays[match.day] || `اليوم ${match.day} من رمضان`,
+                    scheduledTime: match.scheduledTime,
+                    homeTeam: match.homeTeam,
+                    awayTeam: match.awayTeam,
+                    homeTeamName: teamNames[match.homeTeam],
+                    awayTeamName: teamNames[match.awayTeam]
+                }));
+
+            const homeAwayBalance = teamIds.map(teamId => ({
+                teamId: teamId,
+                teamName: teamNames[teamId],
+                home: fixtures.filter(fixture => fixture.homeTeam === teamId).length,
+                away: fixtures.filter(fixture => fixture.awayTeam === teamId).length
+            }));
+
+            const byes = rounds
+                .filter(round => round.bye)
+                .map(round => ({ round: round.round, teamId: round.bye, teamName: teamNames[round.bye] }));
+
+            return {
+                success: true,
+                preview: {
+                    format: constraints.format,
+                    legs: legs,
+                    constraints: constraints,
+                    rounds: rounds.length,
+                    fixtures: fixtures,
+                    byes: byes,
+                    homeAwayBalance: homeAwayBalance,
+                    firstDay: fixtures[0]?.day || null,
+                    lastDay: fixtures[fixtures.length - 1]?.day || null,
+                    nightsUsed: new Set(fixtures.map(fixture => fixture.day)).size,
+                    generatedAt: new Date().toISOString()
+                }
+            };
+
+        } catch (error) {
+            console.error('Error generating fixtures preview:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Replace the current schedule with a previewed one
+     * Refused once any result has been recorded, so no played match is lost
+     */
+    commitPreview(preview) {
+        const matchesData = this.storage.load(this.storage.keys.MATCHES) || { matches: [] };
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+
+        try {
+            if (!preview || !Array.isArray(preview.fixtures) || preview.fixtures.length === 0) {
+                throw new Error('A generated preview is required');
+            }
+
+            if (matchesData.matches.some(match => match.status === 'played')) {
+                throw new Error('Cannot replace the schedule after results have been recorded');
+            }
+
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            const teamCount = teamsData ? teamsData.teams.length : 0;
+            const expectedMatches = (teamCount * (teamCount - 1) / 2) * preview.legs;
+            if (preview.fixtures.length !== expectedMatches) {
+                throw new Error('The preview no longer matches the current teams; generate it again');
+            }
+
+            // Save the chosen format so structure validation follows the new schedule
+            if (configData?.tournament) {
+                this.storage.save(this.storage.keys.CONFIG, {
+                    ...configData,
+                    tournament: {
+                        ...configData.tournament,
+                        format: { ...(configData.tournament.format || {}), roundRobin: preview.format }
+                    }
+                });
+            }
+
+            this.storage.save(this.storage.keys.MATCHES, { ...matchesData, matches: [] });
+
+            for (const fixture of preview.fixtures) {
+                const result = this.matchEngine.createMatch({
+                    id: fixture.id,
+                    day: fixture.day,
+                    homeTeam: fixture.homeTeam,
+                    awayTeam: fixture.awayTeam,
+                    scheduledTime: fixture.scheduledTime
+                });
+
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+
+            const structureValidation = this.tournament.validateTournamentStructure();
+            if (!structureValidation.valid) {
+                throw new Error(structureValidation.error);
+            }
+
+            this.matchEngine.recalculateAllStatistics();
+
+            return {
+                success: true,
+                matches: preview.fixtures.length,
+                replaced: matchesData.matches.length
+            };
+
+        } catch (error) {
+            console.error('Error committing fixtures:', error);
+
+            // Put the previous schedule and format back
+            this.storage.save(this.storage.keys.MATCHES, matchesData);
+            if (configData) {
+                this.storage.save(this.storage.keys.CONFIG, configData);
+            }
+
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+export default FixtureGenerator;
\ No newline at end of file
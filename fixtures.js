@@ -5,11 +5,15 @@
 
 import LocalStorageManager from './storage.js';
 import FixturesEngine from './fixturesEngine.js';
+import RatingEngine from './ratingEngine.js';
+import { createPlayerLink } from './playerRegistry.js';
 
 class FixturesController {
     constructor() {
         this.storage = new LocalStorageManager();
         this.fixturesEngine = new FixturesEngine();
+        this.ratingEngine = new RatingEngine();
+        this.ratings = null;
         this.currentView = 'list';
         this.currentFilters = {
             status: 'all',
@@ -49,6 +53,9 @@ class FixturesController {
             // Get match statistics
             const matchStats = this.fixturesEngine.getMatchStatistics();
             
+            // Get power ratings for pre-match probabilities
+            this.ratings = this.ratingEngine.getRatings();
+            
             // Populate team filter
             this.populateTeamFilter();
             
@@ -121,6 +128,7 @@ class FixturesController {
                 <div class="day-header">
                     <h3>${dayGroup.dayName}</h3>
                     <span class="day-number">اليوم ${dayGroup.day}</span>
+                    ${dayGroup.dateText ? `<span class="day-date">${dayGroup.dateText}</span>` : ''}
                 </div>
                 <div class="day-matches">
                     ${dayGroup.matches.map(match => this.createMatchCard(match)).join('')}
@@ -178,6 +186,7 @@ class FixturesController {
                 grouped[fixture.day] = {
                     day: fixture.day,
                     dayName: fixture.dayName,
+                    dateText: fixture.dateText,
                     matches: []
                 };
             }
@@ -190,6 +199,8 @@ class FixturesController {
     createMatchCard(match) {
         const statusClass = match.status;
         const resultClass = this.fixturesEngine.getMatchResultClass(match);
+        const probabilities = match.status !== 'played' && this.ratings?.ratedMatches > 0 ? 
+            this.ratingEngine.getMatchProbabilities(match.homeTeam, match.awayTeam, this.ratings) : null;
         
         return `
             <div class="match-card ${statusClass} ${resultClass}" onclick="window.fixturesController.showMatchDetails('${match.id}')">
@@ -221,12 +232,24 @@ class FixturesController {
                     </div>
                 </div>
                 
+                ${probabilities ? `
+                    <div class="match-probabilities" title="توقعات مبنية على تصنيف الفريقين">
+                        <span class="probability home-win">${match.homeTeamInfo.shortName} ${probabilities.homeWin}%</span>
+                        <span class="probability draw">تعادل ${probabilities.draw}%</span>
+                        <span class="probability away-win">${match.awayTeamInfo.shortName} ${probabilities.awayWin}%</span>
+                    </div>
+                ` : ''}
+                
                 ${match.status === 'postponed' && match.postponementReason ? 
                     `<div class="postponement-reason">السبب: ${match.postponementReason}</div>` : ''
                 }
                 
-                ${match.bestPlayer ? 
-                    `<div class="best-player">أفضل لاعب: ${match.bestPlayer}</div>` : ''
+                ${match.originalSchedule ? 
+                    `<div class="rescheduled-note">مؤجلة من ${this.fixturesEngine.ramadanDays[match.originalSchedule.day] || `اليوم ${match.originalSchedule.day}`}</div>` : ''
+                }
+                
+                ${match.bestPlayerName ? 
+                    `<div class="best-player">أفضل لاعب: ${match.bestPlayerName}</div>` : ''
                 }
             </div>
         `;
@@ -313,6 +336,7 @@ class FixturesController {
         document.getElementById('team-filter')?.addEventListener('change', (e) => {
             this.currentFilters.team = e.target.value;
             this.applyFilters();
+            this.updateCalendarFeedButton();
         });
 
         document.getElementById('week-filter')?.addEventListener('change', (e) => {
@@ -346,6 +370,10 @@ class FixturesController {
             this.exportFixtures();
         });
 
+        document.getElementById('calendar-feed')?.addEventListener('click', () => {
+            this.addTeamToCalendar(this.currentFilters.team);
+        });
+
         // Modal controls
         document.querySelector('.close-modal')?.addEventListener('click', () => {
             this.closeModal();
@@ -458,7 +486,7 @@ class FixturesController {
         modalBody.innerHTML = `
             <div class="match-details">
                 <div class="match-header">
-                    <div class="match-date">${match.dayName}</div>
+                    <div class="match-date">${match.dayName}${match.dateText ? ` - ${match.dateText}` : ''}</div>
                     <div class="match-time">${match.formattedTime}</div>
                     <div class="match-status ${match.status}">${match.statusText}</div>
                 </div>
@@ -484,10 +512,26 @@ class FixturesController {
                     </div>
                 </div>
                 
-                ${match.bestPlayer ? `
+                ${match.status === 'played' && match.events && match.events.length > 0 ? `
+                    <div class="match-info">
+                        <h4>أحداث المباراة</h4>
+                        <ul class="match-events">
+                            ${this.fixturesEngine.getMatchEvents(match).map(event => `
+                                <li class="match-event ${event.side} ${event.type}">
+                                    <span class="event-minute">${event.minute}'</span>
+                                    <span class="event-player">${createPlayerLink(event.playerId, event.playerName)}</span>
+                                    ${event.type !== 'goal' ? `<span class="event-type">(${event.typeText})</span>` : ''}
+                                    ${event.assistName ? `<span class="event-assist">صناعة: ${createPlayerLink(event.assistId, event.assistName)}</span>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                
+                ${match.bestPlayerName ? `
                     <div class="match-info">
                         <h4>أفضل لاعب في المباراة</h4>
-                        <p>${match.bestPlayer}</p>
+                        <p>${createPlayerLink(match.bestPlayerId, match.bestPlayerName)}</p>
                     </div>
                 ` : ''}
                 
@@ -498,7 +542,23 @@ class FixturesController {
                     </div>
                 ` : ''}
                 
+                ${match.rescheduleHistory && match.rescheduleHistory.length > 0 ? `
+                    <div class="match-info reschedule-history">
+                        <h4>سجل تغيير الموعد</h4>
+                        <ul>
+                            ${this.fixturesEngine.getRescheduleHistory(match).map(move => `
+                                <li>
+                                    من ${move.fromDayName} (${move.fromTime}) إلى ${move.toDayName} (${move.toTime})
+                                    ${move.postponementReason ? `<span class="move-reason">- سبب التأجيل: ${move.postponementReason}</span>` : ''}
+                                    ${move.reason ? `<span class="move-reason">- ${move.reason}</span>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                
                 <div class="match-actions">
+                    <button onclick="window.fixturesController.addMatchToCalendar('${match.id}')" class="btn-primary">📅 إضافة إلى التقويم</button>
                     <button onclick="window.fixturesController.closeModal()" class="btn-secondary">إغلاق</button>
                 </div>
             </div>
@@ -520,27 +580,75 @@ class FixturesController {
 
     exportFixtures() {
         try {
-            const fixtures = this.fixturesEngine.getAllFixtures();
             const csvContent = this.fixturesEngine.exportFixtures('csv');
-            
-            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-            const link = document.createElement('a');
-            
-            if (link.download !== undefined) {
-                const url = URL.createObjectURL(blob);
-                link.setAttribute('href', url);
-                link.setAttribute('download', 'fixtures_salfoon_ramadan_league.csv');
-                link.style.visibility = 'hidden';
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
-            }
+            this.downloadFile(csvContent, 'fixtures_salfoon_ramadan_league.csv', 'text/csv;charset=utf-8;');
         } catch (error) {
             console.error('Error exporting fixtures:', error);
             this.showError('حدث خطأ في تصدير الجدول');
         }
     }
 
+    /**
+     * Download a single match as an .ics event
+     */
+    addMatchToCalendar(matchId) {
+        try {
+            const icsContent = this.fixturesEngine.exportFixtures('ics', { matchId });
+            if (!icsContent) throw new Error('Calendar export failed');
+
+            this.downloadFile(icsContent, `salfoon_${matchId}.ics`, 'text/calendar;charset=utf-8;');
+        } catch (error) {
+            console.error('Error adding match to calendar:', error);
+            this.showError('حدث خطأ في إنشاء ملف التقويم');
+        }
+    }
+
+    /**
+     * Download the calendar feed for one team, or the whole league when no team is selected
+     */
+    addTeamToCalendar(teamId = 'all') {
+        try {
+            const options = teamId && teamId !== 'all' ? { teamId } : {};
+            const icsContent = this.fixturesEngine.exportFixtures('ics', options);
+            if (!icsContent) throw new Error('Calendar export failed');
+
+            const filename = options.teamId ? `salfoon_${options.teamId}.ics` : 'salfoon_ramadan_league.ics';
+            this.downloadFile(icsContent, filename, 'text/calendar;charset=utf-8;');
+        } catch (error) {
+            console.error('Error exporting team calendar:', error);
+            this.showError('حدث خطأ في إنشاء ملف التقويم');
+        }
+    }
+
+    /**
+     * Label the calendar feed button after the selected team
+     */
+    updateCalendarFeedButton() {
+        const button = document.getElementById('calendar-feed');
+        const teamFilter = document.getElementById('team-filter');
+        if (!button || !teamFilter) return;
+
+        const teamName = teamFilter.options[teamFilter.selectedIndex]?.textContent;
+        button.textContent = this.currentFilters.team !== 'all' && teamName ? 
+            `📅 إضافة مباريات ${teamName} إلى التقويم` : '📅 إضافة الدوري إلى التقويم';
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        
+        if (link.download !== undefined) {
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }
+    }
+
     toggleTheme() {
         document.body.classList.toggle('dark-theme');
         
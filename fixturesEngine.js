@@ -4,10 +4,16 @@
  */
 
 import LocalStorageManager from './storage.js';
+import CalendarEngine from './calendarEngine.js';
+import PlayerRegistry from './playerRegistry.js';
 
 class FixturesEngine {
     constructor() {
         this.storage = new LocalStorageManager();
+        this.calendar = new CalendarEngine();
+        this.playerRegistry = new PlayerRegistry();
+        this.defaultVenue = 'ملعب سالفون الرئيسي';
+        this.matchDurationMinutes = 90;
         this.ramadanDays = {
             3: 'الثالث من رمضان',
             4: 'الرابع من رمضان',
@@ -38,6 +44,8 @@ class FixturesEngine {
      */
     getAllFixtures() {
         try {
+            // Loading the registry first links any legacy player data in the matches
+            const registry = this.playerRegistry.getRegistry();
             const matchesData = this.storage.load(this.storage.keys.MATCHES);
             const teamsData = this.storage.load(this.storage.keys.TEAMS);
 
@@ -57,9 +65,12 @@ class FixturesEngine {
                 homeTeamInfo: teamMap[match.homeTeam],
                 awayTeamInfo: teamMap[match.awayTeam],
                 dayName: this.ramadanDays[match.day],
+                date: this.calendar.getDateForDay(match.day),
+                dateText: this.calendar.formatDate(match.day),
                 formattedTime: this.formatTime(match.scheduledTime),
                 statusText: this.getStatusText(match.status),
-                resultText: this.getResultText(match)
+                resultText: this.getResultText(match),
+                bestPlayerName: this.playerRegistry.getPlayerName(match.bestPlayerId, registry) || match.bestPlayer || null
             }));
 
             return this.sortBySchedule(fixtures);
@@ -194,6 +205,7 @@ class FixturesEngine {
                     groupedFixtures[day] = {
                         day: day,
                         dayName: this.ramadanDays[day],
+                        dateText: fixture.dateText,
                         matches: []
                     };
                 }
@@ -440,12 +452,83 @@ class FixturesEngine {
         return statusMap[status] || status;
     }
 
+    /**
+     * Get match event type text in Arabic
+     */
+    getEventTypeText(type) {
+        const typeMap = {
+            'goal': 'هدف',
+            'own_goal': 'هدف عكسي',
+            'penalty': 'ركلة جزاء',
+            'yellow_card': 'بطاقة صفراء',
+            'red_card': 'بطاقة حمراء'
+        };
+        return typeMap[type] || type;
+    }
+
+    /**
+     * Get a match's reschedule history with day names for display
+     */
+    getRescheduleHistory(match) {
+        return (match.rescheduleHistory || []).map(move => ({
+            ...move,
+            fromDayName: this.ramadanDays[move.fromDay] || `اليوم ${move.fromDay} من رمضان`,
+            toDayName: this.ramadanDays[move.toDay] || `اليوم ${move.toDay} من رمضان`,
+            fromTime: this.formatTime(move.fromTime),
+            toTime: this.formatTime(move.toTime)
+        }));
+    }
+
+    /**
+     * Get match events with player names for display
+     */
+    getMatchEvents(match) {
+        try {
+            if (!match || !match.events || match.events.length === 0) {
+                return [];
+            }
+
+            const registry = this.playerRegistry.getRegistry();
+            const findPlayer = (teamId, playerId, number) => {
+                const registeredName = this.playerRegistry.getPlayerName(playerId, registry);
+                if (registeredName) return registeredName;
+
+                const teamInfo = teamId === match.homeTeam ? match.homeTeamInfo : match.awayTeamInfo;
+                const player = teamInfo && teamInfo.squad ? 
+                    teamInfo.squad.find(p => p.number === number) : null;
+                return player ? player.name.trim() : `#${number}`;
+            };
+
+            return match.events.map(event => {
+                // Own goals are shown on the side of the team that benefits
+                const scoringTeam = event.type === 'own_goal' ?
+                    (event.team === match.homeTeam ? match.awayTeam : match.homeTeam) :
+                    event.team;
+
+                return {
+                    ...event,
+                    side: scoringTeam === match.homeTeam ? 'home' : 'away',
+                    typeText: this.getEventTypeText(event.type),
+                    playerName: findPlayer(event.team, event.playerId, event.player),
+                    assistName: event.assist !== null && event.assist !== undefined ? 
+                        findPlayer(event.team, event.assistId, event.assist) : null
+                };
+            });
+
+        } catch (error) {
+            console.error('Error getting match events:', error);
+            return [];
+        }
+    }
+
     /**
      * Get result text for display
      */
     getResultText(match) {
         if (match.status === 'played' && match.homeGoals !== null && match.awayGoals !== null) {
-            return `${match.homeGoals} - ${match.awayGoals}`;
+            return match.forfeit ? 
+                `${match.homeGoals} - ${match.awayGoals} (انسحاب)` :
+                `${match.homeGoals} - ${match.awayGoals}`;
         } else if (match.status === 'postponed') {
             return 'مؤجلة';
         } else {
@@ -487,12 +570,10 @@ class FixturesEngine {
     }
 
     /**
-     * Check if match is today (based on current Ramadan day)
+     * Check if match is today (based on current Ramadan day in the league timezone)
      */
     isMatchToday(match) {
-        // This would require knowing the current Ramadan day
-        // For now, return false as we don't have real-time date mapping
-        return false;
+        return !!match && this.calendar.isToday(match.day);
     }
 
     /**
@@ -504,21 +585,33 @@ class FixturesEngine {
             return null;
         }
 
-        // This would require real date/time calculation
-        // For now, return match information
+        const timeRemaining = this.calendar.getTimeUntil(nextMatch);
+
         return {
             match: nextMatch,
-            timeRemaining: 'قريباً',
+            kickoff: timeRemaining ? timeRemaining.kickoff : null,
+            timeRemaining: timeRemaining,
             isToday: this.isMatchToday(nextMatch)
         };
     }
 
     /**
      * Export fixtures to different formats
+     * options.teamId limits the export to one team's matches, options.matchId to a single match
      */
-    exportFixtures(format = 'json') {
+    exportFixtures(format = 'json', options = {}) {
         try {
-            const fixtures = this.getAllFixtures();
+            let fixtures = this.getAllFixtures();
+
+            if (options.teamId) {
+                fixtures = fixtures.filter(fixture => 
+                    fixture.homeTeam === options.teamId || fixture.awayTeam === options.teamId
+                );
+            }
+
+            if (options.matchId) {
+                fixtures = fixtures.filter(fixture => fixture.id === options.matchId);
+            }
             
             switch (format.toLowerCase()) {
                 case 'json':
@@ -530,6 +623,9 @@ class FixturesEngine {
                 case 'text':
                     return this.exportToText(fixtures);
                 
+                case 'ics':
+                    return this.exportToICS(fixtures, options);
+                
                 default:
                     throw new Error('Unsupported export format');
             }
@@ -564,6 +660,127 @@ class FixturesEngine {
             `${fixture.dayName}: ${fixture.homeTeamInfo.name} × ${fixture.awayTeamInfo.name} - ${fixture.resultText}`
         ).join('\n');
     }
+
+    /**
+     * Export fixtures to iCalendar (.ics) format, one VEVENT per match
+     * UIDs depend only on the match and season, so a moved match replaces its old event;
+     * SEQUENCE grows with every move and postponed matches are sent as cancelled
+     */
+    exportToICS(fixtures, options = {}) {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const tournament = configData?.tournament || {};
+        const venue = tournament.venue || this.defaultVenue;
+        const leagueName = tournament.shortName || tournament.name || 'دوري سالفون رمضان';
+        const team = options.teamId ? fixtures.map(fixture => 
+            fixture.homeTeam === options.teamId ? fixture.homeTeamInfo : fixture.awayTeamInfo
+        )[0] : null;
+        const stamp = this.formatICSDate(new Date());
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Salfoon Ramadan League//Fixtures//AR',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeICSText(team ? `${leagueName} - ${team.name}` : leagueName)}`,
+            `X-WR-TIMEZONE:${this.calendar.getSettings().timezone}`
+        ];
+
+        fixtures.forEach(fixture => {
+            const kickoff = this.calendar.getMatchDateTime(fixture);
+            if (!kickoff) return;
+
+            const end = new Date(kickoff.getTime() + this.matchDurationMinutes * 60 * 1000);
+            const teams = `${fixture.homeTeamInfo.name} × ${fixture.awayTeamInfo.name}`;
+            const summary = fixture.status === 'played' ? 
+                `${teams} (${fixture.homeGoals} - ${fixture.awayGoals})` : teams;
+            const description = [
+                leagueName,
+                fixture.dayName,
+                fixture.status === 'postponed' && fixture.postponementReason ? 
+                    `مؤجلة: ${fixture.postponementReason}` : fixture.statusText
+            ].filter(Boolean).join('\n');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${this.getEventUID(fixture, tournament.season)}`,
+                `SEQUENCE:${fixture.calendarSequence ?? (fixture.rescheduleHistory || []).length}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${this.formatICSDate(kickoff)}`,
+                `DTEND:${this.formatICSDate(end)}`,
+                `SUMMARY:${this.escapeICSText(summary)}`,
+                `LOCATION:${this.escapeICSText(venue)}`,
+                `DESCRIPTION:${this.escapeICSText(description)}`,
+                `STATUS:${fixture.status === 'postponed' ? 'CANCELLED' : 'CONFIRMED'}`,
+                `LAST-MODIFIED:${this.formatICSDate(new Date(fixture.lastUpdated || Date.now()))}`,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+
+        return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Get a stable calendar UID for a match
+     * Match IDs restart every season, so the UID carries the season's digits and a hash of its full name
+     */
+    getEventUID(match, season = '') {
+        const seasonName = String(season || '');
+        const digits = seasonName
+            .replace(/[٠-٩]/g, digit => digit.charCodeAt(0) - 0x0660)
+            .replace(/[۰-۹]/g, digit => digit.charCodeAt(0) - 0x06F0)
+            .replace(/[^0-9A-Za-z]/g, '');
+        const seasonKey = [digits, this.storage.getSignature(seasonName)].filter(Boolean).join('-');
+        return `${match.id}-${seasonKey}@salfoon-league`;
+    }
+
+    /**
+     * Format a date as an iCalendar UTC timestamp
+     */
+    formatICSDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Escape text values for iCalendar
+     */
+    escapeICSText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold iCalendar lines longer than 75 octets (Arabic text is multi-byte in UTF-8)
+     * Escape pairs such as \\n are kept together so lenient parsers don't break them
+     */
+    foldICSLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line.match(/\\.|[\s\S]/gu) || []) {
+            const charBytes = encoder.encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74;
+
+            if (currentBytes + charBytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+
+            current += char;
+            currentBytes += charBytes;
+        }
+
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
 }
 
 export default FixturesEngine;
\ No newline at end of file
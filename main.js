@@ -8,6 +8,9 @@ import TournamentSystem from './tournamentEngine.js';
 import StandingsEngine from './standingsEngine.js';
 import FixturesEngine from './fixturesEngine.js';
 import NewsEngine from './newsEngine.js';
+import CalendarEngine from './calendarEngine.js';
+import PlayoffEngine from './playoffEngine.js';
+import PlayerRegistry, { createPlayerLink } from './playerRegistry.js';
 
 class MainUIController {
     constructor() {
@@ -16,8 +19,13 @@ class MainUIController {
         this.standings = new StandingsEngine();
         this.fixtures = new FixturesEngine();
         this.news = new NewsEngine();
+        this.calendar = new CalendarEngine();
+        this.playoffs = new PlayoffEngine();
+        this.players = new PlayerRegistry();
         
         this.isLoading = true;
+        this.tournamentPhase = null;
+        this.countdownInterval = null;
         this.currentTheme = 'light';
         
         this.init();
@@ -205,8 +213,15 @@ class MainUIController {
      */
     async loadHomepageContent() {
         try {
+            // Switch to playoff mode once the group stage is over or a bracket exists
+            this.playoffs.loadBracket();
+            this.tournamentPhase = this.playoffs.getTournamentPhase();
+            document.body.classList.toggle('playoff-mode', this.playoffs.isPlayoffMode(this.tournamentPhase));
+
             // Load all content in parallel
             await Promise.all([
+                this.loadHeroStats(),
+                this.loadPlayoffStatus(),
                 this.loadNextMatch(),
                 this.loadLastMatch(),
                 this.loadTopStandings(),
@@ -217,12 +232,32 @@ class MainUIController {
         }
     }
 
+    /**
+     * Load hero statistics from the actual league size
+     */
+    async loadHeroStats() {
+        try {
+            const stats = this.tournament.getTournamentStats();
+            if (!stats) return;
+
+            const teamsCount = document.getElementById('hero-teams-count');
+            const matchesCount = document.getElementById('hero-matches-count');
+            const playoffCount = document.getElementById('hero-playoff-count');
+
+            if (teamsCount) teamsCount.textContent = stats.totalTeams;
+            if (matchesCount) matchesCount.textContent = stats.totalMatches;
+            if (playoffCount) playoffCount.textContent = Math.min(this.tournament.getPlayoffQualifiers(), stats.totalTeams);
+        } catch (error) {
+            console.error('Error loading hero stats:', error);
+        }
+    }
+
     /**
      * Load next match information
      */
     async loadNextMatch() {
         try {
-            const nextMatch = this.tournament.getNextMatch();
+            const nextMatch = this.getNextMatch();
             const nextMatchCard = document.getElementById('next-match-card');
             const countdownTimer = document.getElementById('countdown-timer');
 
@@ -240,8 +275,10 @@ class MainUIController {
                             <span class="team-name">${homeTeam.name}</span>
                         </div>
                         <div class="match-info">
+                            ${nextMatch.matchName ? `<div class="match-stage">${nextMatch.matchName}</div>` : ''}
                             <div class="match-day">اليوم ${nextMatch.day} رمضان</div>
-                            <div class="match-time">${nextMatch.matchTime}</div>
+                            <div class="match-date">${this.calendar.formatDate(nextMatch.day)}</div>
+                            <div class="match-time">${nextMatch.scheduledTime}</div>
                             <div class="vs">×</div>
                         </div>
                         <div class="team away-team">
@@ -265,38 +302,120 @@ class MainUIController {
         }
     }
 
+    /**
+     * Get the next match to feature: the next playoff match in playoff mode, otherwise the next group match
+     */
+    getNextMatch() {
+        if (this.playoffs.isPlayoffMode(this.tournamentPhase)) {
+            const playoffMatch = this.playoffs.getNextPlayoffMatch();
+
+            if (playoffMatch && playoffMatch.day) {
+                return {
+                    ...playoffMatch,
+                    homeTeam: playoffMatch.homeTeam.id,
+                    awayTeam: playoffMatch.awayTeam.id
+                };
+            }
+        }
+
+        return this.tournament.getNextMatch();
+    }
+
+    /**
+     * Load the playoff summary shown on the homepage in playoff mode
+     */
+    async loadPlayoffStatus() {
+        try {
+            const playoffSection = document.getElementById('home-playoff-section');
+            const playoffContent = document.getElementById('home-playoff-content');
+
+            if (!playoffSection || !playoffContent) return;
+
+            if (!this.playoffs.isPlayoffMode(this.tournamentPhase)) {
+                playoffSection.style.display = 'none';
+                return;
+            }
+
+            const storedBracket = this.playoffs.getPlayoffBracket();
+            const bracket = storedBracket || this.playoffs.getProjectedBracket();
+            const champion = storedBracket?.metadata?.champion;
+
+            playoffSection.style.display = 'block';
+            playoffContent.innerHTML = `
+                <div class="playoff-phase-text">${this.playoffs.getPhaseText(this.tournamentPhase)}</div>
+                ${champion ? `
+                    <div class="champion-banner">🏆 ${champion.name} بطل البطولة</div>
+                ` : ''}
+                ${bracket ? `
+                    <div class="playoff-matches-preview">
+                        ${this.playoffs.getAllPlayoffMatches(bracket).map(match => `
+                            <div class="playoff-match-preview ${match.status}">
+                                <span class="match-name">${match.matchName}</span>
+                                <span class="match-teams">
+                                    ${match.homeTeam ? match.homeTeam.name : 'يحدد لاحقاً'}
+                                    ${match.status === 'completed' ? this.playoffs.getResultText(match) : '×'}
+                                    ${match.awayTeam ? match.awayTeam.name : 'يحدد لاحقاً'}
+                                </span>
+                                ${match.status !== 'completed' && match.day ? `
+                                    <span class="match-date">${this.calendar.formatDate(match.day)}</span>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            `;
+        } catch (error) {
+            console.error('Error loading playoff status:', error);
+        }
+    }
+
     /**
      * Start countdown timer for next match
      */
     startCountdown(match, timerElement) {
         if (!timerElement || !match) return;
 
-        // For demo purposes, assume matches are at 8 PM on the specified Ramadan day
-        // In a real implementation, you'd have actual dates
+        if (this.countdownInterval) {
+            clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
+        }
+
+        const pad = (value) => value === null ? '--' : String(value).padStart(2, '0');
+
         const updateTimer = () => {
+            const remaining = this.calendar.getTimeUntil(match);
+
+            if (remaining && remaining.started) {
+                timerElement.innerHTML = '<div class="countdown-started">انطلقت المباراة</div>';
+                clearInterval(this.countdownInterval);
+                this.countdownInterval = null;
+                return false;
+            }
+
             timerElement.innerHTML = `
                 <div class="countdown-item">
-                    <span class="countdown-number">--</span>
+                    <span class="countdown-number">${pad(remaining ? remaining.days : null)}</span>
                     <span class="countdown-label">أيام</span>
                 </div>
                 <div class="countdown-item">
-                    <span class="countdown-number">--</span>
+                    <span class="countdown-number">${pad(remaining ? remaining.hours : null)}</span>
                     <span class="countdown-label">ساعات</span>
                 </div>
                 <div class="countdown-item">
-                    <span class="countdown-number">--</span>
+                    <span class="countdown-number">${pad(remaining ? remaining.minutes : null)}</span>
                     <span class="countdown-label">دقائق</span>
                 </div>
                 <div class="countdown-item">
-                    <span class="countdown-number">--</span>
+                    <span class="countdown-number">${pad(remaining ? remaining.seconds : null)}</span>
                     <span class="countdown-label">ثواني</span>
                 </div>
             `;
+            return true;
         };
 
-        updateTimer();
-        // In a real implementation, you'd calculate actual time difference
-        // setInterval(updateTimer, 1000);
+        if (updateTimer()) {
+            this.countdownInterval = setInterval(updateTimer, 1000);
+        }
     }
 
     /**
@@ -313,6 +432,7 @@ class MainUIController {
                 const teamsData = this.storage.load(this.storage.keys.TEAMS);
                 const homeTeam = teamsData.teams.find(t => t.id === lastMatch.homeTeam);
                 const awayTeam = teamsData.teams.find(t => t.id === lastMatch.awayTeam);
+                const bestPlayerName = this.players.getPlayerName(lastMatch.bestPlayerId) || lastMatch.bestPlayer;
 
                 lastMatchResult.innerHTML = `
                     <div class="result-card">
@@ -333,10 +453,10 @@ class MainUIController {
                                 <img src="${awayTeam.logo}" alt="${awayTeam.name}" class="team-logo">
                             </div>
                         </div>
-                        ${lastMatch.bestPlayer ? `
+                        ${bestPlayerName ? `
                             <div class="best-player">
                                 <span class="best-player-label">أفضل لاعب:</span>
-                                <span class="best-player-name">${lastMatch.bestPlayer}</span>
+                                <span class="best-player-name">${createPlayerLink(lastMatch.bestPlayerId, bestPlayerName)}</span>
                             </div>
                         ` : ''}
                     </div>
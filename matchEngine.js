@@ -5,13 +5,19 @@
 
 import LocalStorageManager from './storage.js';
 import TournamentSystem from './tournamentEngine.js';
+import PlayerRegistry from './playerRegistry.js';
 
 class MatchEngine {
     constructor() {
         this.storage = new LocalStorageManager();
         this.tournament = new TournamentSystem();
+        this.playerRegistry = new PlayerRegistry();
         this.validStatuses = ['scheduled', 'played', 'postponed'];
         this.ramadanDayRange = { min: 3, max: 23 };
+        this.goalEventTypes = ['goal', 'own_goal', 'penalty'];
+        this.cardEventTypes = ['yellow_card', 'red_card'];
+        this.maxEventMinute = 120;
+        this.defaultForfeitScore = { winner: 3, loser: 0 };
     }
 
     /**
@@ -46,11 +52,24 @@ class MatchEngine {
                 homeGoals: matchData.homeGoals || null,
                 awayGoals: matchData.awayGoals || null,
                 status: matchData.status || 'scheduled',
-                bestPlayer: matchData.bestPlayer || null,
+                bestPlayerId: matchData.bestPlayerId || null,
+                events: [],
+                forfeit: null,
                 postponementReason: matchData.postponementReason || null,
+                rescheduleHistory: [],
+                calendarSequence: 0,
                 lastUpdated: new Date().toISOString()
             };
 
+            // Attach event log if provided
+            if (matchData.events && matchData.events.length > 0) {
+                const eventsValidation = this.validateEvents(newMatch, matchData.events);
+                if (!eventsValidation.valid) {
+                    throw new Error(eventsValidation.error);
+                }
+                newMatch.events = eventsValidation.events;
+            }
+
             matchesData.matches.push(newMatch);
             
             // Sort matches by day
@@ -114,17 +133,42 @@ class MatchEngine {
                 match.awayGoals = awayGoals;
             }
 
+            // Update event log if provided, otherwise make sure the existing one still adds up
+            if (result.events !== undefined && result.events !== null) {
+                const eventsValidation = this.validateEvents(match, result.events);
+                if (!eventsValidation.valid) {
+                    throw new Error(eventsValidation.error);
+                }
+                match.events = eventsValidation.events;
+            } else if (match.events && match.events.length > 0) {
+                const eventsValidation = this.validateEvents(match, match.events);
+                if (!eventsValidation.valid) {
+                    throw new Error(eventsValidation.error);
+                }
+            }
+
             // Update status if goals are provided
             if (match.homeGoals !== null && match.awayGoals !== null) {
                 match.status = 'played';
             }
 
-            // Update best player if provided
-            if (result.bestPlayer) {
-                match.bestPlayer = result.bestPlayer;
+            // An entered scoreline replaces any forfeit previously recorded
+            if (result.homeGoals !== null && result.homeGoals !== undefined && match.forfeit) {
+                match.forfeit = null;
+            }
+
+            // Update best player if provided (null clears it)
+            if (result.bestPlayerId !== undefined) {
+                const bestPlayerValidation = this.validateBestPlayer(match, result.bestPlayerId);
+                if (!bestPlayerValidation.valid) {
+                    throw new Error(bestPlayerValidation.error);
+                }
+                match.bestPlayerId = result.bestPlayerId || null;
+                delete match.bestPlayer;
             }
 
             // Update timestamp
+            this.bumpCalendarSequence(match);
             match.lastUpdated = new Date().toISOString();
 
             // Save to storage
@@ -186,6 +230,7 @@ class MatchEngine {
 
             // Update status
             match.status = status;
+            this.bumpCalendarSequence(match);
             match.lastUpdated = new Date().toISOString();
 
             // Handle postponement
@@ -198,7 +243,9 @@ class MatchEngine {
                 if (oldStatus === 'played') {
                     match.homeGoals = null;
                     match.awayGoals = null;
-                    match.bestPlayer = null;
+                    match.bestPlayerId = null;
+                    match.events = [];
+                    match.forfeit = null;
                 }
             } else {
                 match.postponementReason = null;
@@ -232,6 +279,278 @@ class MatchEngine {
         }
     }
 
+    /**
+     * Get the scoreline awarded for a forfeit
+     */
+    getForfeitScore() {
+        try {
+            const configData = this.storage.load(this.storage.keys.CONFIG);
+            const forfeitScore = configData?.tournament?.settings?.forfeitScore;
+
+            if (!forfeitScore || !Number.isInteger(forfeitScore.winner) || !Number.isInteger(forfeitScore.loser) ||
+                forfeitScore.loser < 0 || forfeitScore.winner <= forfeitScore.loser) {
+                return { ...this.defaultForfeitScore };
+            }
+
+            return { winner: forfeitScore.winner, loser: forfeitScore.loser };
+        } catch (error) {
+            console.error('Error getting forfeit score:', error);
+            return { ...this.defaultForfeitScore };
+        }
+    }
+
+    /**
+     * Record a forfeit (walkover): the opponent of the forfeiting team wins by the forfeit score
+     */
+    recordForfeit(matchId, forfeitingTeamId, reason) {
+        try {
+            if (!matchId || !forfeitingTeamId) {
+                throw new Error('Match ID and forfeiting team are required');
+            }
+
+            if (!reason || !reason.trim()) {
+                throw new Error('A reason is required for a forfeit');
+            }
+
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!matchesData) {
+                throw new Error('Failed to load matches data');
+            }
+
+            const match = matchesData.matches.find(m => m.id === matchId);
+            if (!match) {
+                throw new Error(`Match with ID ${matchId} not found`);
+            }
+
+            if (forfeitingTeamId !== match.homeTeam && forfeitingTeamId !== match.awayTeam) {
+                throw new Error(`Team ${forfeitingTeamId} does not play in match ${matchId}`);
+            }
+
+            const forfeitScore = this.getForfeitScore();
+            const homeForfeits = forfeitingTeamId === match.homeTeam;
+
+            match.homeGoals = homeForfeits ? forfeitScore.loser : forfeitScore.winner;
+            match.awayGoals = homeForfeits ? forfeitScore.winner : forfeitScore.loser;
+            match.status = 'played';
+            match.bestPlayerId = null;
+            match.events = [];
+            match.postponementReason = null;
+            match.forfeit = {
+                teamId: forfeitingTeamId,
+                reason: reason.trim(),
+                recordedAt: new Date().toISOString()
+            };
+            this.bumpCalendarSequence(match);
+            match.lastUpdated = new Date().toISOString();
+
+            const saved = this.storage.save(this.storage.keys.MATCHES, matchesData);
+            if (!saved) {
+                throw new Error('Failed to save forfeit');
+            }
+
+            // The match may already have had a result, so rebuild statistics from scratch
+            this.recalculateAllStatistics();
+
+            return {
+                success: true,
+                match: match
+            };
+
+        } catch (error) {
+            console.error('Error recording forfeit:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Raise the calendar revision of a match so calendar apps replace the exported event
+     * Matches created before the counter existed continue from their number of moves
+     */
+    bumpCalendarSequence(match) {
+        match.calendarSequence = (match.calendarSequence ?? (match.rescheduleHistory || []).length) + 1;
+    }
+
+    /**
+     * Get the last Ramadan day available for group matches (the day before playoffs start)
+     */
+    getLastGroupDay() {
+        const playoffStartDay = this.tournament.getPlayoffStartDay();
+        return playoffStartDay ? Math.min(this.ramadanDayRange.max, playoffStartDay - 1) : this.ramadanDayRange.max;
+    }
+
+    /**
+     * Check whether a team plays on a day or the night before or after
+     */
+    getTeamConflicts(matches, match, day) {
+        return matches.filter(other => 
+            other.id !== match.id &&
+            other.status !== 'postponed' &&
+            Math.abs(other.day - day) <= 1 &&
+            [other.homeTeam, other.awayTeam].some(teamId => teamId === match.homeTeam || teamId === match.awayTeam)
+        );
+    }
+
+    /**
+     * Find a match already kicking off at the given day and time
+     */
+    getKickoffClash(matches, match, day, time) {
+        return matches.find(other => 
+            other.id !== match.id &&
+            other.status !== 'postponed' &&
+            other.day === day &&
+            other.scheduledTime === time
+        ) || null;
+    }
+
+    /**
+     * Suggest free slots for rescheduling a match
+     * A night is free when neither team plays that night, the night before or the night after,
+     * and at least one kickoff time that night is still unused
+     */
+    getRescheduleSlots(matchId) {
+        try {
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!matchesData) {
+                throw new Error('Failed to load matches data');
+            }
+
+            const match = matchesData.matches.find(m => m.id === matchId);
+            if (!match) {
+                throw new Error(`Match with ID ${matchId} not found`);
+            }
+
+            const configData = this.storage.load(this.storage.keys.CONFIG);
+            const kickoffTimes = configData?.tournament?.scheduling?.kickoffTimes || [match.scheduledTime];
+            const firstDay = Math.max(this.ramadanDayRange.min, match.day + 1);
+            const lastDay = this.getLastGroupDay();
+            const slots = [];
+
+            for (let day = firstDay; day <= lastDay; day++) {
+                if (this.getTeamConflicts(matchesData.matches, match, day).length > 0) {
+                    continue;
+                }
+
+                const sameNight = matchesData.matches.filter(other => 
+                    other.id !== match.id && other.day === day && other.status !== 'postponed'
+                );
+                const takenTimes = sameNight.map(other => other.scheduledTime);
+                const freeTime = kickoffTimes.find(time => !takenTimes.includes(time));
+                if (!freeTime) {
+                    continue;
+                }
+
+                slots.push({
+                    day: day,
+                    scheduledTime: freeTime,
+                    matchesThatNight: sameNight.length
+                });
+            }
+
+            return slots;
+        } catch (error) {
+            console.error('Error getting reschedule slots:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Move a match to a new day and time, keeping the original slot and every move in its history
+     */
+    rescheduleMatch(matchId, newDay, newTime = null, reason = null) {
+        try {
+            const day = parseInt(newDay);
+            if (!matchId || isNaN(day)) {
+                throw new Error('Match ID and new day are required');
+            }
+
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!matchesData) {
+                throw new Error('Failed to load matches data');
+            }
+
+            const match = matchesData.matches.find(m => m.id === matchId);
+            if (!match) {
+                throw new Error(`Match with ID ${matchId} not found`);
+            }
+
+            if (match.status === 'played') {
+                throw new Error('A played match cannot be rescheduled');
+            }
+
+            const lastDay = this.getLastGroupDay();
+            if (day < this.ramadanDayRange.min || day > lastDay) {
+                throw new Error(`Match day must be between ${this.ramadanDayRange.min} and ${lastDay} (before the playoffs)`);
+            }
+
+            const time = newTime || match.scheduledTime;
+            const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+            if (!timeRegex.test(time)) {
+                throw new Error('Invalid time format. Use HH:MM format');
+            }
+
+            if (day === match.day && time === match.scheduledTime && match.status !== 'postponed') {
+                throw new Error('The match is already scheduled for that day and time');
+            }
+
+            const conflicts = this.getTeamConflicts(matchesData.matches, match, day);
+            if (conflicts.length > 0) {
+                throw new Error(`Day ${day} is not free: a team already plays in ${conflicts.map(other => other.id).join(', ')} on or next to that night`);
+            }
+
+            const clash = this.getKickoffClash(matchesData.matches, match, day, time);
+            if (clash) {
+                throw new Error(`Day ${day} at ${time} is already taken by ${clash.id}`);
+            }
+
+            if (!match.originalSchedule) {
+                match.originalSchedule = { day: match.day, scheduledTime: match.scheduledTime };
+            }
+
+            match.rescheduleHistory = [
+                ...(match.rescheduleHistory || []),
+                {
+                    fromDay: match.day,
+                    fromTime: match.scheduledTime,
+                    toDay: day,
+                    toTime: time,
+                    postponementReason: match.postponementReason || null,
+                    reason: reason ? reason.trim() : null,
+                    movedAt: new Date().toISOString()
+                }
+            ];
+
+            match.day = day;
+            match.scheduledTime = time;
+            match.status = 'scheduled';
+            match.postponementReason = null;
+            this.bumpCalendarSequence(match);
+            match.lastUpdated = new Date().toISOString();
+
+            // Keep matches in day order
+            matchesData.matches.sort((a, b) => a.day - b.day);
+
+            const saved = this.storage.save(this.storage.keys.MATCHES, matchesData);
+            if (!saved) {
+                throw new Error('Failed to save rescheduled match');
+            }
+
+            return {
+                success: true,
+                match: match
+            };
+
+        } catch (error) {
+            console.error('Error rescheduling match:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Validate match data
      */
@@ -317,6 +636,177 @@ class MatchEngine {
         }
     }
 
+    /**
+     * Validate match events (goals and cards) against team squads and the final score
+     * An empty list means no event log was recorded for the match
+     */
+    validateEvents(match, events) {
+        try {
+            if (!Array.isArray(events)) {
+                return { valid: false, error: 'Match events must be a list' };
+            }
+
+            if (events.length === 0) {
+                return { valid: true, events: [] };
+            }
+
+            if (match.homeGoals === null || match.homeGoals === undefined ||
+                match.awayGoals === null || match.awayGoals === undefined) {
+                return { valid: false, error: 'Match events require a final score' };
+            }
+
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            if (!teamsData) {
+                return { valid: false, error: 'Failed to load teams data' };
+            }
+
+            const squads = {};
+            [match.homeTeam, match.awayTeam].forEach(teamId => {
+                const team = teamsData.teams.find(t => t.id === teamId);
+                squads[teamId] = team && team.squad ? team.squad : [];
+            });
+
+            // A registered player ID wins over the shirt number, which may have changed since the event was recorded;
+            // players who have since left the squad keep the events they were credited with
+            const findSquadPlayer = (teamId, playerId, number) => {
+                if (playerId) {
+                    return squads[teamId].find(squadPlayer => squadPlayer.playerId === playerId) ||
+                        (this.playerRegistry.getPlayer(playerId) ? { playerId: playerId, number: parseInt(number) } : null);
+                }
+                return squads[teamId].find(squadPlayer => squadPlayer.number === parseInt(number)) || null;
+            };
+
+            const eventTypes = [...this.goalEventTypes, ...this.cardEventTypes];
+            const normalizedEvents = [];
+            const playerCards = {};
+
+            for (let i = 0; i < events.length; i++) {
+                const event = events[i];
+                const label = `Event ${i + 1}`;
+
+                if (!event || !eventTypes.includes(event.type)) {
+                    return { 
+                        valid: false, 
+                        error: `${label}: type must be one of: ${eventTypes.join(', ')}` 
+                    };
+                }
+
+                if (event.team !== match.homeTeam && event.team !== match.awayTeam) {
+                    return { valid: false, error: `${label}: team must be one of the two match teams` };
+                }
+
+                const squadPlayer = findSquadPlayer(event.team, event.playerId, event.player);
+                if (!squadPlayer) {
+                    return { valid: false, error: `${label}: player #${event.player} is not in the squad of ${event.team}` };
+                }
+                const player = squadPlayer.number;
+
+                const minute = parseInt(event.minute);
+                if (isNaN(minute) || minute < 1 || minute > this.maxEventMinute) {
+                    return { valid: false, error: `${label}: minute must be between 1 and ${this.maxEventMinute}` };
+                }
+
+                let assist = null;
+                let assistId = null;
+                if (event.assist !== null && event.assist !== undefined && event.assist !== '') {
+                    if (event.type !== 'goal') {
+                        return { valid: false, error: `${label}: only open-play goals can have an assist` };
+                    }
+                    const squadAssist = findSquadPlayer(event.team, event.assistId, event.assist);
+                    if (!squadAssist) {
+                        return { valid: false, error: `${label}: assist #${event.assist} is not in the squad of ${event.team}` };
+                    }
+                    assist = squadAssist.number;
+                    assistId = squadAssist.playerId || null;
+                    if (assist === player) {
+                        return { valid: false, error: `${label}: a player cannot assist their own goal` };
+                    }
+                }
+
+                // A player can be booked at most twice and sent off once per match
+                if (this.cardEventTypes.includes(event.type)) {
+                    const cardKey = `${event.team}#${player}`;
+                    if (!playerCards[cardKey]) {
+                        playerCards[cardKey] = { yellow_card: 0, red_card: 0 };
+                    }
+                    playerCards[cardKey][event.type] += 1;
+
+                    if (playerCards[cardKey].yellow_card > 2 || playerCards[cardKey].red_card > 1) {
+                        return { valid: false, error: `${label}: player #${player} has too many cards in this match` };
+                    }
+                }
+
+                normalizedEvents.push({
+                    type: event.type,
+                    team: event.team,
+                    player: player,
+                    playerId: squadPlayer.playerId || null,
+                    minute: minute,
+                    assist: assist,
+                    assistId: assistId
+                });
+            }
+
+            // Events must add up to the final score
+            const tally = this.getGoalTally(match, normalizedEvents);
+            if (tally.home !== match.homeGoals || tally.away !== match.awayGoals) {
+                return { 
+                    valid: false, 
+                    error: `Match events add up to ${tally.home}-${tally.away} but the final score is ${match.homeGoals}-${match.awayGoals}` 
+                };
+            }
+
+            normalizedEvents.sort((a, b) => a.minute - b.minute);
+
+            return { valid: true, events: normalizedEvents };
+
+        } catch (error) {
+            console.error('Error validating match events:', error);
+            return { valid: false, error: 'Events validation error occurred' };
+        }
+    }
+
+    /**
+     * Validate the man of the match: a registered player in either team's squad
+     */
+    validateBestPlayer(match, playerId) {
+        if (!playerId) {
+            return { valid: true };
+        }
+
+        const inSquad = [match.homeTeam, match.awayTeam].some(teamId => 
+            this.playerRegistry.getSquad(teamId).some(player => player.playerId === playerId));
+
+        return inSquad ? 
+            { valid: true } : 
+            { valid: false, error: `Best player ${playerId} does not play for either team` };
+    }
+
+    /**
+     * Count goals per side from a match event list (own goals count for the opponent)
+     */
+    getGoalTally(match, events) {
+        const tally = { home: 0, away: 0 };
+
+        (events || []).forEach(event => {
+            if (!this.goalEventTypes.includes(event.type)) {
+                return;
+            }
+
+            const scoringTeam = event.type === 'own_goal' ?
+                (event.team === match.homeTeam ? match.awayTeam : match.homeTeam) :
+                event.team;
+
+            if (scoringTeam === match.homeTeam) {
+                tally.home += 1;
+            } else if (scoringTeam === match.awayTeam) {
+                tally.away += 1;
+            }
+        });
+
+        return tally;
+    }
+
     /**
      * Validate status transition
      */
@@ -424,7 +914,9 @@ class MatchEngine {
                     lost: 0,
                     goalsFor: 0,
                     goalsAgainst: 0,
-                    points: 0
+                    points: 0,
+                    bonusPoints: 0,
+                    deductedPoints: 0
                 };
             });
 
@@ -447,6 +939,7 @@ class MatchEngine {
                     homeTeam.statistics.goalsFor += match.homeGoals;
                     homeTeam.statistics.goalsAgainst += match.awayGoals;
                     homeTeam.statistics.points += points.homePoints;
+                    homeTeam.statistics.bonusPoints += points.homeBonus;
 
                     if (points.result === 'home_win') {
                         homeTeam.statistics.won += 1;
@@ -461,6 +954,7 @@ class MatchEngine {
                     awayTeam.statistics.goalsFor += match.awayGoals;
                     awayTeam.statistics.goalsAgainst += match.homeGoals;
                     awayTeam.statistics.points += points.awayPoints;
+                    awayTeam.statistics.bonusPoints += points.awayBonus;
 
                     if (points.result === 'away_win') {
                         awayTeam.statistics.won += 1;
@@ -472,6 +966,13 @@ class MatchEngine {
                 }
             });
 
+            // Apply point deductions
+            const deductions = this.tournament.getDeductedPointsByTeam();
+            teamsData.teams.forEach(team => {
+                team.statistics.deductedPoints = deductions[team.id] || 0;
+                team.statistics.points -= team.statistics.deductedPoints;
+            });
+
             // Save updated teams data
             const saved = this.storage.save(this.storage.keys.TEAMS, teamsData);
             if (!saved) {
@@ -4,10 +4,12 @@
  */
 
 import LocalStorageManager from './storage.js';
+import PlayerRegistry from './playerRegistry.js';
 
 class NewsEngine {
     constructor() {
         this.storage = new LocalStorageManager();
+        this.playerRegistry = new PlayerRegistry();
         this.categories = {
             'announcement': 'إعلانات',
             'match_report': 'تقارير المباريات',
@@ -507,8 +509,9 @@ class NewsEngine {
             if (match.status === 'played' && match.homeGoals !== null && match.awayGoals !== null) {
                 content += `<p><strong>النتيجة:</strong> ${homeTeam.name} ${match.homeGoals} - ${match.awayGoals} ${awayTeam.name}</p>`;
                 
-                if (match.bestPlayer) {
-                    content += `<p><strong>أفضل لاعب:</strong> ${match.bestPlayer}</p>`;
+                const bestPlayerName = this.playerRegistry.getPlayerName(match.bestPlayerId) || match.bestPlayer;
+                if (bestPlayerName) {
+                    content += `<p><strong>أفضل لاعب:</strong> ${bestPlayerName}</p>`;
                 }
                 
                 content += `<h3>ملخص المباراة</h3>`;
@@ -0,0 +1,312 @@
+/**
+ * Player Page Controller for Salfoon Ramadan League Platform
+ * Shows a registered player's season totals, match log and history across seasons
+ */
+
+import LocalStorageManager from './storage.js';
+import PlayerStatsEngine from './playerStatsEngine.js';
+import DisciplineEngine from './disciplineEngine.js';
+
+class PlayerController {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.playerStatsEngine = new PlayerStatsEngine();
+        this.disciplineEngine = new DisciplineEngine();
+        this.profile = null;
+        
+        this.init();
+    }
+
+    async init() {
+        try {
+            // Wait for storage initialization
+            await this.storage.initializeStorage();
+            
+            // Load and display the player
+            this.loadPlayer();
+            
+            // Set up event listeners
+            this.setupEventListeners();
+            
+            // Hide loading screen
+            this.hideLoadingScreen();
+            
+        } catch (error) {
+            console.error('Error initializing player controller:', error);
+            this.showError('حدث خطأ في تحميل البيانات');
+        }
+    }
+
+    loadPlayer() {
+        try {
+            const playerId = new URLSearchParams(window.location.search).get('id');
+            this.profile = playerId ? this.playerStatsEngine.getPlayerProfile(playerId) : null;
+
+            document.getElementById('player-not-found').style.display = this.profile ? 'none' : 'block';
+            document.getElementById('player-profile').style.display = this.profile ? 'block' : 'none';
+
+            if (!this.profile) {
+                this.updateLastUpdatedTime();
+                return;
+            }
+
+            document.title = `${this.profile.name} - دوري الفقيد محمد قاسم الحجري`;
+
+            this.displayHeader();
+            this.displaySeasonStats();
+            this.displayMatchLog();
+            this.displaySeasonHistory();
+            this.updateLastUpdatedTime();
+            
+        } catch (error) {
+            console.error('Error loading player:', error);
+            this.showError('حدث خطأ في تحميل بيانات اللاعب');
+        }
+    }
+
+    displayHeader() {
+        const container = document.getElementById('player-header');
+        if (!container) return;
+
+        const profile = this.profile;
+        const suspension = profile.team ? this.disciplineEngine.getSuspensions(profile.team.id, true).find(s => 
+            s.playerId ? s.playerId === profile.id : s.playerNumber === profile.number
+        ) : null;
+
+        container.innerHTML = `
+            ${profile.number !== null ? `<span class="player-profile-number">${profile.number}</span>` : ''}
+            <div class="player-profile-info">
+                <h1 class="player-profile-name">${profile.name}</h1>
+                <p class="player-profile-meta">
+                    <span class="player-position">${profile.position}</span>
+                    ${profile.team ? `
+                        <a href="teams.html" class="player-profile-team">
+                            <img src="${profile.team.logo}" alt="${profile.team.name}" class="team-logo-small" 
+                                 onerror="this.src='images/default-team.png'">
+                            ${profile.team.name}
+                        </a>
+                    ` : '<span class="player-profile-team">بدون فريق هذا الموسم</span>'}
+                </p>
+                ${suspension ? `
+                    <p class="suspension-reason">
+                        موقوف - ${suspension.reasonText}، متبقي ${suspension.matchesToServe - suspension.servedCount} مباراة
+                    </p>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    displaySeasonStats() {
+        const container = document.getElementById('player-stats');
+        if (!container) return;
+
+        const title = document.getElementById('player-season-title');
+        if (title) {
+            title.textContent = `إحصائيات ${this.profile.season}`;
+        }
+
+        const totals = this.profile.totals;
+        const stats = [
+            { value: totals.appearances, label: 'مباريات بمساهمة' },
+            { value: totals.goals, label: 'أهداف' },
+            { value: totals.assists, label: 'صناعة' },
+            { value: totals.penalties, label: 'ركلات جزاء' },
+            { value: totals.ownGoals, label: 'في مرماه' },
+            { value: totals.yellowCards, label: '🟨 إنذارات' },
+            { value: totals.redCards, label: '🟥 طرد' },
+            { value: totals.manOfTheMatch, label: '⭐ أفضل لاعب' }
+        ];
+
+        container.innerHTML = stats.map(stat => `
+            <div class="player-stat">
+                <span class="stat-value">${stat.value}</span>
+                <span class="stat-label">${stat.label}</span>
+            </div>
+        `).join('');
+    }
+
+    displayMatchLog() {
+        const container = document.getElementById('player-matches');
+        if (!container) return;
+
+        if (this.profile.matchLog.length === 0) {
+            container.innerHTML = '<p class="no-data">لا توجد مساهمات مسجلة لهذا اللاعب في الموسم الحالي</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="standings-table player-match-log">
+                <thead>
+                    <tr>
+                        <th>اليوم</th>
+                        <th class="team-col">المنافس</th>
+                        <th>النتيجة</th>
+                        <th>أهداف</th>
+                        <th>صناعة</th>
+                        <th>بطاقات</th>
+                        <th>أفضل لاعب</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.profile.matchLog.map(entry => {
+                        const className = entry.result === 'W' ? 'win' : entry.result === 'D' ? 'draw' : 'loss';
+                        const displayText = entry.result === 'W' ? 'ف' : entry.result === 'D' ? 'ت' : 'خ';
+                        return `
+                            <tr>
+                                <td>${entry.day}</td>
+                                <td class="team-col">${entry.opponentName}</td>
+                                <td>
+                                    <span class="form-result ${className}">${displayText}</span>
+                                    ${entry.goalsFor} - ${entry.goalsAgainst}
+                                </td>
+                                <td>${entry.goals}${entry.penalties > 0 ? ` (${entry.penalties} ج)` : ''}${entry.ownGoals > 0 ? ` - ${entry.ownGoals} في مرماه` : ''}</td>
+                                <td>${entry.assists}</td>
+                                <td>${'🟨'.repeat(entry.yellowCards)}${'🟥'.repeat(entry.redCards)}</td>
+                                <td>${entry.manOfTheMatch ? '⭐' : ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    displaySeasonHistory() {
+        const container = document.getElementById('player-seasons');
+        if (!container) return;
+
+        container.innerHTML = `
+            <table class="standings-table">
+                <thead>
+                    <tr>
+                        <th>الموسم</th>
+                        <th class="team-col">الفريق</th>
+                        <th>الرقم</th>
+                        <th class="matches-col">لعب</th>
+                        <th>أهداف</th>
+                        <th>صناعة</th>
+                        <th>🟨</th>
+                        <th>🟥</th>
+                        <th>⭐</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.profile.seasons.map(season => `
+                        <tr>
+                            <td>${season.season}</td>
+                            <td class="team-col">${season.teamName || '-'}</td>
+                            <td>${season.number ?? '-'}</td>
+                            <td class="matches-col">${season.totals.appearances}</td>
+                            <td>${season.totals.goals}</td>
+                            <td>${season.totals.assists}</td>
+                            <td>${season.totals.yellowCards}</td>
+                            <td>${season.totals.redCards}</td>
+                            <td>${season.totals.manOfTheMatch}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    setupEventListeners() {
+        // Theme toggle
+        const themeToggle = document.getElementById('theme-toggle');
+        if (themeToggle) {
+            themeToggle.addEventListener('click', () => {
+                this.toggleTheme();
+            });
+        }
+
+        // Mobile navigation
+        const navToggle = document.querySelector('.nav-toggle');
+        const navMenu = document.querySelector('.nav-menu');
+        
+        if (navToggle && navMenu) {
+            navToggle.addEventListener('click', () => {
+                navMenu.classList.toggle('active');
+            });
+        }
+
+        // Back to top button
+        const backToTop = document.getElementById('back-to-top');
+        if (backToTop) {
+            backToTop.addEventListener('click', () => {
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            });
+
+            // Show/hide back to top button
+            window.addEventListener('scroll', () => {
+                if (window.scrollY > 300) {
+                    backToTop.classList.add('show');
+                } else {
+                    backToTop.classList.remove('show');
+                }
+            });
+        }
+    }
+
+    toggleTheme() {
+        document.body.classList.toggle('dark-theme');
+        
+        const themeIcon = document.querySelector('.theme-icon');
+        if (themeIcon) {
+            themeIcon.textContent = document.body.classList.contains('dark-theme') ? '☀️' : '🌙';
+        }
+
+        // Save theme preference
+        const preferences = this.storage.load(this.storage.keys.USER_PREFERENCES) || {};
+        preferences.darkMode = document.body.classList.contains('dark-theme');
+        this.storage.save(this.storage.keys.USER_PREFERENCES, preferences);
+    }
+
+    updateLastUpdatedTime() {
+        const updateTimeElement = document.getElementById('update-time');
+        if (updateTimeElement) {
+            const now = new Date();
+            const timeString = now.toLocaleString('ar-SA', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            updateTimeElement.textContent = timeString;
+        }
+    }
+
+    hideLoadingScreen() {
+        const loadingScreen = document.getElementById('loading-screen');
+        if (loadingScreen) {
+            loadingScreen.style.opacity = '0';
+            setTimeout(() => {
+                loadingScreen.style.display = 'none';
+            }, 500);
+        }
+    }
+
+    showError(message) {
+        // Create error notification
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-notification';
+        errorDiv.textContent = message;
+        
+        document.body.appendChild(errorDiv);
+        
+        setTimeout(() => {
+            errorDiv.classList.add('show');
+        }, 10);
+
+        setTimeout(() => {
+            errorDiv.classList.remove('show');
+            setTimeout(() => {
+                document.body.removeChild(errorDiv);
+            }, 300);
+        }, 5000);
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.playerController = new PlayerController();
+});
\ No newline at end of file
@@ -0,0 +1,482 @@
+/**
+ * Player Registry for Salfoon Ramadan League Platform
+ * Keeps every player under a stable ID with a team and shirt number per season
+ */
+
+import LocalStorageManager from './storage.js';
+
+class PlayerRegistry {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.validPositions = ['حارس مرمى', 'مدافع', 'وسط', 'مهاجم'];
+        this.shirtNumberRange = { min: 1, max: 99 };
+    }
+
+    /**
+     * Get the name of the current season from config
+     */
+    getCurrentSeason() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        return configData?.tournament?.season || '';
+    }
+
+    /**
+     * Get the stored registry, building it from the team squads the first time
+     */
+    getRegistry() {
+        const registry = this.storage.load(this.storage.keys.PLAYERS);
+        if (registry && Array.isArray(registry.players)) {
+            return registry;
+        }
+
+        const migration = this.migrateLegacyData();
+        return migration.success ? migration.registry : { players: [], migration: null };
+    }
+
+    /**
+     * Save the registry and refresh the current season's team squads from it
+     */
+    saveRegistry(registry) {
+        if (!this.storage.save(this.storage.keys.PLAYERS, registry)) {
+            throw new Error('Failed to save player registry');
+        }
+        this.syncSquads(registry);
+    }
+
+    /**
+     * Get a player's team and shirt number for a season
+     */
+    getAssignment(player, season = null) {
+        season = season || this.getCurrentSeason();
+        return (player.seasons || []).find(entry => entry.season === season) || null;
+    }
+
+    /**
+     * Get registered players, optionally only those with a team in the given season
+     */
+    getPlayers(season = null) {
+        const registry = this.getRegistry();
+        if (!season) {
+            return registry.players;
+        }
+
+        return registry.players
+            .map(player => ({ player, assignment: this.getAssignment(player, season) }))
+            .filter(entry => entry.assignment)
+            .map(entry => ({
+                ...entry.player,
+                teamId: entry.assignment.teamId,
+                number: entry.assignment.number
+            }));
+    }
+
+    /**
+     * Get a player by ID
+     */
+    getPlayer(playerId, registry = null) {
+        registry = registry || this.getRegistry();
+        return registry.players.find(player => player.id === playerId) || null;
+    }
+
+    /**
+     * Get a player's display name, or null if the ID is unknown
+     */
+    getPlayerName(playerId, registry = null) {
+        if (!playerId) return null;
+        const player = this.getPlayer(playerId, registry);
+        return player ? player.name : null;
+    }
+
+    /**
+     * Get a team's squad for a season, ordered by shirt number
+     */
+    getSquad(teamId, season = null, registry = null) {
+        registry = registry || this.getRegistry();
+        season = season || this.getCurrentSeason();
+
+        return registry.players
+            .map(player => ({ player, assignment: this.getAssignment(player, season) }))
+            .filter(entry => entry.assignment && entry.assignment.teamId === teamId)
+            .map(entry => ({
+                playerId: entry.player.id,
+                name: entry.player.name,
+                position: entry.player.position,
+                number: entry.assignment.number
+            }))
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Find the player wearing a shirt number for a team in a season
+     */
+    findPlayerByNumber(teamId, number, season = null, registry = null) {
+        number = parseInt(number);
+        return this.getSquad(teamId, season, registry).find(player => player.number === number) || null;
+    }
+
+    /**
+     * Find a player by name among the given teams' squads (surrounding spaces are ignored)
+     */
+    findPlayerByName(name, teamIds, season = null, registry = null) {
+        const wanted = (name || '').trim();
+        if (!wanted) return null;
+
+        for (const teamId of teamIds) {
+            const player = this.getSquad(teamId, season, registry).find(p => p.name.trim() === wanted);
+            if (player) return player;
+        }
+        return null;
+    }
+
+    /**
+     * Generate the next free player ID
+     */
+    generatePlayerId(registry) {
+        const highest = registry.players.reduce((max, player) => {
+            const number = parseInt((player.id || '').replace('player-', ''));
+            return isNaN(number) ? max : Math.max(max, number);
+        }, 0);
+        return `player-${String(highest + 1).padStart(3, '0')}`;
+    }
+
+    /**
+     * Validate player details
+     */
+    validatePlayerData(playerData) {
+        const name = (playerData.name || '').trim();
+        if (!name) {
+            return { valid: false, error: 'Player name is required' };
+        }
+
+        if (!this.validPositions.includes(playerData.position)) {
+            return { valid: false, error: `Position must be one of: ${this.validPositions.join(', ')}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate a team assignment: the team must exist and the shirt number must be free in that squad
+     */
+    validateAssignment(registry, playerId, teamId, number, season) {
+        const teamsData = this.storage.load(this.storage.keys.TEAMS);
+        if (!teamsData || !teamsData.teams.some(team => team.id === teamId)) {
+            return { valid: false, error: `Team ${teamId} not found` };
+        }
+
+        if (!Number.isInteger(number) || number < this.shirtNumberRange.min || number > this.shirtNumberRange.max) {
+            return { 
+                valid: false, 
+                error: `Shirt number must be between ${this.shirtNumberRange.min} and ${this.shirtNumberRange.max}` 
+            };
+        }
+
+        const holder = registry.players.find(player => {
+            if (player.id === playerId) return false;
+            const assignment = this.getAssignment(player, season);
+            return assignment && assignment.teamId === teamId && assignment.number === number;
+        });
+
+        if (holder) {
+            return { valid: false, error: `Shirt number ${number} is already worn by ${holder.name} in ${teamId}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Find shirt numbers worn by more than one player in the same squad and season
+     */
+    findDuplicateNumbers(registry = null) {
+        registry = registry || this.getRegistry();
+        const holders = {};
+
+        registry.players.forEach(player => {
+            (player.seasons || []).forEach(assignment => {
+                const key = `${assignment.season}|${assignment.teamId}|${assignment.number}`;
+                if (!holders[key]) {
+                    holders[key] = {
+                        season: assignment.season,
+                        teamId: assignment.teamId,
+                        number: assignment.number,
+                        players: []
+                    };
+                }
+                holders[key].players.push({ id: player.id, name: player.name });
+            });
+        });
+
+        return Object.values(holders).filter(entry => entry.players.length > 1);
+    }
+
+    /**
+     * Register a new player with a team for the current season
+     */
+    addPlayer(playerData) {
+        try {
+            const validation = this.validatePlayerData(playerData);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            const registry = this.getRegistry();
+            const season = this.getCurrentSeason();
+            const number = parseInt(playerData.number);
+            const playerId = this.generatePlayerId(registry);
+
+            const assignmentCheck = this.validateAssignment(registry, playerId, playerData.teamId, number, season);
+            if (!assignmentCheck.valid) {
+                throw new Error(assignmentCheck.error);
+            }
+
+            const player = {
+                id: playerId,
+                name: playerData.name.trim(),
+                position: playerData.position,
+                seasons: [{ season: season, teamId: playerData.teamId, number: number }],
+                createdAt: new Date().toISOString()
+            };
+
+            registry.players.push(player);
+            this.saveRegistry(registry);
+
+            return {
+                success: true,
+                player: player
+            };
+        } catch (error) {
+            console.error('Error adding player:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update a player's name or position
+     */
+    updatePlayer(playerId, updates) {
+        try {
+            const registry = this.getRegistry();
+            const player = this.getPlayer(playerId, registry);
+            if (!player) {
+                throw new Error(`Player ${playerId} not found`);
+            }
+
+            const updated = {
+                name: updates.name !== undefined ? updates.name : player.name,
+                position: updates.position !== undefined ? updates.position : player.position
+            };
+
+            const validation = this.validatePlayerData(updated);
+            if (!validation.valid) {
+                throw new Error(validation.error);
+            }
+
+            player.name = updated.name.trim();
+            player.position = updated.position;
+            this.saveRegistry(registry);
+
+            return {
+                success: true,
+                player: player
+            };
+        } catch (error) {
+            console.error('Error updating player:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Move a player to a team and shirt number for a season, or release them when teamId is empty
+     * Assignments in other seasons are kept, so past matches still point at the right player
+     */
+    assignPlayer(playerId, teamId, number, season = null) {
+        try {
+            const registry = this.getRegistry();
+            const player = this.getPlayer(playerId, registry);
+            if (!player) {
+                throw new Error(`Player ${playerId} not found`);
+            }
+
+            season = season || this.getCurrentSeason();
+            const previous = this.getAssignment(player, season);
+            player.seasons = (player.seasons || []).filter(entry => entry.season !== season);
+
+            if (teamId) {
+                number = parseInt(number);
+                const assignmentCheck = this.validateAssignment(registry, playerId, teamId, number, season);
+                if (!assignmentCheck.valid) {
+                    throw new Error(assignmentCheck.error);
+                }
+                player.seasons.push({ season: season, teamId: teamId, number: number });
+            }
+
+            this.saveRegistry(registry);
+
+            return {
+                success: true,
+                player: player,
+                previous: previous
+            };
+        } catch (error) {
+            console.error('Error assigning player:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Carry every squad over to a new season with the same shirt numbers
+     */
+    rolloverSeason(fromSeason, toSeason) {
+        try {
+            const registry = this.getRegistry();
+
+            registry.players.forEach(player => {
+                const assignment = this.getAssignment(player, fromSeason);
+                if (assignment && !this.getAssignment(player, toSeason)) {
+                    player.seasons.push({ season: toSeason, teamId: assignment.teamId, number: assignment.number });
+                }
+            });
+
+            this.saveRegistry(registry);
+            return { success: true };
+        } catch (error) {
+            console.error('Error rolling over squads:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Write the current season's squads from the registry into the stored teams
+     */
+    syncSquads(registry = null) {
+        registry = registry || this.getRegistry();
+        const teamsData = this.storage.load(this.storage.keys.TEAMS);
+        if (!teamsData) return false;
+
+        const season = this.getCurrentSeason();
+        teamsData.teams.forEach(team => {
+            team.squad = this.getSquad(team.id, season, registry);
+        });
+
+        return this.storage.save(this.storage.keys.TEAMS, teamsData);
+    }
+
+    /**
+     * Build the registry from the stored team squads and link existing match data to player IDs
+     * Event shirt numbers get a playerId/assistId and free-text best players become bestPlayerId;
+     * names that match no squad player are kept as text and listed in the migration report
+     */
+    migrateLegacyData() {
+        try {
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!teamsData) {
+                throw new Error('Failed to load teams data');
+            }
+
+            const season = this.getCurrentSeason();
+            const registry = { players: [], migration: null };
+
+            teamsData.teams.forEach(team => {
+                (team.squad || []).forEach(entry => {
+                    const existing = entry.playerId ? this.getPlayer(entry.playerId, registry) : null;
+                    const player = existing || {
+                        id: entry.playerId || this.generatePlayerId(registry),
+                        name: (entry.name || '').trim(),
+                        position: entry.position,
+                        seasons: [],
+                        createdAt: new Date().toISOString()
+                    };
+
+                    if (!existing) {
+                        registry.players.push(player);
+                    }
+                    if (!this.getAssignment(player, season)) {
+                        player.seasons.push({ season: season, teamId: team.id, number: parseInt(entry.number) });
+                    }
+                });
+            });
+
+            const report = {
+                migratedAt: new Date().toISOString(),
+                players: registry.players.length,
+                linkedEvents: 0,
+                linkedBestPlayers: 0,
+                unresolvedBestPlayers: [],
+                duplicateNumbers: this.findDuplicateNumbers(registry)
+            };
+
+            (matchesData?.matches || []).forEach(match => {
+                (match.events || []).forEach(event => {
+                    const player = this.findPlayerByNumber(event.team, event.player, season, registry);
+                    const assist = event.assist !== null && event.assist !== undefined ?
+                        this.findPlayerByNumber(event.team, event.assist, season, registry) : null;
+
+                    event.playerId = player ? player.playerId : null;
+                    event.assistId = assist ? assist.playerId : null;
+                    if (player) {
+                        report.linkedEvents += 1;
+                    }
+                });
+
+                if (typeof match.bestPlayer === 'string' && match.bestPlayer.trim()) {
+                    const player = this.findPlayerByName(match.bestPlayer, [match.homeTeam, match.awayTeam], season, registry);
+                    if (player) {
+                        match.bestPlayerId = player.playerId;
+                        delete match.bestPlayer;
+                        report.linkedBestPlayers += 1;
+                    } else {
+                        match.bestPlayer = match.bestPlayer.trim();
+                        report.unresolvedBestPlayers.push({ matchId: match.id, name: match.bestPlayer });
+                    }
+                } else {
+                    delete match.bestPlayer;
+                }
+
+                if (match.bestPlayerId === undefined) {
+                    match.bestPlayerId = null;
+                }
+            });
+
+            registry.migration = report;
+
+            if (matchesData && !this.storage.save(this.storage.keys.MATCHES, matchesData)) {
+                throw new Error('Failed to save migrated matches');
+            }
+            this.saveRegistry(registry);
+
+            return {
+                success: true,
+                registry: registry,
+                report: report
+            };
+        } catch (error) {
+            console.error('Error migrating player data:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+}
+
+/**
+ * Link a player's name to their profile page, or return the plain name for unregistered players
+ */
+export function createPlayerLink(playerId, name) {
+    return playerId ? `<a href="player.html?id=${playerId}" class="player-link">${name}</a>` : name;
+}
+
+export default PlayerRegistry;
\ No newline at end of file
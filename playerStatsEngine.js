@@ -0,0 +1,379 @@
+/**
+ * Player Statistics Engine for Salfoon Ramadan League Platform
+ * Builds scorer, assist, own-goal and man-of-the-match leaderboards and player profiles from recorded match data
+ */
+
+import LocalStorageManager from './storage.js';
+import PlayerRegistry from './playerRegistry.js';
+
+class PlayerStatsEngine {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.playerRegistry = new PlayerRegistry();
+        this.scoringEventTypes = ['goal', 'penalty'];
+    }
+
+    /**
+     * Get per-player totals from all played matches
+     * There are no line-ups, so `matches` is the number of matches the player's team has played
+     */
+    getPlayerTotals(teamId = null) {
+        try {
+            // Make sure squads and match data are linked to the registry before counting
+            const registry = this.playerRegistry.getRegistry();
+
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+
+            if (!matchesData || !teamsData) {
+                throw new Error('Failed to load required data');
+            }
+
+            const players = {};
+            const numberIndex = {};
+            const teamNames = {};
+
+            const addPlayer = (playerId, player, teamId) => {
+                players[playerId] = {
+                    playerId: playerId,
+                    name: player.name.trim(),
+                    number: player.number ?? null,
+                    position: player.position,
+                    teamId: teamId,
+                    team: teamNames[teamId] || teamId,
+                    matches: 0,
+                    goals: 0,
+                    penalties: 0,
+                    assists: 0,
+                    ownGoals: 0,
+                    manOfTheMatch: 0
+                };
+                return players[playerId];
+            };
+
+            // Register every squad player so teams without goals still list their players
+            teamsData.teams.forEach(team => {
+                teamNames[team.id] = team.name;
+                (team.squad || []).forEach(player => {
+                    const playerId = player.playerId || this.getPlayerKey(team.id, player.number);
+                    numberIndex[this.getPlayerKey(team.id, player.number)] = playerId;
+                    addPlayer(playerId, player, team.id);
+                });
+            });
+
+            // Events carry player IDs, so players who have since left a squad keep their record;
+            // shirt numbers are only used for events recorded before the registry
+            const findPlayer = (teamId, playerId, number) => {
+                if (playerId) {
+                    if (players[playerId]) return players[playerId];
+                    const registered = this.playerRegistry.getPlayer(playerId, registry);
+                    return registered ? addPlayer(playerId, { ...registered, number: number }, teamId) : null;
+                }
+                return players[numberIndex[this.getPlayerKey(teamId, number)]] || null;
+            };
+
+            // Forfeits were never played, so nobody is credited with them
+            const playedMatches = matchesData.matches.filter(match => match.status === 'played' && !match.forfeit);
+
+            const teamMatches = {};
+
+            playedMatches.forEach(match => {
+                teamMatches[match.homeTeam] = (teamMatches[match.homeTeam] || 0) + 1;
+                teamMatches[match.awayTeam] = (teamMatches[match.awayTeam] || 0) + 1;
+
+                const events = match.events || [];
+
+                events.forEach(event => {
+                    const player = findPlayer(event.team, event.playerId, event.player);
+                    if (!player) return;
+
+                    if (this.scoringEventTypes.includes(event.type)) {
+                        player.goals += 1;
+                        if (event.type === 'penalty') {
+                            player.penalties += 1;
+                        }
+                    } else if (event.type === 'own_goal') {
+                        player.ownGoals += 1;
+                    }
+
+                    if (event.assist !== null && event.assist !== undefined) {
+                        const assister = findPlayer(event.team, event.assistId, event.assist);
+                        if (assister) {
+                            assister.assists += 1;
+                        }
+                    }
+                });
+
+                if (match.bestPlayerId) {
+                    const bestPlayerTeam = events.find(event => event.playerId === match.bestPlayerId)?.team || null;
+                    const bestPlayer = findPlayer(bestPlayerTeam, match.bestPlayerId, null);
+                    if (bestPlayer) {
+                        bestPlayer.manOfTheMatch += 1;
+                    }
+                }
+            });
+
+            const totals = Object.values(players);
+            totals.forEach(player => {
+                player.matches = teamMatches[player.teamId] || 0;
+            });
+            return teamId ? totals.filter(player => player.teamId === teamId) : totals;
+
+        } catch (error) {
+            console.error('Error getting player totals:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get top scorers (tie-breaks: fewer matches played by the player's team, then fewer penalties)
+     */
+    getTopScorers(teamId = null, limit = 15) {
+        try {
+            return this.getPlayerTotals(teamId)
+                .filter(player => player.goals > 0)
+                .sort((a, b) => {
+                    if (b.goals !== a.goals) return b.goals - a.goals;
+                    if (a.matches !== b.matches) return a.matches - b.matches;
+                    if (a.penalties !== b.penalties) return a.penalties - b.penalties;
+                    return a.name.localeCompare(b.name, 'ar');
+                })
+                .slice(0, limit);
+        } catch (error) {
+            console.error('Error getting top scorers:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get top assist providers (tie-break: fewer matches played by the player's team)
+     */
+    getTopAssists(teamId = null, limit = 15) {
+        try {
+            return this.getPlayerTotals(teamId)
+                .filter(player => player.assists > 0)
+                .sort((a, b) => {
+                    if (b.assists !== a.assists) return b.assists - a.assists;
+                    if (a.matches !== b.matches) return a.matches - b.matches;
+                    return a.name.localeCompare(b.name, 'ar');
+                })
+                .slice(0, limit);
+        } catch (error) {
+            console.error('Error getting top assists:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get players who scored own goals
+     */
+    getOwnGoals(teamId = null, limit = 15) {
+        try {
+            return this.getPlayerTotals(teamId)
+                .filter(player => player.ownGoals > 0)
+                .sort((a, b) => {
+                    if (b.ownGoals !== a.ownGoals) return b.ownGoals - a.ownGoals;
+                    return a.name.localeCompare(b.name, 'ar');
+                })
+                .slice(0, limit);
+        } catch (error) {
+            console.error('Error getting own goals:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get players with the most man-of-the-match awards
+     */
+    getBestPlayers(teamId = null, limit = 10) {
+        try {
+            return this.getPlayerTotals(teamId)
+                .filter(player => player.manOfTheMatch > 0)
+                .sort((a, b) => {
+                    if (b.manOfTheMatch !== a.manOfTheMatch) return b.manOfTheMatch - a.manOfTheMatch;
+                    return a.name.localeCompare(b.name, 'ar');
+                })
+                .slice(0, limit);
+        } catch (error) {
+            console.error('Error getting best players:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get all player leaderboards, optionally for a single team
+     */
+    getLeaderboards(teamId = null) {
+        return {
+            topScorers: this.getTopScorers(teamId),
+            topAssists: this.getTopAssists(teamId),
+            ownGoals: this.getOwnGoals(teamId),
+            bestPlayers: this.getBestPlayers(teamId)
+        };
+    }
+
+    /**
+     * Build a player's match-by-match record from a list of matches
+     * Like the season totals, a match is listed only when the player has a recorded contribution in it
+     */
+    getPlayerMatchLog(playerId, teamId, number, matches, teamNames = {}) {
+        // Events recorded before the registry only carry the shirt number
+        const isPlayer = (event, idField, numberField) => event[idField] ? 
+            event[idField] === playerId : 
+            event.team === teamId && event[numberField] === number;
+
+        return matches
+            .filter(match => match.status === 'played' && !match.forfeit && match.homeGoals !== null && match.awayGoals !== null)
+            .map(match => {
+                const events = match.events || [];
+                const ownEvents = events.filter(event => isPlayer(event, 'playerId', 'player'));
+                const assistEvents = events.filter(event => event.assist !== null && event.assist !== undefined && 
+                    isPlayer(event, 'assistId', 'assist'));
+                const manOfTheMatch = match.bestPlayerId === playerId;
+                const playedFor = ownEvents[0]?.team || assistEvents[0]?.team || 
+                    (teamId === match.homeTeam || teamId === match.awayTeam ? teamId : null);
+
+                if (!playedFor || (ownEvents.length === 0 && assistEvents.length === 0 && !manOfTheMatch)) {
+                    return null;
+                }
+
+                const isHome = playedFor === match.homeTeam;
+                const goalsFor = isHome ? match.homeGoals : match.awayGoals;
+                const goalsAgainst = isHome ? match.awayGoals : match.homeGoals;
+                const opponentId = isHome ? match.awayTeam : match.homeTeam;
+
+                return {
+                    matchId: match.id,
+                    day: match.day,
+                    teamId: playedFor,
+                    opponentId: opponentId,
+                    opponentName: teamNames[opponentId] || opponentId,
+                    isHome: isHome,
+                    goalsFor: goalsFor,
+                    goalsAgainst: goalsAgainst,
+                    result: goalsFor > goalsAgainst ? 'W' : goalsFor === goalsAgainst ? 'D' : 'L',
+                    goals: ownEvents.filter(event => this.scoringEventTypes.includes(event.type)).length,
+                    penalties: ownEvents.filter(event => event.type === 'penalty').length,
+                    ownGoals: ownEvents.filter(event => event.type === 'own_goal').length,
+                    assists: assistEvents.length,
+                    yellowCards: ownEvents.filter(event => event.type === 'yellow_card').length,
+                    redCards: ownEvents.filter(event => event.type === 'red_card').length,
+                    manOfTheMatch: manOfTheMatch
+                };
+            })
+            .filter(entry => entry !== null)
+            .sort((a, b) => a.day - b.day);
+    }
+
+    /**
+     * Add up a player's match log
+     */
+    summariseMatchLog(matchLog) {
+        const totals = {
+            appearances: matchLog.length,
+            wins: 0,
+            draws: 0,
+            losses: 0,
+            goals: 0,
+            penalties: 0,
+            ownGoals: 0,
+            assists: 0,
+            yellowCards: 0,
+            redCards: 0,
+            manOfTheMatch: 0
+        };
+
+        matchLog.forEach(entry => {
+            totals.wins += entry.result === 'W' ? 1 : 0;
+            totals.draws += entry.result === 'D' ? 1 : 0;
+            totals.losses += entry.result === 'L' ? 1 : 0;
+            ['goals', 'penalties', 'ownGoals', 'assists', 'yellowCards', 'redCards'].forEach(field => {
+                totals[field] += entry[field];
+            });
+            totals.manOfTheMatch += entry.manOfTheMatch ? 1 : 0;
+        });
+
+        return totals;
+    }
+
+    /**
+     * Get a player's profile: current team, season totals, match log and history across archived seasons
+     */
+    getPlayerProfile(playerId) {
+        try {
+            const registry = this.playerRegistry.getRegistry();
+            const player = this.playerRegistry.getPlayer(playerId, registry);
+            if (!player) {
+                return null;
+            }
+
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            const archive = this.storage.load(this.storage.keys.ARCHIVE);
+            const currentSeason = this.playerRegistry.getCurrentSeason();
+
+            const buildSeason = (seasonName, teams, matches) => {
+                const teamNames = {};
+                teams.forEach(team => {
+                    teamNames[team.id] = team.name;
+                });
+
+                // Archived squads are the fallback for seasons played before the registry existed
+                const assignment = this.playerRegistry.getAssignment(player, seasonName);
+                const archivedTeam = teams.find(team => (team.squad || []).some(entry => entry.playerId === playerId));
+                const teamId = assignment?.teamId || archivedTeam?.id || null;
+                const number = assignment?.number ?? 
+                    archivedTeam?.squad.find(entry => entry.playerId === playerId)?.number ?? null;
+
+                const matchLog = this.getPlayerMatchLog(playerId, teamId, number, matches, teamNames);
+
+                return {
+                    season: seasonName,
+                    teamId: teamId,
+                    teamName: teamNames[teamId] || null,
+                    number: number,
+                    matchLog: matchLog,
+                    totals: this.summariseMatchLog(matchLog)
+                };
+            };
+
+            const current = buildSeason(currentSeason, teamsData?.teams || [], matchesData?.matches || []);
+            const archived = (archive?.seasons || [])
+                .map(season => buildSeason(season.season, season.teams || [], season.matches || []))
+                .filter(season => season.teamId || season.matchLog.length > 0)
+                .reverse();
+
+            const team = teamsData?.teams.find(t => t.id === current.teamId) || null;
+
+            return {
+                id: player.id,
+                name: player.name,
+                position: player.position,
+                team: team ? { id: team.id, name: team.name, logo: team.logo, colors: team.colors } : null,
+                number: current.number,
+                season: currentSeason,
+                totals: current.totals,
+                matchLog: current.matchLog,
+                seasons: [current, ...archived].map(season => ({
+                    season: season.season,
+                    teamId: season.teamId,
+                    teamName: season.teamName,
+                    number: season.number,
+                    totals: season.totals
+                }))
+            };
+        } catch (error) {
+            console.error('Error getting player profile:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Build lookup key for a squad player
+     */
+    getPlayerKey(teamId, number) {
+        return `${teamId}#${number}`;
+    }
+}
+
+export default PlayerStatsEngine;
\ No newline at end of file
@@ -5,310 +5,954 @@
 
 import LocalStorageManager from './storage.js';
 import StandingsEngine from './standingsEngine.js';
+import TournamentSystem from './tournamentEngine.js';
+import CalendarEngine from './calendarEngine.js';
+import PlayerRegistry from './playerRegistry.js';
 
 class PlayoffEngine {
     constructor() {
         this.storage = new LocalStorageManager();
         this.standings = new StandingsEngine();
+        this.tournament = new TournamentSystem();
+        this.calendar = new CalendarEngine();
+        this.playerRegistry = new PlayerRegistry();
         this.playoffMatches = [];
         this.bracketStructure = null;
+        this.defaultVenue = 'ملعب سالفون الرئيسي';
+        this.matchGapDays = 2;
+        this.lastRamadanDay = 30;
+        this.shootoutRounds = 5;
+        this.shootoutOutcomes = ['scored', 'missed', 'saved'];
+        this.maxHistoryEntries = 30;
     }
 
     /**
      * Generate playoff bracket from current standings
+     * A locked bracket is final and cannot be regenerated; a replaced draft can be restored from history
      */
     generatePlayoffBracket() {
         try {
-            const currentStandings = this.standings.calculateStandings();
-            
-            if (!currentStandings || currentStandings.length < 4) {
-                throw new Error('Need at least 4 teams to generate playoff bracket');
+            if (this.isBracketLocked()) {
+                throw new Error('Playoff bracket is locked');
+            }
+
+            const previous = this.getPlayoffBracket();
+
+            const bracket = this.buildBracket();
+            if (!bracket) {
+                throw new Error('Could not build playoff bracket');
+            }
+
+            if (previous) {
+                this.pushHistory('generate', previous);
+            }
+
+            this.bracketStructure = bracket;
+
+            // Save bracket to storage
+            this.saveBracket();
+
+            return this.bracketStructure;
+
+        } catch (error) {
+            console.error('Error generating playoff bracket:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the bracket the current standings would produce, without saving it
+     */
+    getProjectedBracket() {
+        const bracket = this.buildBracket(true);
+        if (bracket) {
+            bracket.metadata.projected = true;
+        }
+        return bracket;
+    }
+
+    /**
+     * Build the bracket for the configured playoff format from current standings
+     */
+    buildBracket(projected = false) {
+        try {
+            const format = this.tournament.getPlayoffFormat();
+            const currentStandings = this.standings.calculateStandings() || [];
+
+            const formatCheck = this.tournament.validatePlayoffFormat(currentStandings.length);
+            if (!formatCheck.valid) {
+                throw new Error(formatCheck.error);
             }
 
-            // Get top 4 teams
-            const qualifiedTeams = currentStandings.slice(0, 4);
+            const qualifiedTeams = currentStandings.slice(0, format.teams);
             
-            // Validate that all teams have played enough matches
-            const minMatchesRequired = 6; // Each team should play at least 6 matches
-            const insufficientMatches = qualifiedTeams.filter(team => team.played < minMatchesRequired);
+            // Validate that all teams have played a full group stage
+            const structure = this.tournament.getLeagueStructure(currentStandings.length);
+            const insufficientMatches = qualifiedTeams.filter(team => team.played < structure.matchesPerTeam);
             
-            if (insufficientMatches.length > 0) {
+            if (insufficientMatches.length > 0 && !projected) {
                 console.warn('Some teams have not played enough matches for playoffs');
             }
 
+            const venue = this.getVenue();
+            const seeds = qualifiedTeams.map((team, index) => ({
+                id: team.teamId,
+                name: this.getTeamName(team.teamId),
+                seed: index + 1,
+                stats: team
+            }));
+            const rounds = this.tournament.getPlayoffRounds(format);
+
             // Create bracket structure
-            this.bracketStructure = {
-                semifinals: [
-                    {
-                        id: 'semi-1',
-                        matchName: 'نصف النهائي الأول',
-                        homeTeam: {
-                            id: qualifiedTeams[0].teamId,
-                            name: this.getTeamName(qualifiedTeams[0].teamId),
-                            seed: 1,
-                            stats: qualifiedTeams[0]
-                        },
-                        awayTeam: {
-                            id: qualifiedTeams[3].teamId,
-                            name: this.getTeamName(qualifiedTeams[3].teamId),
-                            seed: 4,
-                            stats: qualifiedTeams[3]
-                        },
-                        status: 'scheduled',
-                        homeGoals: null,
-                        awayGoals: null,
-                        winner: null,
-                        matchDate: null,
-                        venue: 'ملعب سالفون الرئيسي'
-                    },
-                    {
-                        id: 'semi-2',
-                        matchName: 'نصف النهائي الثاني',
-                        homeTeam: {
-                            id: qualifiedTeams[1].teamId,
-                            name: this.getTeamName(qualifiedTeams[1].teamId),
-                            seed: 2,
-                            stats: qualifiedTeams[1]
-                        },
-                        awayTeam: {
-                            id: qualifiedTeams[2].teamId,
-                            name: this.getTeamName(qualifiedTeams[2].teamId),
-                            seed: 3,
-                            stats: qualifiedTeams[2]
-                        },
-                        status: 'scheduled',
-                        homeGoals: null,
-                        awayGoals: null,
-                        winner: null,
-                        matchDate: null,
-                        venue: 'ملعب سالفون الرئيسي'
-                    }
-                ],
-                final: {
-                    id: 'final',
-                    matchName: 'المباراة النهائية',
-                    homeTeam: null, // Will be filled after semifinals
-                    awayTeam: null, // Will be filled after semifinals
-                    status: 'pending',
-                    homeGoals: null,
-                    awayGoals: null,
-                    winner: null,
-                    champion: null,
-                    runnerUp: null,
-                    matchDate: null,
-                    venue: 'ملعب سالفون الرئيسي'
-                },
-                thirdPlace: {
-                    id: 'third-place',
-                    matchName: 'مباراة المركز الثالث',
-                    homeTeam: null, // Loser of semi-1
-                    awayTeam: null, // Loser of semi-2
-                    status: 'pending',
-                    homeGoals: null,
-                    awayGoals: null,
-                    winner: null,
-                    matchDate: null,
-                    venue: 'ملعب سالفون الرئيسي'
-                },
+            const bracket = {
+                format: format,
+                rounds: rounds.map(round => ({
+                    key: round.key,
+                    name: round.name,
+                    legs: round.legs,
+                    matches: round.matches.map(spec => this.createPlayoffMatch(spec, round.key, round.legs, venue))
+                })),
+                thirdPlace: null,
+                byes: this.tournament.getPlayoffByes(format.teams).map(seed => seeds[seed - 1]),
                 metadata: {
                     generated: new Date().toISOString(),
                     qualifiedTeams: qualifiedTeams,
+                    seeds: seeds,
                     tournamentPhase: 'playoffs',
-                    bracketType: '1v4_2v3'
+                    bracketType: `top${format.teams}`,
+                    locked: false,
+                    lockedAt: null,
+                    // What the seeding was based on, to detect group results corrected afterwards
+                    standingsSnapshot: currentStandings.map(team => ({
+                        teamId: team.teamId,
+                        position: team.position,
+                        points: team.points,
+                        goalDifference: team.goalDifference,
+                        goalsFor: team.goalsFor,
+                        played: team.played
+                    })),
+                    resultsSignature: this.getGroupResultsSignature(),
+                    reseeds: []
                 }
             };
 
-            // Save bracket to storage
-            this.saveBracket();
+            const finalRound = rounds.find(round => round.key === 'final');
+            if (finalRound && finalRound.thirdPlace) {
+                bracket.thirdPlace = this.createPlayoffMatch(finalRound.thirdPlace, 'third_place', 1, venue);
+            }
 
-            return this.bracketStructure;
+            this.resolveBracketTeams(bracket);
+
+            return bracket;
 
         } catch (error) {
-            console.error('Error generating playoff bracket:', error);
+            if (!projected) {
+                console.error('Error building playoff bracket:', error);
+            }
             return null;
         }
     }
 
     /**
-     * Update semifinal match result
+     * Create an empty playoff match (or two-legged tie) from a bracket slot
      */
-    updateSemifinalResult(matchId, homeGoals, awayGoals, extraTimeGoals = null, penaltyResult = null) {
+    createPlayoffMatch(spec, round, legs, venue) {
+        const twoLegged = legs === 2;
+
+        return {
+            id: spec.id,
+            matchName: spec.matchName,
+            round: round,
+            homeSource: spec.home,
+            awaySource: spec.away,
+            homeTeam: null,
+            awayTeam: null,
+            status: 'pending',
+            homeGoals: null,
+            awayGoals: null,
+            extraTime: null,
+            penalties: null,
+            aggregate: null,
+            decidedBy: null,
+            winner: null,
+            loser: null,
+            twoLegged: twoLegged,
+            // Leg 1 is hosted by the lower seed (awayTeam), leg 2 by the higher seed (homeTeam)
+            legs: twoLegged ? [1, 2].map(leg => ({
+                leg: leg,
+                status: 'pending',
+                homeGoals: null,
+                awayGoals: null,
+                extraTime: null,
+                penalties: null,
+                day: null,
+                scheduledTime: null,
+                matchDate: null
+            })) : null,
+            day: null,
+            scheduledTime: null,
+            matchDate: null,
+            venue: venue
+        };
+    }
+
+    /**
+     * Fill in the teams of every unfinished match from seeds and earlier results
+     */
+    resolveBracketTeams(bracket) {
+        const matches = this.getAllPlayoffMatches(bracket);
+
+        const resolve = (source) => {
+            if (source.seed) {
+                return bracket.metadata.seeds[source.seed - 1] || null;
+            }
+
+            const previous = matches.find(match => match.id === (source.winner || source.loser));
+            if (!previous || previous.status !== 'completed') return null;
+
+            return source.winner ? previous.winner : previous.loser;
+        };
+
+        matches.forEach(match => {
+            if (match.status === 'completed' || match.status === 'in_progress') return;
+
+            match.homeTeam = resolve(match.homeSource);
+            match.awayTeam = resolve(match.awaySource);
+            match.status = match.homeTeam && match.awayTeam ? 'scheduled' : 'pending';
+        });
+    }
+
+    /**
+     * Lock the bracket so results can be entered and the draw can no longer change
+     */
+    lockBracket() {
         try {
-            if (!this.bracketStructure) {
-                this.loadBracket();
+            const bracket = this.getPlayoffBracket();
+            if (!bracket) {
+                throw new Error('Playoff bracket not generated');
             }
 
-            const semifinal = this.bracketStructure.semifinals.find(match => match.id === matchId);
-            if (!semifinal) {
-                throw new Error(`Semifinal match ${matchId} not found`);
+            if (bracket.metadata.locked) {
+                throw new Error('Playoff bracket is already locked');
             }
 
-            // Update match result
-            semifinal.homeGoals = parseInt(homeGoals);
-            semifinal.awayGoals = parseInt(awayGoals);
-            semifinal.status = 'completed';
+            bracket.metadata.locked = true;
+            bracket.metadata.lockedAt = new Date().toISOString();
+            this.saveBracket();
+
+            return {
+                success: true,
+                bracket: bracket
+            };
+        } catch (error) {
+            console.error('Error locking playoff bracket:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Unlock the bracket again, only while no playoff result has been entered
+     */
+    unlockBracket() {
+        try {
+            const bracket = this.getPlayoffBracket();
+            if (!bracket || !bracket.metadata.locked) {
+                throw new Error('Playoff bracket is not locked');
+            }
 
-            // Determine winner
-            let winner, loser;
-            if (semifinal.homeGoals > semifinal.awayGoals) {
-                winner = semifinal.homeTeam;
-                loser = semifinal.awayTeam;
-            } else if (semifinal.awayGoals > semifinal.homeGoals) {
-                winner = semifinal.awayTeam;
-                loser = semifinal.homeTeam;
+            if (this.getAllPlayoffMatches().some(match => match.status === 'completed' || match.status === 'in_progress')) {
+                throw new Error('Cannot unlock a bracket that already has results');
+            }
+
+            bracket.metadata.locked = false;
+            bracket.metadata.lockedAt = null;
+            this.saveBracket();
+
+            return {
+                success: true,
+                bracket: bracket
+            };
+        } catch (error) {
+            console.error('Error unlocking playoff bracket:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Check whether the stored bracket is locked
+     */
+    isBracketLocked() {
+        const bracket = this.getPlayoffBracket();
+        return !!(bracket && bracket.metadata && bracket.metadata.locked);
+    }
+
+    /**
+     * Get all playoff matches in playing order (the third-place match comes before the final)
+     */
+    getAllPlayoffMatches(bracket = null) {
+        bracket = bracket || this.getPlayoffBracket();
+        if (!bracket) return [];
+
+        const matches = bracket.rounds.flatMap(round => round.matches);
+        if (bracket.thirdPlace) {
+            matches.splice(matches.length - 1, 0, bracket.thirdPlace);
+        }
+
+        return matches;
+    }
+
+    /**
+     * Get a playoff match by ID
+     */
+    getPlayoffMatch(matchId) {
+        return this.getAllPlayoffMatches().find(match => match.id === matchId) || null;
+    }
+
+    /**
+     * Get the final of a bracket
+     */
+    getFinalMatch(bracket = null) {
+        bracket = bracket || this.getPlayoffBracket();
+        if (!bracket) return null;
+
+        const finalRound = bracket.rounds[bracket.rounds.length - 1];
+        return finalRound ? finalRound.matches[0] : null;
+    }
+
+    /**
+     * Get the legs of a two-legged tie as matches seen from each leg's host
+     */
+    getMatchLegs(match) {
+        if (!match || !match.twoLegged) return [];
+
+        return match.legs.map(leg => ({
+            ...match,
+            leg: leg.leg,
+            matchName: `${match.matchName} - ${leg.leg === 1 ? 'الذهاب' : 'الإياب'}`,
+            homeTeam: leg.leg === 1 ? match.awayTeam : match.homeTeam,
+            awayTeam: leg.leg === 1 ? match.homeTeam : match.awayTeam,
+            homeGoals: leg.homeGoals,
+            awayGoals: leg.awayGoals,
+            extraTime: leg.extraTime,
+            penalties: leg.penalties,
+            status: leg.status === 'completed' ? 'completed' : match.status,
+            day: leg.day,
+            scheduledTime: leg.scheduledTime,
+            matchDate: leg.matchDate
+        }));
+    }
+
+    /**
+     * Get the next playoff match (or leg) that has both teams and has not been played
+     */
+    getNextPlayoffMatch() {
+        const upcoming = [];
+
+        this.getAllPlayoffMatches().forEach(match => {
+            if (!match.homeTeam || !match.awayTeam || match.status === 'completed') return;
+
+            if (match.twoLegged) {
+                const nextLeg = this.getMatchLegs(match).find(leg => leg.status !== 'completed');
+                if (nextLeg) upcoming.push(nextLeg);
             } else {
-                // Handle draw - need penalty shootout or extra time
-                if (penaltyResult) {
-                    semifinal.penaltyResult = penaltyResult;
-                    winner = penaltyResult.winner === 'home' ? semifinal.homeTeam : semifinal.awayTeam;
-                    loser = penaltyResult.winner === 'home' ? semifinal.awayTeam : semifinal.homeTeam;
-                } else {
-                    throw new Error('Draw result requires penalty shootout result');
+                upcoming.push(match);
+            }
+        });
+
+        upcoming.sort((a, b) => (a.day || 0) - (b.day || 0));
+        return upcoming[0] || null;
+    }
+
+    /**
+     * Record a playoff result (admin operation)
+     * result: { leg, homeGoals, awayGoals, extraTime: {homeGoals, awayGoals}, penalties: {kicks: [{team, player, outcome}]} }
+     * Two-legged ties take one leg at a time, scored from that leg's host; extra time and penalties only follow the second leg
+     */
+    recordPlayoffResult(matchId, result = {}) {
+        try {
+            const bracket = this.getPlayoffBracket();
+            if (!bracket) {
+                throw new Error('Playoff bracket not generated');
+            }
+
+            if (!bracket.metadata.locked) {
+                throw new Error('Playoff bracket must be locked before entering results');
+            }
+
+            const match = this.getPlayoffMatch(matchId);
+            if (!match) {
+                throw new Error(`Playoff match ${matchId} not found`);
+            }
+
+            // Taken before any change so the entry can be undone
+            const snapshot = JSON.parse(JSON.stringify(bracket));
+
+            if (!match.homeTeam || !match.awayTeam) {
+                throw new Error('Playoff match teams are not decided yet');
+            }
+
+            const nextMatches = this.getAllPlayoffMatches(bracket).filter(other => 
+                [other.homeSource, other.awaySource].some(source => source.winner === matchId || source.loser === matchId)
+            );
+            if (nextMatches.some(other => other.status === 'completed' || other.status === 'in_progress')) {
+                throw new Error('Cannot change a result after the next round has been played');
+            }
+
+            let outcome;
+
+            if (match.twoLegged) {
+                const leg = parseInt(result.leg);
+                const [firstLeg, secondLeg] = match.legs;
+
+                if (leg !== 1 && leg !== 2) {
+                    throw new Error('Two-legged ties need the leg number (1 or 2)');
                 }
+
+                if (leg === 1) {
+                    if (secondLeg.status === 'completed') {
+                        throw new Error('Cannot change the first leg after the second leg has been played');
+                    }
+
+                    if (this.hasScore(result.extraTime) || this.hasShootout(result.penalties) || this.hasScore(result.penalties)) {
+                        throw new Error('Extra time and penalties only follow the second leg');
+                    }
+
+                    Object.assign(firstLeg, this.parseScore(result, 'first leg'), { status: 'completed' });
+                    match.status = 'in_progress';
+                    match.lastUpdated = new Date().toISOString();
+                    this.pushHistory('result', snapshot, { matchId: matchId, leg: 1 });
+                    this.saveBracket();
+
+                    return {
+                        success: true,
+                        match: match
+                    };
+                }
+
+                if (firstLeg.status !== 'completed') {
+                    throw new Error('Enter the first leg before the second leg');
+                }
+
+                outcome = this.resolveKnockoutResult(match, result, firstLeg, bracket.format.awayGoals);
+
+                Object.assign(secondLeg, {
+                    homeGoals: outcome.homeGoals,
+                    awayGoals: outcome.awayGoals,
+                    extraTime: outcome.extraTime,
+                    penalties: outcome.penalties,
+                    status: 'completed'
+                });
+                match.homeGoals = outcome.aggregate.homeGoals;
+                match.awayGoals = outcome.aggregate.awayGoals;
+            } else {
+                outcome = this.resolveKnockoutResult(match, result);
+                match.homeGoals = outcome.homeGoals;
+                match.awayGoals = outcome.awayGoals;
             }
 
-            semifinal.winner = winner;
-            semifinal.loser = loser;
+            match.extraTime = outcome.extraTime;
+            match.penalties = outcome.penalties;
+            match.aggregate = outcome.aggregate;
+            match.decidedBy = outcome.decidedBy;
+            match.winner = outcome.winner;
+            match.loser = outcome.loser;
+            match.status = 'completed';
+            match.lastUpdated = new Date().toISOString();
+
+            if (match === this.getFinalMatch(bracket)) {
+                match.champion = outcome.winner;
+                match.runnerUp = outcome.loser;
+
+                // Update tournament metadata
+                bracket.metadata.tournamentPhase = 'completed';
+                bracket.metadata.champion = outcome.winner;
+                bracket.metadata.runnerUp = outcome.loser;
+                bracket.metadata.completedDate = new Date().toISOString();
+            } else if (match === bracket.thirdPlace) {
+                bracket.metadata.thirdPlace = outcome.winner;
+            }
 
-            // Update final and third place matches
-            this.updateBracketProgression();
+            // Move winners and losers on to their next matches
+            this.resolveBracketTeams(bracket);
 
-            // Save updated bracket
+            this.pushHistory('result', snapshot, { matchId: matchId, leg: match.twoLegged ? 2 : null });
             this.saveBracket();
 
-            return semifinal;
-
+            return {
+                success: true,
+                match: match
+            };
         } catch (error) {
-            console.error('Error updating semifinal result:', error);
-            return null;
+            console.error('Error recording playoff result:', error);
+
+            // Drop anything a failed entry changed in memory
+            this.loadBracket();
+
+            return {
+                success: false,
+                error: error.message
+            };
         }
     }
 
     /**
-     * Update final match result
+     * Work out the winner of a knockout tie from normal time, extra time and penalties
+     * For the second leg of a two-legged tie the first leg is added to make the aggregate,
+     * and with the away-goals rule the side with more goals away from home goes through
+     * (goals in extra time of the second leg count as away goals for the visitors)
      */
-    updateFinalResult(homeGoals, awayGoals, extraTimeGoals = null, penaltyResult = null) {
+    resolveKnockoutResult(match, result, firstLeg = null, awayGoalsRule = false) {
+        const normalTime = this.parseScore(result, 'normal time');
+        const useAwayGoals = !!firstLeg && awayGoalsRule;
+
+        // The second leg is hosted by the tie's home team, so its score is already in tie order
+        let homeTotal = normalTime.homeGoals + (firstLeg ? firstLeg.awayGoals : 0);
+        let awayTotal = normalTime.awayGoals + (firstLeg ? firstLeg.homeGoals : 0);
+        const homeAwayGoals = firstLeg ? firstLeg.awayGoals : 0;
+        let awayAwayGoals = firstLeg ? normalTime.awayGoals : 0;
+
+        const isLevel = () => homeTotal === awayTotal && (!useAwayGoals || homeAwayGoals === awayAwayGoals);
+        const decide = (byGoals) => {
+            if (homeTotal !== awayTotal) return byGoals;
+            return useAwayGoals && homeAwayGoals !== awayAwayGoals ? 'away_goals' : null;
+        };
+
+        let extraTime = null;
+        let penalties = null;
+        let decidedBy = decide(firstLeg ? 'aggregate' : 'normal_time');
+
+        if (this.hasScore(result.extraTime)) {
+            if (!isLevel()) {
+                throw new Error('Extra time can only follow a level tie');
+            }
+
+            extraTime = this.parseScore(result.extraTime, 'extra time');
+            homeTotal += extraTime.homeGoals;
+            awayTotal += extraTime.awayGoals;
+            awayAwayGoals += firstLeg ? extraTime.awayGoals : 0;
+            decidedBy = decide('extra_time');
+        }
+
+        if (this.hasShootout(result.penalties) || this.hasScore(result.penalties)) {
+            if (!isLevel()) {
+                throw new Error('Penalties can only follow a level tie');
+            }
+
+            if (!this.hasShootout(result.penalties)) {
+                throw new Error('Penalty shootouts must be recorded kick by kick');
+            }
+
+            const shootout = this.validateShootout(match, result.penalties.kicks);
+            if (!shootout.valid) {
+                throw new Error(shootout.error);
+            }
+
+            penalties = {
+                homeGoals: shootout.homeGoals,
+                awayGoals: shootout.awayGoals,
+                kicks: shootout.kicks
+            };
+            decidedBy = 'penalties';
+        }
+
+        if (!decidedBy) {
+            throw new Error('Knockout tie cannot end level; enter extra time or penalties');
+        }
+
+        let homeWins;
+        if (decidedBy === 'penalties') {
+            homeWins = penalties.homeGoals > penalties.awayGoals;
+        } else if (homeTotal !== awayTotal) {
+            homeWins = homeTotal > awayTotal;
+        } else {
+            homeWins = homeAwayGoals > awayAwayGoals;
+        }
+
+        return {
+            homeGoals: normalTime.homeGoals,
+            awayGoals: normalTime.awayGoals,
+            extraTime: extraTime,
+            penalties: penalties,
+            aggregate: firstLeg ? { homeGoals: homeTotal, awayGoals: awayTotal } : null,
+            decidedBy: decidedBy,
+            winner: homeWins ? match.homeTeam : match.awayTeam,
+            loser: homeWins ? match.awayTeam : match.homeTeam
+        };
+    }
+
+    /**
+     * Parse a {homeGoals, awayGoals} score
+     */
+    parseScore(score, label) {
+        const homeGoals = parseInt(score?.homeGoals);
+        const awayGoals = parseInt(score?.awayGoals);
+
+        if (isNaN(homeGoals) || isNaN(awayGoals) || homeGoals < 0 || awayGoals < 0) {
+            throw new Error(`Invalid ${label} score`);
+        }
+
+        return { homeGoals, awayGoals };
+    }
+
+    /**
+     * Check whether an optional score was entered
+     */
+    hasScore(score) {
+        return !!score && score.homeGoals !== null && score.homeGoals !== undefined && score.homeGoals !== '';
+    }
+
+    /**
+     * Check whether a kick-by-kick shootout was entered
+     */
+    hasShootout(penalties) {
+        return !!penalties && Array.isArray(penalties.kicks) && penalties.kicks.length > 0;
+    }
+
+    /**
+     * Validate a kick-by-kick penalty shootout and work out its winner
+     * Teams kick alternately: best of five, then sudden death in pairs.
+     * The shootout ends as soon as one side can no longer be caught, so no kick may follow that point
+     */
+    validateShootout(match, kicks) {
         try {
-            if (!this.bracketStructure || !this.bracketStructure.final.homeTeam) {
-                throw new Error('Final match not ready or bracket not generated');
+            if (!Array.isArray(kicks) || kicks.length === 0) {
+                return { valid: false, error: 'Penalty shootout needs at least one kick' };
+            }
+
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            if (!teamsData) {
+                return { valid: false, error: 'Failed to load teams data' };
             }
 
-            const final = this.bracketStructure.final;
+            const homeId = match.homeTeam.id;
+            const awayId = match.awayTeam.id;
+            const squads = {};
+            const playerIds = {};
+            const scored = {};
+            const taken = {};
+            const takers = {};
+
+            [homeId, awayId].forEach(teamId => {
+                const team = teamsData.teams.find(t => t.id === teamId);
+                squads[teamId] = team && team.squad ? team.squad.map(player => player.number) : [];
+                (team?.squad || []).forEach(player => {
+                    playerIds[`${teamId}#${player.number}`] = player.playerId || null;
+                });
+                scored[teamId] = 0;
+                taken[teamId] = 0;
+                takers[teamId] = [];
+            });
+
+            const normalizedKicks = [];
+            let decidedAfter = null;
+
+            for (let i = 0; i < kicks.length; i++) {
+                const kick = kicks[i];
+                const label = `Kick ${i + 1}`;
+
+                if (decidedAfter !== null) {
+                    return { valid: false, error: `${label}: the shootout was already decided after kick ${decidedAfter}` };
+                }
 
-            // Update match result
-            final.homeGoals = parseInt(homeGoals);
-            final.awayGoals = parseInt(awayGoals);
-            final.status = 'completed';
+                if (!kick || (kick.team !== homeId && kick.team !== awayId)) {
+                    return { valid: false, error: `${label}: team must be one of the two match teams` };
+                }
 
-            // Determine champion and runner-up
-            let champion, runnerUp;
-            if (final.homeGoals > final.awayGoals) {
-                champion = final.homeTeam;
-                runnerUp = final.awayTeam;
-            } else if (final.awayGoals > final.homeGoals) {
-                champion = final.awayTeam;
-                runnerUp = final.homeTeam;
-            } else {
-                // Handle draw - need penalty shootout
-                if (penaltyResult) {
-                    final.penaltyResult = penaltyResult;
-                    champion = penaltyResult.winner === 'home' ? final.homeTeam : final.awayTeam;
-                    runnerUp = penaltyResult.winner === 'home' ? final.awayTeam : final.homeTeam;
-                } else {
-                    throw new Error('Final draw requires penalty shootout result');
+                if (i > 0 && kick.team === kicks[i - 1].team) {
+                    return { valid: false, error: `${label}: teams must take their kicks alternately` };
+                }
+
+                const player = parseInt(kick.player);
+                if (isNaN(player) || !squads[kick.team].includes(player)) {
+                    return { valid: false, error: `${label}: player #${kick.player} is not in the squad of ${kick.team}` };
+                }
+
+                if (!this.shootoutOutcomes.includes(kick.outcome)) {
+                    return { valid: false, error: `${label}: outcome must be one of: ${this.shootoutOutcomes.join(', ')}` };
+                }
+
+                // Nobody takes a second kick within the first five rounds
+                if (taken[kick.team] < this.shootoutRounds && takers[kick.team].includes(player)) {
+                    return { valid: false, error: `${label}: player #${player} has already taken a kick` };
+                }
+
+                takers[kick.team].push(player);
+                taken[kick.team] += 1;
+                if (kick.outcome === 'scored') {
+                    scored[kick.team] += 1;
+                }
+
+                normalizedKicks.push({
+                    order: i + 1,
+                    team: kick.team,
+                    player: player,
+                    playerId: playerIds[`${kick.team}#${player}`],
+                    outcome: kick.outcome
+                });
+
+                if (this.isShootoutDecided(scored[homeId], scored[awayId], taken[homeId], taken[awayId])) {
+                    decidedAfter = i + 1;
                 }
             }
 
-            final.winner = champion;
-            final.champion = champion;
-            final.runnerUp = runnerUp;
+            if (decidedAfter === null) {
+                return { valid: false, error: 'Penalty shootout is not finished; keep adding kicks until one side wins' };
+            }
+
+            return {
+                valid: true,
+                kicks: normalizedKicks,
+                homeGoals: scored[homeId],
+                awayGoals: scored[awayId],
+                winner: scored[homeId] > scored[awayId] ? homeId : awayId
+            };
 
-            // Update tournament metadata
-            this.bracketStructure.metadata.tournamentPhase = 'completed';
-            this.bracketStructure.metadata.champion = champion;
-            this.bracketStructure.metadata.runnerUp = runnerUp;
-            this.bracketStructure.metadata.completedDate = new Date().toISOString();
+        } catch (error) {
+            console.error('Error validating penalty shootout:', error);
+            return { valid: false, error: 'Shootout validation error occurred' };
+        }
+    }
 
-            // Save updated bracket
-            this.saveBracket();
+    /**
+     * Check whether a shootout is decided after the kicks taken so far
+     */
+    isShootoutDecided(homeScored, awayScored, homeTaken, awayTaken) {
+        if (homeTaken < this.shootoutRounds || awayTaken < this.shootoutRounds) {
+            // Best of five: decided once the trailing side cannot catch up with its remaining kicks
+            const homeLeft = Math.max(0, this.shootoutRounds - homeTaken);
+            const awayLeft = Math.max(0, this.shootoutRounds - awayTaken);
+            return homeScored > awayScored + awayLeft || awayScored > homeScored + homeLeft;
+        }
 
-            return final;
+        // Sudden death: decided after a complete pair of kicks that leaves the sides apart
+        return homeTaken === awayTaken && homeScored !== awayScored;
+    }
+
+    /**
+     * Get the kicks of a match's shootout with taker names, grouped into rounds for display
+     */
+    getShootoutRounds(match) {
+        try {
+            if (!match || !match.penalties || !this.hasShootout(match.penalties)) {
+                return [];
+            }
+
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            const findPlayer = (teamId, playerId, number) => {
+                const registeredName = this.playerRegistry.getPlayerName(playerId);
+                if (registeredName) return registeredName;
+
+                const team = teamsData?.teams.find(t => t.id === teamId);
+                const player = team && team.squad ? team.squad.find(p => p.number === number) : null;
+                return player ? player.name.trim() : `#${number}`;
+            };
+
+            const rounds = [];
+            match.penalties.kicks.forEach((kick, index) => {
+                const roundNumber = Math.floor(index / 2) + 1;
+                if (!rounds[roundNumber - 1]) {
+                    rounds.push({
+                        round: roundNumber,
+                        suddenDeath: roundNumber > this.shootoutRounds,
+                        home: null,
+                        away: null
+                    });
+                }
+
+                rounds[roundNumber - 1][kick.team === match.homeTeam.id ? 'home' : 'away'] = {
+                    ...kick,
+                    playerName: findPlayer(kick.team, kick.playerId, kick.player),
+                    outcomeText: this.getKickOutcomeText(kick.outcome)
+                };
+            });
+
+            return rounds;
 
         } catch (error) {
-            console.error('Error updating final result:', error);
-            return null;
+            console.error('Error getting shootout rounds:', error);
+            return [];
         }
     }
 
     /**
-     * Update bracket progression after semifinal results
+     * Get kick outcome text in Arabic
      */
-    updateBracketProgression() {
-        const semi1 = this.bracketStructure.semifinals[0];
-        const semi2 = this.bracketStructure.semifinals[1];
+    getKickOutcomeText(outcome) {
+        const outcomes = {
+            'scored': 'سجل',
+            'missed': 'أهدر',
+            'saved': 'تصدى لها الحارس'
+        };
+        return outcomes[outcome] || outcome;
+    }
 
-        // Update final if both semifinals are completed
-        if (semi1.winner && semi2.winner) {
-            this.bracketStructure.final.homeTeam = semi1.winner;
-            this.bracketStructure.final.awayTeam = semi2.winner;
-            this.bracketStructure.final.status = 'scheduled';
+    /**
+     * Update semifinal match result
+     * penaltyResult is a kick-by-kick shootout: {kicks: [{team, player, outcome}]}
+     */
+    updateSemifinalResult(matchId, homeGoals, awayGoals, extraTimeGoals = null, penaltyResult = null) {
+        const match = this.getPlayoffMatch(matchId);
+        if (!match || match.round !== 'semifinals') {
+            console.error('Error updating semifinal result:', new Error(`Semifinal match ${matchId} not found`));
+            return null;
         }
 
-        // Update third place match if both semifinals are completed
-        if (semi1.loser && semi2.loser) {
-            this.bracketStructure.thirdPlace.homeTeam = semi1.loser;
-            this.bracketStructure.thirdPlace.awayTeam = semi2.loser;
-            this.bracketStructure.thirdPlace.status = 'scheduled';
+        const result = this.recordPlayoffResult(matchId, { homeGoals, awayGoals, extraTime: extraTimeGoals, penalties: penaltyResult });
+        return result.success ? result.match : null;
+    }
+
+    /**
+     * Update final match result
+     */
+    updateFinalResult(homeGoals, awayGoals, extraTimeGoals = null, penaltyResult = null) {
+        const result = this.recordPlayoffResult('final', { homeGoals, awayGoals, extraTime: extraTimeGoals, penalties: penaltyResult });
+        return result.success ? result.match : null;
+    }
+
+    /**
+     * Update third place match result
+     */
+    updateThirdPlaceResult(homeGoals, awayGoals, extraTimeGoals = null, penaltyResult = null) {
+        const result = this.recordPlayoffResult('third-place', { homeGoals, awayGoals, extraTime: extraTimeGoals, penalties: penaltyResult });
+        return result.success ? result.match : null;
+    }
+
+    /**
+     * Update bracket progression after playoff results
+     */
+    updateBracketProgression() {
+        const bracket = this.getPlayoffBracket();
+        if (bracket) {
+            this.resolveBracketTeams(bracket);
         }
     }
 
     /**
      * Get current tournament phase
+     * The site switches to playoff mode as soon as the group stage is complete or a bracket exists
      */
     getTournamentPhase() {
         try {
-            // Check if group stage is complete
             const matchesData = this.storage.load(this.storage.keys.MATCHES);
             if (!matchesData) return 'not_started';
 
-            const totalGroupMatches = matchesData.matches.length;
-            const completedGroupMatches = matchesData.matches.filter(match => match.status === 'played').length;
-
-            if (completedGroupMatches < totalGroupMatches) {
-                return 'group_stage';
-            }
-
             // Check playoff status
             if (!this.bracketStructure) {
                 this.loadBracket();
             }
 
             if (!this.bracketStructure) {
-                return 'playoffs_pending';
+                return this.isGroupStageComplete() ? 'playoffs_pending' : 'group_stage';
             }
 
-            const semi1 = this.bracketStructure.semifinals[0];
-            const semi2 = this.bracketStructure.semifinals[1];
-            const final = this.bracketStructure.final;
+            const final = this.getFinalMatch(this.bracketStructure);
 
             if (final.status === 'completed') {
                 return 'tournament_completed';
-            } else if (final.status === 'scheduled') {
-                return 'final_scheduled';
-            } else if (semi1.status === 'completed' && semi2.status === 'completed') {
-                return 'semifinals_completed';
-            } else if (semi1.status === 'scheduled' || semi2.status === 'scheduled') {
-                return 'semifinals_in_progress';
-            } else {
+            } else if (!this.bracketStructure.metadata.locked) {
                 return 'playoffs_ready';
             }
 
+            const currentRound = this.bracketStructure.rounds.find(round => 
+                round.matches.some(match => match.status !== 'completed')
+            );
+            const roundPhases = {
+                quarterfinals: 'quarterfinals_in_progress',
+                semifinals: 'semifinals_in_progress',
+                final: 'final_scheduled'
+            };
+
+            return roundPhases[currentRound.key] || 'unknown';
+
         } catch (error) {
             console.error('Error getting tournament phase:', error);
             return 'unknown';
         }
     }
 
+    /**
+     * Check whether every group match has been played
+     */
+    isGroupStageComplete() {
+        const matchesData = this.storage.load(this.storage.keys.MATCHES);
+        if (!matchesData || matchesData.matches.length === 0) return false;
+
+        return matchesData.matches.every(match => match.status === 'played');
+    }
+
+    /**
+     * Check whether the site should show the playoffs instead of the group stage
+     */
+    isPlayoffMode(phase = null) {
+        phase = phase || this.getTournamentPhase();
+        return !['not_started', 'group_stage', 'unknown'].includes(phase);
+    }
+
+    /**
+     * Get phase text in Arabic
+     */
+    getPhaseText(phase) {
+        const phaseMap = {
+            'not_started': 'لم تبدأ البطولة',
+            'group_stage': 'دور المجموعة',
+            'playoffs_pending': 'انتهى دور المجموعة - بانتظار قرعة الأدوار الإقصائية',
+            'playoffs_ready': 'قرعة الأدوار الإقصائية جاهزة (غير معتمدة)',
+            'quarterfinals_in_progress': 'ربع النهائي',
+            'semifinals_in_progress': 'نصف النهائي',
+            'final_scheduled': 'المباراة النهائية',
+            'tournament_completed': 'انتهت البطولة',
+            'unknown': 'غير معروف'
+        };
+        return phaseMap[phase] || phase;
+    }
+
+    /**
+     * Get result text in Arabic, including aggregate, away goals, extra time and penalties
+     */
+    getResultText(match) {
+        if (!match || match.status !== 'completed') return '';
+
+        let text;
+
+        if (match.twoLegged) {
+            const [firstLeg, secondLeg] = match.legs;
+
+            // Both legs are shown from the tie's home team's side
+            text = `الذهاب ${firstLeg.awayGoals} - ${firstLeg.homeGoals}، الإياب ${secondLeg.homeGoals} - ${secondLeg.awayGoals}` +
+                ` (المجموع ${match.aggregate.homeGoals} - ${match.aggregate.awayGoals}${match.extraTime ? ' بعد الأشواط الإضافية' : ''})`;
+        } else {
+            text = `${match.homeGoals} - ${match.awayGoals}`;
+
+            if (match.extraTime) {
+                text += ` (بعد الأشواط الإضافية ${match.homeGoals + match.extraTime.homeGoals} - ${match.awayGoals + match.extraTime.awayGoals})`;
+            }
+        }
+
+        if (match.decidedBy === 'away_goals') {
+            text += ' - بقاعدة الأهداف خارج الأرض';
+        }
+
+        if (match.penalties) {
+            text += ` (ركلات الترجيح ${match.penalties.homeGoals} - ${match.penalties.awayGoals})`;
+        }
+
+        return text;
+    }
+
+    /**
+     * Get the venue for playoff matches from config
+     */
+    getVenue() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        return configData?.tournament?.venue || this.defaultVenue;
+    }
+
     /**
      * Get playoff bracket for display
      */
@@ -331,6 +975,7 @@ class PlayoffEngine {
                 phase: phase,
                 groupStageComplete: phase !== 'group_stage' && phase !== 'not_started',
                 playoffsGenerated: bracket !== null,
+                roundsComplete: {},
                 semifinalsComplete: false,
                 finalComplete: false,
                 champion: null,
@@ -339,12 +984,14 @@ class PlayoffEngine {
             };
 
             if (bracket) {
-                const semi1 = bracket.semifinals[0];
-                const semi2 = bracket.semifinals[1];
-                const final = bracket.final;
+                bracket.rounds.forEach(round => {
+                    summary.roundsComplete[round.key] = round.matches.every(match => match.status === 'completed');
+                });
+
+                const final = this.getFinalMatch(bracket);
                 const thirdPlace = bracket.thirdPlace;
 
-                summary.semifinalsComplete = semi1.status === 'completed' && semi2.status === 'completed';
+                summary.semifinalsComplete = !!summary.roundsComplete.semifinals;
                 summary.finalComplete = final.status === 'completed';
 
                 if (final.champion) {
@@ -365,13 +1012,216 @@ class PlayoffEngine {
         }
     }
 
+    /**
+     * Get a short fingerprint of everything the group standings depend on
+     * (played results, match events for fair play, and points adjustments)
+     */
+    getGroupResultsSignature() {
+        const matchesData = this.storage.load(this.storage.keys.MATCHES);
+        const adjustments = this.storage.load(this.storage.keys.ADJUSTMENTS);
+
+        const results = (matchesData?.matches || [])
+            .filter(match => match.status === 'played')
+            .map(match => [match.id, match.homeGoals, match.awayGoals, !!match.forfeit, match.events || []])
+            .sort((a, b) => a[0].localeCompare(b[0]));
+
+        return this.storage.getSignature({ results, adjustments: adjustments || null });
+    }
+
+    /**
+     * Compare the bracket's seeding with the current standings
+     * resultsChanged is null for brackets saved before snapshots were recorded
+     */
+    checkSeeding(bracket = null) {
+        try {
+            bracket = bracket || this.getPlayoffBracket();
+            if (!bracket || bracket.metadata.projected) return null;
+
+            const seeds = bracket.metadata.seeds || [];
+            const currentStandings = this.standings.calculateStandings() || [];
+            const current = currentStandings.slice(0, seeds.length);
+            const signature = bracket.metadata.resultsSignature;
+
+            const changes = seeds.map((seed, index) => ({
+                seed: seed.seed,
+                previous: { id: seed.id, name: seed.name },
+                current: current[index] ? { id: current[index].teamId, name: current[index].teamName } : null
+            })).filter(change => !change.current || change.current.id !== change.previous.id);
+
+            const seededIds = seeds.map(seed => seed.id);
+            const currentIds = current.map(team => team.teamId);
+
+            const resultsChanged = signature ? signature !== this.getGroupResultsSignature() : null;
+
+            return {
+                stale: !!resultsChanged || changes.length > 0,
+                resultsChanged: resultsChanged,
+                seedingChanged: changes.length > 0,
+                changes: changes,
+                qualifiedIn: current.filter(team => !seededIds.includes(team.teamId))
+                    .map(team => ({ id: team.teamId, name: team.teamName })),
+                qualifiedOut: seeds.filter(seed => !currentIds.includes(seed.id))
+                    .map(seed => ({ id: seed.id, name: seed.name })),
+                seededAt: bracket.metadata.generated
+            };
+
+        } catch (error) {
+            console.error('Error checking playoff seeding:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Re-seed the bracket from the current standings, keeping its schedule and lock state
+     * Only possible while no playoff result has been entered; undo results first
+     */
+    reseedBracket() {
+        try {
+            const bracket = this.getPlayoffBracket();
+            if (!bracket) {
+                throw new Error('Playoff bracket not generated');
+            }
+
+            if (this.getAllPlayoffMatches(bracket).some(match => match.status === 'completed' || match.status === 'in_progress')) {
+                throw new Error('Undo the playoff results before re-seeding the bracket');
+            }
+
+            const check = this.checkSeeding(bracket);
+
+            const rebuilt = this.buildBracket();
+            if (!rebuilt) {
+                throw new Error('Could not build playoff bracket');
+            }
+
+            // Matches keep their slots in the calendar
+            const previousMatches = this.getAllPlayoffMatches(bracket);
+            this.getAllPlayoffMatches(rebuilt).forEach(match => {
+                const previous = previousMatches.find(other => other.id === match.id);
+                if (!previous) return;
+
+                ['day', 'scheduledTime', 'matchDate'].forEach(field => {
+                    match[field] = previous[field];
+                });
+
+                if (match.twoLegged && previous.twoLegged) {
+                    match.legs.forEach((leg, index) => {
+                        ['day', 'scheduledTime', 'matchDate'].forEach(field => {
+                            leg[field] = previous.legs[index][field];
+                        });
+                    });
+                }
+            });
+
+            rebuilt.metadata.locked = bracket.metadata.locked;
+            rebuilt.metadata.lockedAt = bracket.metadata.lockedAt;
+            rebuilt.metadata.reseeds = [...(bracket.metadata.reseeds || []), {
+                reseededAt: rebuilt.metadata.generated,
+                previousSeededAt: bracket.metadata.generated,
+                changes: check ? check.changes : []
+            }];
+
+            this.pushHistory('reseed', bracket);
+            this.bracketStructure = rebuilt;
+            this.saveBracket();
+
+            return {
+                success: true,
+                bracket: rebuilt,
+                changes: check ? check.changes : []
+            };
+        } catch (error) {
+            console.error('Error re-seeding playoff bracket:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get the stored bracket versions, newest last
+     */
+    getPlayoffHistory() {
+        return this.storage.load(this.storage.keys.PLAYOFF_HISTORY) || [];
+    }
+
+    /**
+     * Store the bracket as it was before a change, so the change can be undone
+     */
+    pushHistory(action, bracket, details = {}) {
+        const history = this.getPlayoffHistory();
+
+        history.push({
+            id: `playoff-change-${Date.now()}-${history.length}`,
+            action: action,
+            matchId: details.matchId || null,
+            leg: details.leg || null,
+            timestamp: new Date().toISOString(),
+            bracket: JSON.parse(JSON.stringify(bracket))
+        });
+
+        this.storage.save(this.storage.keys.PLAYOFF_HISTORY, history.slice(-this.maxHistoryEntries));
+    }
+
+    /**
+     * Undo the latest playoff change (a result entry, re-seed, redraw or reset) by restoring the bracket before it
+     */
+    undoLastChange() {
+        try {
+            const history = this.getPlayoffHistory();
+            const entry = history.pop();
+            if (!entry) {
+                throw new Error('There is no playoff change to undo');
+            }
+
+            this.bracketStructure = this.normalizeBracket(entry.bracket);
+            this.saveBracket();
+            this.storage.save(this.storage.keys.PLAYOFF_HISTORY, history);
+
+            const { bracket, ...undone } = entry;
+
+            return {
+                success: true,
+                undone: undone,
+                bracket: this.bracketStructure
+            };
+        } catch (error) {
+            console.error('Error undoing playoff change:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get history action text in Arabic
+     */
+    getHistoryActionText(entry) {
+        const match = entry.matchId ? this.getAllPlayoffMatches(entry.bracket).find(m => m.id === entry.matchId) : null;
+        const matchName = match ? `${match.matchName}${entry.leg ? (entry.leg === 1 ? ' - الذهاب' : ' - الإياب') : ''}` : '';
+
+        const actions = {
+            'result': `تسجيل نتيجة ${matchName}`,
+            'reseed': 'إعادة توزيع المقاعد',
+            'generate': 'إعادة توليد القرعة',
+            'reset': 'حذف القرعة'
+        };
+        return actions[entry.action] || entry.action;
+    }
+
     /**
      * Reset playoff bracket (for testing/admin)
      */
     resetPlayoffs() {
         try {
+            const bracket = this.getPlayoffBracket();
+            if (bracket) {
+                this.pushHistory('reset', bracket);
+            }
+
             this.bracketStructure = null;
-            this.storage.remove('salfoon_playoffs');
+            this.storage.remove(this.storage.keys.PLAYOFFS);
             return true;
         } catch (error) {
             console.error('Error resetting playoffs:', error);
@@ -384,7 +1234,7 @@ class PlayoffEngine {
      */
     saveBracket() {
         try {
-            this.storage.save('salfoon_playoffs', this.bracketStructure);
+            this.storage.save(this.storage.keys.PLAYOFFS, this.bracketStructure);
         } catch (error) {
             console.error('Error saving bracket:', error);
         }
@@ -395,13 +1245,59 @@ class PlayoffEngine {
      */
     loadBracket() {
         try {
-            this.bracketStructure = this.storage.load('salfoon_playoffs');
+            this.bracketStructure = this.normalizeBracket(this.storage.load(this.storage.keys.PLAYOFFS));
         } catch (error) {
             console.error('Error loading bracket:', error);
             this.bracketStructure = null;
         }
     }
 
+    /**
+     * Convert brackets saved before configurable formats (fixed semifinals, final and third place) to rounds
+     */
+    normalizeBracket(bracket) {
+        if (!bracket || bracket.rounds || !bracket.semifinals) return bracket;
+
+        const sources = {
+            'semi-1': [{ seed: 1 }, { seed: 4 }],
+            'semi-2': [{ seed: 2 }, { seed: 3 }],
+            'final': [{ winner: 'semi-1' }, { winner: 'semi-2' }],
+            'third-place': [{ loser: 'semi-1' }, { loser: 'semi-2' }]
+        };
+        const withSources = (match, round) => ({
+            ...match,
+            round: round,
+            homeSource: sources[match.id][0],
+            awaySource: sources[match.id][1],
+            twoLegged: false,
+            legs: null
+        });
+
+        return {
+            format: { teams: 4, legs: { quarterfinals: 1, semifinals: 1, final: 1 }, awayGoals: true, thirdPlace: true },
+            rounds: [
+                {
+                    key: 'semifinals',
+                    name: this.tournament.playoffRoundNames.semifinals,
+                    legs: 1,
+                    matches: bracket.semifinals.map(match => withSources(match, 'semifinals'))
+                },
+                {
+                    key: 'final',
+                    name: this.tournament.playoffRoundNames.final,
+                    legs: 1,
+                    matches: [withSources(bracket.final, 'final')]
+                }
+            ],
+            thirdPlace: bracket.thirdPlace ? withSources(bracket.thirdPlace, 'third_place') : null,
+            byes: [],
+            metadata: {
+                ...bracket.metadata,
+                seeds: bracket.semifinals.flatMap(match => [match.homeTeam, match.awayTeam]).sort((a, b) => a.seed - b.seed)
+            }
+        };
+    }
+
     /**
      * Get team name by ID
      */
@@ -425,10 +1321,19 @@ class PlayoffEngine {
         try {
             const currentStandings = this.standings.calculateStandings();
             
-            if (!currentStandings || currentStandings.length < 4) {
+            if (!currentStandings || currentStandings.length === 0) {
                 return {
                     eligible: false,
-                    reason: 'Need at least 4 teams for playoffs'
+                    reason: 'No standings available for playoffs'
+                };
+            }
+
+            // Check the configured format against the league size
+            const formatCheck = this.tournament.validatePlayoffFormat(currentStandings.length);
+            if (!formatCheck.valid) {
+                return {
+                    eligible: false,
+                    reason: formatCheck.error
                 };
             }
 
@@ -442,6 +1347,13 @@ class PlayoffEngine {
             }
 
             const totalMatches = matchesData.matches.length;
+            if (totalMatches === 0) {
+                return {
+                    eligible: false,
+                    reason: 'No group matches scheduled yet'
+                };
+            }
+
             const completedMatches = matchesData.matches.filter(match => match.status === 'played').length;
             const completionPercentage = (completedMatches / totalMatches) * 100;
 
@@ -456,7 +1368,8 @@ class PlayoffEngine {
             return {
                 eligible: true,
                 completionPercentage: completionPercentage,
-                qualifiedTeams: currentStandings.slice(0, 4)
+                format: formatCheck.format,
+                qualifiedTeams: currentStandings.slice(0, formatCheck.format.teams)
             };
 
         } catch (error) {
@@ -470,45 +1383,68 @@ class PlayoffEngine {
 
     /**
      * Generate playoff schedule with dates
+     * startDay is a Ramadan day (defaults to the configured playoff start day);
+     * kickoff datetimes come from the calendar in the league timezone.
+     * Each round plays its first legs, then its second legs, two days apart
+     * (one day apart when two would run past the end of Ramadan)
      */
-    generatePlayoffSchedule(startDate) {
+    generatePlayoffSchedule(startDay = null, kickoffTime = '21:00') {
         try {
             if (!this.bracketStructure) {
                 throw new Error('Playoff bracket not generated');
             }
 
-            const schedule = [];
-            const baseDate = new Date(startDate);
+            const firstDay = parseInt(startDay) || this.tournament.getPlayoffStartDay();
+            if (!firstDay) {
+                throw new Error('Playoff start day is not configured');
+            }
+
+            // One slot per match night: [{match, leg}]
+            const slots = [];
+            this.bracketStructure.rounds.forEach(round => {
+                if (round.key === 'final' && this.bracketStructure.thirdPlace) {
+                    slots.push({ match: this.bracketStructure.thirdPlace, leg: null });
+                }
+
+                const legNumbers = round.legs === 2 ? [1, 2] : [null];
+                legNumbers.forEach(leg => {
+                    round.matches.forEach(match => slots.push({ match: match, leg: leg }));
+                });
+            });
 
-            // Schedule semifinals (2 days apart)
-            this.bracketStructure.semifinals[0].matchDate = new Date(baseDate);
-            this.bracketStructure.semifinals[1].matchDate = new Date(baseDate.getTime() + (2 * 24 * 60 * 60 * 1000));
+            const gap = firstDay + (slots.length - 1) * this.matchGapDays <= this.lastRamadanDay ? this.matchGapDays : 1;
 
-            // Schedule third place match (4 days after first semifinal)
-            this.bracketStructure.thirdPlace.matchDate = new Date(baseDate.getTime() + (4 * 24 * 60 * 60 * 1000));
+            slots.forEach((slot, index) => {
+                const day = firstDay + index * gap;
+                const target = slot.leg ? slot.match.legs[slot.leg - 1] : slot.match;
 
-            // Schedule final (6 days after first semifinal)
-            this.bracketStructure.final.matchDate = new Date(baseDate.getTime() + (6 * 24 * 60 * 60 * 1000));
+                target.day = day;
+                target.scheduledTime = kickoffTime;
+                target.matchDate = this.calendar.getDateTime(day, kickoffTime);
+
+                // A two-legged tie is listed on the day of its first leg
+                if (slot.leg === 1) {
+                    slot.match.day = target.day;
+                    slot.match.scheduledTime = target.scheduledTime;
+                    slot.match.matchDate = target.matchDate;
+                }
+            });
 
             this.saveBracket();
 
+            const lastDay = firstDay + (slots.length - 1) * gap;
+
             return {
-                semifinals: this.bracketStructure.semifinals.map(match => ({
+                firstDay: firstDay,
+                lastDay: lastDay,
+                exceedsRamadan: lastDay > this.lastRamadanDay,
+                matches: this.getAllPlayoffMatches(this.bracketStructure).map(match => ({
                     id: match.id,
                     name: match.matchName,
                     date: match.matchDate,
-                    teams: `${match.homeTeam.name} × ${match.awayTeam.name}`
-                })),
-                thirdPlace: {
-                    id: this.bracketStructure.thirdPlace.id,
-                    name: this.bracketStructure.thirdPlace.matchName,
-                    date: this.bracketStructure.thirdPlace.matchDate
-                },
-                final: {
-                    id: this.bracketStructure.final.id,
-                    name: this.bracketStructure.final.matchName,
-                    date: this.bracketStructure.final.matchDate
-                }
+                    legs: match.twoLegged ? match.legs.map(leg => leg.matchDate) : null,
+                    teams: match.homeTeam && match.awayTeam ? `${match.homeTeam.name} × ${match.awayTeam.name}` : null
+                }))
             };
 
         } catch (error) {
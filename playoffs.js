@@ -0,0 +1,505 @@
+/**
+ * Playoffs Page Controller for Salfoon Ramadan League Platform
+ * Handles the knockout bracket display, champion banner, and live updates
+ */
+
+import LocalStorageManager from './storage.js';
+import PlayoffEngine from './playoffEngine.js';
+import CalendarEngine from './calendarEngine.js';
+
+class PlayoffsController {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.playoffEngine = new PlayoffEngine();
+        this.calendar = new CalendarEngine();
+        this.updateInterval = null;
+        
+        this.init();
+    }
+
+    async init() {
+        try {
+            // Wait for storage initialization
+            await this.storage.initializeStorage();
+            
+            // Load and display the bracket
+            this.loadBracket();
+            
+            // Set up event listeners
+            this.setupEventListeners();
+            
+            // Set up auto-refresh
+            this.setupAutoRefresh();
+            
+            // Hide loading screen
+            this.hideLoadingScreen();
+            
+        } catch (error) {
+            console.error('Error initializing playoffs controller:', error);
+            this.showError('حدث خطأ في تحميل البيانات');
+        }
+    }
+
+    loadBracket() {
+        try {
+            // Reload the stored bracket in case the admin changed it
+            this.playoffEngine.loadBracket();
+
+            const phase = this.playoffEngine.getTournamentPhase();
+            const storedBracket = this.playoffEngine.getPlayoffBracket();
+
+            // Before the draw, show the bracket the current standings would produce
+            const bracket = storedBracket || this.playoffEngine.getProjectedBracket();
+
+            this.displayPhase(phase, storedBracket);
+            this.displayChampion(storedBracket);
+            this.displayBracket(bracket);
+            this.updateLastUpdatedTime();
+            
+        } catch (error) {
+            console.error('Error loading bracket:', error);
+            this.showError('حدث خطأ في تحميل الأدوار الإقصائية');
+        }
+    }
+
+    displayPhase(phase, storedBracket) {
+        const phaseElement = document.getElementById('playoff-phase');
+        if (phaseElement) {
+            phaseElement.textContent = this.playoffEngine.getPhaseText(phase);
+        }
+
+        const note = document.getElementById('bracket-note');
+        if (!note) return;
+
+        if (!storedBracket) {
+            note.textContent = 'القرعة غير نهائية - المواجهات المعروضة حسب الترتيب الحالي وقد تتغير حتى نهاية الدور الأول';
+        } else if (!storedBracket.metadata.locked) {
+            note.textContent = 'القرعة بانتظار اعتماد اللجنة المنظمة';
+        } else {
+            note.textContent = '';
+        }
+    }
+
+    displayChampion(bracket) {
+        const championSection = document.getElementById('champion-section');
+        if (!championSection) return;
+
+        const champion = bracket?.metadata?.champion;
+        if (!champion) {
+            championSection.style.display = 'none';
+            return;
+        }
+
+        const team = this.getTeam(champion.id);
+
+        championSection.style.display = 'block';
+        championSection.innerHTML = `
+            <div class="champion-card">
+                <span class="champion-trophy">🏆</span>
+                ${team?.logo ? `<img src="${team.logo}" alt="${champion.name}" class="team-logo">` : ''}
+                <h2 class="champion-name">${champion.name}</h2>
+                <p class="champion-label">بطل ${this.getSeasonName()}</p>
+                ${bracket.metadata.runnerUp ? `<p class="runner-up">الوصيف: ${bracket.metadata.runnerUp.name}</p>` : ''}
+                ${bracket.metadata.thirdPlace ? `<p class="third-place">المركز الثالث: ${bracket.metadata.thirdPlace.name}</p>` : ''}
+            </div>
+        `;
+    }
+
+    displayBracket(bracket) {
+        const container = document.getElementById('playoff-bracket');
+        if (!container) return;
+
+        if (!bracket) {
+            container.innerHTML = `
+                <div class="no-bracket">
+                    <p>لا يوجد عدد كافٍ من الفرق لتكوين الأدوار الإقصائية</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            ${bracket.byes.length > 0 ? `
+                <div class="bracket-round byes-round">
+                    <h3>تأهل مباشر</h3>
+                    ${bracket.byes.map(team => `
+                        <div class="bracket-team bye">
+                            <span class="team-seed">${team.seed}</span>
+                            <span class="team-name">${team.name}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${bracket.rounds.map(round => `
+                <div class="bracket-round ${round.key}">
+                    <h3>${round.name}${round.legs === 2 ? ' (ذهاب وإياب)' : ''}</h3>
+                    ${round.matches.map(match => this.renderMatchCard(match, bracket)).join('')}
+                </div>
+            `).join('')}
+            ${bracket.thirdPlace ? `
+                <div class="bracket-round third-place-round">
+                    <h3>المركز الثالث</h3>
+                    ${this.renderMatchCard(bracket.thirdPlace, bracket)}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    renderMatchCard(match, bracket) {
+        const completed = match.status === 'completed';
+
+        const renderTeam = (team, goals, placeholder) => {
+            if (!team) {
+                return `
+                    <div class="bracket-team pending">
+                        <span class="team-name">${placeholder}</span>
+                    </div>
+                `;
+            }
+
+            const teamData = this.getTeam(team.id);
+            const isWinner = completed && match.winner && match.winner.id === team.id;
+
+            return `
+                <div class="bracket-team ${isWinner ? 'winner' : ''} ${completed && !isWinner ? 'eliminated' : ''}">
+                    ${team.seed ? `<span class="team-seed">${team.seed}</span>` : ''}
+                    ${teamData?.logo ? `<img src="${teamData.logo}" alt="${team.name}" class="team-logo-small">` : ''}
+                    <span class="team-name">${team.name}</span>
+                    <span class="team-score">${completed ? goals : ''}</span>
+                </div>
+            `;
+        };
+
+        const tournament = this.playoffEngine.tournament;
+        const placeholders = [match.homeSource, match.awaySource].map(source => 
+            source ? tournament.getPlayoffSourceText(source, bracket.rounds) : ''
+        );
+
+        // Played legs of a two-legged tie, each from its host's side
+        const legLines = match.twoLegged ? this.playoffEngine.getMatchLegs(match).map(leg => `
+            <div class="bracket-leg">
+                <span class="leg-name">${leg.leg === 1 ? 'الذهاب' : 'الإياب'}</span>
+                ${leg.status === 'completed' ? 
+                    `<span class="leg-score">${leg.homeTeam.name} ${leg.homeGoals} - ${leg.awayGoals} ${leg.awayTeam.name}</span>` : 
+                    leg.day ? `<span class="leg-date">اليوم ${leg.day} رمضان - ${this.calendar.formatDate(leg.day)}</span>` : ''}
+            </div>
+        `).join('') : '';
+
+        const clickable = match.homeTeam && match.awayTeam && !bracket.metadata.projected;
+
+        return `
+            <div class="bracket-match ${match.status} ${clickable ? 'clickable' : ''}" 
+                 ${clickable ? `onclick="window.playoffsController.showMatchDetails('${match.id}')"` : ''}>
+                <div class="bracket-match-header">
+                    <span class="match-name">${match.matchName}</span>
+                    ${match.day && !match.twoLegged ? `
+                        <span class="match-date">اليوم ${match.day} رمضان - ${this.calendar.formatDate(match.day)} ${match.scheduledTime || ''}</span>
+                    ` : ''}
+                </div>
+                ${renderTeam(match.homeTeam, match.homeGoals, placeholders[0])}
+                ${renderTeam(match.awayTeam, match.awayGoals, placeholders[1])}
+                ${legLines}
+                ${completed && (match.twoLegged || match.extraTime || match.penalties) ? `
+                    <div class="bracket-match-note">${this.playoffEngine.getResultText(match)}</div>
+                ` : ''}
+                ${completed ? this.renderShootoutStrip(match) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Render each team's shootout kicks as a compact row of icons, in kicking order
+     */
+    renderShootoutStrip(match) {
+        const rounds = this.playoffEngine.getShootoutRounds(match);
+        if (rounds.length === 0) return '';
+
+        const strip = (side) => rounds.map(round => round[side] ? 
+            `<span class="kick ${round[side].outcome}" title="${round[side].playerName} - ${round[side].outcomeText}">${this.getKickIcon(round[side].outcome)}</span>` : ''
+        ).join('');
+
+        return `
+            <div class="shootout-strip">
+                <div class="shootout-strip-team"><span class="team-name">${match.homeTeam.name}</span>${strip('home')}</div>
+                <div class="shootout-strip-team"><span class="team-name">${match.awayTeam.name}</span>${strip('away')}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the full shootout kick by kick, with takers and sudden-death rounds
+     */
+    renderShootoutTable(match) {
+        const rounds = this.playoffEngine.getShootoutRounds(match);
+        if (rounds.length === 0) return '';
+
+        const kickCell = (kick) => kick ? `
+            <td class="kick ${kick.outcome}">
+                ${this.getKickIcon(kick.outcome)} ${kick.playerName}
+                <span class="kick-outcome">${kick.outcomeText}</span>
+            </td>
+        ` : '<td></td>';
+
+        return `
+            <div class="match-info shootout">
+                <h4>ركلات الترجيح (${match.penalties.homeGoals} - ${match.penalties.awayGoals})</h4>
+                <table class="shootout-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>${match.homeTeam.name}</th>
+                            <th>${match.awayTeam.name}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rounds.map(round => `
+                            <tr class="${round.suddenDeath ? 'sudden-death' : ''}">
+                                <td>${round.round}${round.suddenDeath ? ' <span class="kick-outcome">(موت مفاجئ)</span>' : ''}</td>
+                                ${kickCell(round.home)}
+                                ${kickCell(round.away)}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    getKickIcon(outcome) {
+        return { scored: '✅', missed: '❌', saved: '🧤' }[outcome] || '';
+    }
+
+    showMatchDetails(matchId) {
+        const match = this.playoffEngine.getPlayoffMatch(matchId);
+        if (!match || !match.homeTeam || !match.awayTeam) return;
+
+        const modal = document.getElementById('match-modal');
+        const modalTitle = document.getElementById('modal-title');
+        const modalBody = document.getElementById('modal-body');
+
+        if (!modal || !modalTitle || !modalBody) return;
+
+        const completed = match.status === 'completed';
+        const homeTeam = this.getTeam(match.homeTeam.id);
+        const awayTeam = this.getTeam(match.awayTeam.id);
+        const legs = this.playoffEngine.getMatchLegs(match);
+
+        modalTitle.textContent = `${match.matchName}: ${match.homeTeam.name} × ${match.awayTeam.name}`;
+
+        modalBody.innerHTML = `
+            <div class="match-details">
+                <div class="match-header">
+                    ${match.day ? `<div class="match-date">اليوم ${match.day} رمضان - ${this.calendar.formatDate(match.day)}</div>` : ''}
+                    ${match.scheduledTime ? `<div class="match-time">${match.scheduledTime}</div>` : ''}
+                    ${match.venue ? `<div class="match-venue">${match.venue}</div>` : ''}
+                </div>
+
+                <div class="teams-detail">
+                    <div class="team-detail home">
+                        ${homeTeam?.logo ? `<img src="${homeTeam.logo}" alt="${match.homeTeam.name}" class="team-logo">` : ''}
+                        <h3>${match.homeTeam.name}</h3>
+                        ${completed ? `<div class="team-score">${match.homeGoals}</div>` : ''}
+                    </div>
+
+                    <div class="vs-section">
+                        ${completed ? 
+                            `<div class="final-score">${match.twoLegged ? 'مجموع المباراتين' : 'النتيجة النهائية'}</div>` : 
+                            '<div class="vs">×</div>'
+                        }
+                    </div>
+
+                    <div class="team-detail away">
+                        ${awayTeam?.logo ? `<img src="${awayTeam.logo}" alt="${match.awayTeam.name}" class="team-logo">` : ''}
+                        <h3>${match.awayTeam.name}</h3>
+                        ${completed ? `<div class="team-score">${match.awayGoals}</div>` : ''}
+                    </div>
+                </div>
+
+                ${legs.length > 0 ? `
+                    <div class="match-info">
+                        <h4>مباراتا الذهاب والإياب</h4>
+                        <ul class="match-legs">
+                            ${legs.map(leg => `
+                                <li>
+                                    ${leg.leg === 1 ? 'الذهاب' : 'الإياب'}:
+                                    ${leg.homeTeam.name} ${leg.status === 'completed' ? `${leg.homeGoals} - ${leg.awayGoals}` : '×'} ${leg.awayTeam.name}
+                                    ${leg.day ? `<span class="match-date">(اليوم ${leg.day} رمضان)</span>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+
+                ${completed ? `
+                    <div class="match-info">
+                        <h4>النتيجة</h4>
+                        <p>${this.playoffEngine.getResultText(match)}</p>
+                        <p>المتأهل: ${match.winner.name}</p>
+                    </div>
+                ` : ''}
+
+                ${completed ? this.renderShootoutTable(match) : ''}
+
+                <div class="modal-actions">
+                    <button onclick="window.playoffsController.closeModal()" class="btn-secondary">إغلاق</button>
+                </div>
+            </div>
+        `;
+
+        modal.style.display = 'block';
+        setTimeout(() => modal.classList.add('show'), 10);
+    }
+
+    closeModal() {
+        const modal = document.getElementById('match-modal');
+        if (modal) {
+            modal.classList.remove('show');
+            setTimeout(() => {
+                modal.style.display = 'none';
+            }, 300);
+        }
+    }
+
+    getTeam(teamId) {
+        const teamsData = this.storage.load(this.storage.keys.TEAMS);
+        return teamsData?.teams.find(team => team.id === teamId) || null;
+    }
+
+    getSeasonName() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        return configData?.tournament?.season || 'البطولة';
+    }
+
+    setupEventListeners() {
+        // Match details modal
+        document.querySelector('.close-modal')?.addEventListener('click', () => {
+            this.closeModal();
+        });
+
+        document.getElementById('match-modal')?.addEventListener('click', (e) => {
+            if (e.target.id === 'match-modal') {
+                this.closeModal();
+            }
+        });
+
+        // Theme toggle
+        const themeToggle = document.getElementById('theme-toggle');
+        if (themeToggle) {
+            themeToggle.addEventListener('click', () => {
+                this.toggleTheme();
+            });
+        }
+
+        // Mobile navigation
+        const navToggle = document.querySelector('.nav-toggle');
+        const navMenu = document.querySelector('.nav-menu');
+        
+        if (navToggle && navMenu) {
+            navToggle.addEventListener('click', () => {
+                navMenu.classList.toggle('active');
+            });
+        }
+
+        // Back to top button
+        const backToTop = document.getElementById('back-to-top');
+        if (backToTop) {
+            backToTop.addEventListener('click', () => {
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            });
+
+            // Show/hide back to top button
+            window.addEventListener('scroll', () => {
+                if (window.scrollY > 300) {
+                    backToTop.classList.add('show');
+                } else {
+                    backToTop.classList.remove('show');
+                }
+            });
+        }
+    }
+
+    setupAutoRefresh() {
+        // Refresh bracket every 30 seconds
+        this.updateInterval = setInterval(() => {
+            this.loadBracket();
+        }, 30000);
+    }
+
+    toggleTheme() {
+        document.body.classList.toggle('dark-theme');
+        
+        const themeIcon = document.querySelector('.theme-icon');
+        if (themeIcon) {
+            themeIcon.textContent = document.body.classList.contains('dark-theme') ? '☀️' : '🌙';
+        }
+
+        // Save theme preference
+        const preferences = this.storage.load(this.storage.keys.USER_PREFERENCES) || {};
+        preferences.darkMode = document.body.classList.contains('dark-theme');
+        this.storage.save(this.storage.keys.USER_PREFERENCES, preferences);
+    }
+
+    updateLastUpdatedTime() {
+        const updateTimeElement = document.getElementById('update-time');
+        if (updateTimeElement) {
+            const now = new Date();
+            const timeString = now.toLocaleString('ar-SA', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            updateTimeElement.textContent = timeString;
+        }
+    }
+
+    hideLoadingScreen() {
+        const loadingScreen = document.getElementById('loading-screen');
+        if (loadingScreen) {
+            loadingScreen.style.opacity = '0';
+            setTimeout(() => {
+                loadingScreen.style.display = 'none';
+            }, 500);
+        }
+    }
+
+    showError(message) {
+        // Create error notification
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-notification';
+        errorDiv.textContent = message;
+        
+        document.body.appendChild(errorDiv);
+        
+        setTimeout(() => {
+            errorDiv.classList.add('show');
+        }, 10);
+
+        setTimeout(() => {
+            errorDiv.classList.remove('show');
+            setTimeout(() => {
+                document.body.removeChild(errorDiv);
+            }, 300);
+        }, 5000);
+    }
+
+    // Cleanup when page is unloaded
+    destroy() {
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.playoffsController = new PlayoffsController();
+});
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => {
+    if (window.playoffsController) {
+        window.playoffsController.destroy();
+    }
+});
\ No newline at end of file
@@ -0,0 +1,280 @@
+/**
+ * Season Projection Engine for Salfoon Ramadan League Platform
+ * Simulates the remaining group fixtures to estimate final positions and playoff odds
+ */
+
+import LocalStorageManager from './storage.js';
+import StandingsCalculator from './standingsEngine.js';
+import TournamentSystem from './tournamentEngine.js';
+import RankingPolicy from './rankingPolicy.js';
+
+class ProjectionEngine {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.standingsCalculator = new StandingsCalculator();
+        this.tournament = new TournamentSystem();
+        this.rankingPolicy = new RankingPolicy();
+        this.defaultSettings = {
+            iterations: 2000,
+            seed: 1447,
+            // Imaginary average matches added to every team so early ratings are not extreme
+            priorMatches: 2
+        };
+        this.defaultGoalsPerTeam = 1.5;
+    }
+
+    /**
+     * Get projection settings from config, falling back to defaults
+     */
+    getSettings() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const settings = {
+            ...this.defaultSettings,
+            ...(configData?.tournament?.projection || {})
+        };
+
+        return {
+            iterations: Math.max(1, parseInt(settings.iterations) || this.defaultSettings.iterations),
+            seed: parseInt(settings.seed) || this.defaultSettings.seed,
+            priorMatches: Math.max(0, parseFloat(settings.priorMatches) || 0)
+        };
+    }
+
+    /**
+     * Estimate attack and defence ratings from played matches
+     * A rating of 1 is league average; attack above 1 scores more, defence above 1 concedes more
+     */
+    getTeamRatings(standings = null, playedMatches = null) {
+        try {
+            standings = standings || this.standingsCalculator.calculateStandings();
+            if (!playedMatches) {
+                const matchesData = this.storage.load(this.storage.keys.MATCHES);
+                playedMatches = (matchesData?.matches || []).filter(match => 
+                    match.status === 'played' && match.homeGoals !== null && match.awayGoals !== null);
+            }
+
+            const { priorMatches } = this.getSettings();
+            const totalGoals = playedMatches.reduce((sum, match) => sum + match.homeGoals + match.awayGoals, 0);
+            const leagueAverage = playedMatches.length > 0 && totalGoals > 0 ? 
+                totalGoals / (playedMatches.length * 2) : this.defaultGoalsPerTeam;
+
+            const ratings = {};
+            standings.forEach(team => {
+                const played = team.played + priorMatches;
+                ratings[team.teamId] = {
+                    teamId: team.teamId,
+                    teamName: team.teamName,
+                    attack: played > 0 ? (team.goalsFor + priorMatches * leagueAverage) / played / leagueAverage : 1,
+                    defence: played > 0 ? (team.goalsAgainst + priorMatches * leagueAverage) / played / leagueAverage : 1
+                };
+            });
+
+            return { leagueAverage: leagueAverage, teams: ratings };
+        } catch (error) {
+            console.error('Error calculating team ratings:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create a seeded random number generator (mulberry32) returning values in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Draw a goal count from a Poisson distribution
+     */
+    samplePoisson(lambda, random) {
+        const limit = Math.exp(-lambda);
+        let goals = 0;
+        let product = random();
+        while (product > limit) {
+            goals += 1;
+            product *= random();
+        }
+        return goals;
+    }
+
+    /**
+     * Get a signature of the results, standings rules and simulation settings behind a projection
+     */
+    getInputSignature() {
+        const matchesData = this.storage.load(this.storage.keys.MATCHES);
+        const settings = this.getSettings();
+        const parts = (matchesData?.matches || []).map(match => match.status === 'played' ?
+            `${match.id}:${match.homeGoals}-${match.awayGoals}:${match.forfeit ? 'f' : ''}` : `${match.id}:open`);
+
+        parts.push(JSON.stringify(this.tournament.getPointDeductions()));
+        parts.push(JSON.stringify(this.tournament.getPointsSystem()));
+        parts.push(JSON.stringify(this.tournament.getBonusRules()));
+        const policy = this.rankingPolicy.getPolicy();
+        parts.push(JSON.stringify({ criteria: policy.criteria, drawOrder: policy.drawOrder }));
+        parts.push(`${settings.iterations}:${settings.seed}:${settings.priorMatches}:${this.tournament.getPlayoffQualifiers()}`);
+
+        return this.storage.getSignature(parts);
+    }
+
+    /**
+     * Simulate the remaining fixtures and count where every team finishes
+     * The same data and seed always give the same projection
+     */
+    runProjection() {
+        try {
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!matchesData) {
+                throw new Error('Failed to load matches data');
+            }
+
+            const settings = this.getSettings();
+            const standings = this.standingsCalculator.calculateStandings();
+            const qualifiers = Math.min(this.tournament.getPlayoffQualifiers(), standings.length);
+            const pointsSystem = this.tournament.getPointsSystem();
+            const bonusRules = this.tournament.getBonusRules();
+
+            const playedMatches = matchesData.matches.filter(match => 
+                match.status === 'played' && match.homeGoals !== null && match.awayGoals !== null);
+            const teamIds = standings.map(team => team.teamId);
+            const remaining = matchesData.matches.filter(match => 
+                match.status !== 'played' && teamIds.includes(match.homeTeam) && teamIds.includes(match.awayTeam));
+
+            const ratings = this.getTeamRatings(standings, playedMatches);
+            if (!ratings) {
+                throw new Error('Failed to calculate team ratings');
+            }
+
+            const expectedGoals = remaining.map(match => ({
+                home: ratings.leagueAverage * ratings.teams[match.homeTeam].attack * ratings.teams[match.awayTeam].defence,
+                away: ratings.leagueAverage * ratings.teams[match.awayTeam].attack * ratings.teams[match.homeTeam].defence
+            }));
+
+            // Nothing left to simulate - one pass gives the final table
+            const iterations = remaining.length > 0 ? settings.iterations : 1;
+            const random = this.createRandom(settings.seed);
+
+            const positionCounts = {};
+            const totalPoints = {};
+            teamIds.forEach(teamId => {
+                positionCounts[teamId] = new Array(standings.length).fill(0);
+                totalPoints[teamId] = 0;
+            });
+
+            for (let i = 0; i < iterations; i++) {
+                const rows = {};
+                standings.forEach(team => {
+                    rows[team.teamId] = {
+                        teamId: team.teamId,
+                        teamName: team.teamName,
+                        points: team.points,
+                        won: team.won,
+                        goalsFor: team.goalsFor,
+                        goalsAgainst: team.goalsAgainst,
+                        goalDifference: team.goalDifference,
+                        fairPlayPoints: team.fairPlayPoints
+                    };
+                });
+
+                const simulated = remaining.map((match, index) => {
+                    const homeGoals = this.samplePoisson(expectedGoals[index].home, random);
+                    const awayGoals = this.samplePoisson(expectedGoals[index].away, random);
+                    const home = rows[match.homeTeam];
+                    const away = rows[match.awayTeam];
+
+                    home.goalsFor += homeGoals;
+                    home.goalsAgainst += awayGoals;
+                    away.goalsFor += awayGoals;
+                    away.goalsAgainst += homeGoals;
+                    home.points += this.tournament.calculateBonusPoints(homeGoals, awayGoals, bonusRules);
+                    away.points += this.tournament.calculateBonusPoints(awayGoals, homeGoals, bonusRules);
+
+                    if (homeGoals > awayGoals) {
+                        home.points += pointsSystem.win;
+                        away.points += pointsSystem.loss;
+                        home.won += 1;
+                    } else if (awayGoals > homeGoals) {
+                        away.points += pointsSystem.win;
+                        home.points += pointsSystem.loss;
+                        away.won += 1;
+                    } else {
+                        home.points += pointsSystem.draw;
+                        away.points += pointsSystem.draw;
+                    }
+
+                    return { homeTeam: match.homeTeam, awayTeam: match.awayTeam, homeGoals, awayGoals, status: 'played' };
+                });
+
+                Object.values(rows).forEach(row => {
+                    row.goalDifference = row.goalsFor - row.goalsAgainst;
+                });
+
+                this.rankingPolicy.rank(Object.values(rows), [...playedMatches, ...simulated]).forEach((row, position) => {
+                    positionCounts[row.teamId][position] += 1;
+                    totalPoints[row.teamId] += row.points;
+                });
+            }
+
+            const teams = standings.map(team => ({
+                teamId: team.teamId,
+                teamName: team.teamName,
+                currentPosition: team.position,
+                points: team.points,
+                attack: Math.round(ratings.teams[team.teamId].attack * 100) / 100,
+                defence: Math.round(ratings.teams[team.teamId].defence * 100) / 100,
+                expectedPoints: Math.round(totalPoints[team.teamId] / iterations * 10) / 10,
+                positionProbabilities: positionCounts[team.teamId].map(count => Math.round(count / iterations * 1000) / 10),
+                playoffProbability: Math.round(
+                    positionCounts[team.teamId].slice(0, qualifiers).reduce((sum, count) => sum + count, 0) / iterations * 1000
+                ) / 10
+            })).sort((a, b) => b.expectedPoints - a.expectedPoints || a.currentPosition - b.currentPosition);
+
+            return {
+                success: true,
+                signature: this.getInputSignature(),
+                generatedAt: new Date().toISOString(),
+                iterations: iterations,
+                seed: settings.seed,
+                remainingMatches: remaining.length,
+                qualifiers: qualifiers,
+                teams: teams
+            };
+        } catch (error) {
+            console.error('Error running season projection:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Run the projection and store it
+     */
+    updateProjection() {
+        const projection = this.runProjection();
+        if (projection.success) {
+            this.storage.save(this.storage.keys.PROJECTION, projection);
+        }
+        return projection;
+    }
+
+    /**
+     * Get the stored projection, re-running it if the results have changed since it was made
+     */
+    getProjection() {
+        const stored = this.storage.load(this.storage.keys.PROJECTION);
+        if (stored && stored.signature === this.getInputSignature()) {
+            return stored;
+        }
+        return this.updateProjection();
+    }
+}
+
+export default ProjectionEngine;
\ No newline at end of file
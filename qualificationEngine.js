@@ -0,0 +1,682 @@
+/**
+ * Qualification Scenario Engine for Salfoon Ramadan League Platform
+ * Works out from the remaining fixtures which teams are mathematically qualified, eliminated or still alive
+ */
+
+import LocalStorageManager from './storage.js';
+import StandingsCalculator from './standingsEngine.js';
+import TournamentSystem from './tournamentEngine.js';
+
+class QualificationEngine {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.standingsCalculator = new StandingsCalculator();
+        this.tournament = new TournamentSystem();
+        // Every win/draw/loss combination is checked up to this many remaining matches (3^8 outcomes)
+        this.maxEnumeratedMatches = 8;
+        // Beyond that each team is analysed by a depth-first search capped at this many nodes per question
+        this.searchNodeBudget = 100000;
+        this.maxScenarios = 3;
+        this.outcomes = ['home_win', 'draw', 'away_win'];
+    }
+
+    /**
+     * Get the qualification picture for every team
+     * Outcomes are compared on points only: a team level on points with a rival is never counted as safe,
+     * because goal-based tie-breakers cannot be known before the matches are played
+     */
+    getQualificationScenarios() {
+        try {
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!matchesData) {
+                throw new Error('Failed to load matches data');
+            }
+
+            const standings = this.standingsCalculator.calculateStandings();
+            const qualifiers = Math.min(this.tournament.getPlayoffQualifiers(), standings.length);
+
+            const teamIndex = {};
+            standings.forEach((team, index) => {
+                teamIndex[team.teamId] = index;
+            });
+
+            const fixtures = matchesData.matches
+                .filter(match => match.status !== 'played' && 
+                    teamIndex[match.homeTeam] !== undefined && teamIndex[match.awayTeam] !== undefined)
+                .sort((a, b) => a.day - b.day)
+                .map(match => ({
+                    id: match.id,
+                    day: match.day,
+                    homeTeam: match.homeTeam,
+                    awayTeam: match.awayTeam,
+                    home: teamIndex[match.homeTeam],
+                    away: teamIndex[match.awayTeam]
+                }));
+
+            const exhaustive = fixtures.length <= this.maxEnumeratedMatches;
+            const context = {
+                standings: standings,
+                fixtures: fixtures,
+                qualifiers: qualifiers,
+                pointsSystem: this.tournament.getPointsSystem(),
+                maxBonus: this.getMaxBonus()
+            };
+
+            if (exhaustive) {
+                context.table = this.enumerateOutcomes(context);
+            }
+
+            const teams = standings.map((team, index) => {
+                const analysis = fixtures.length === 0 ? this.analyseFinishedTeam(team) :
+                    exhaustive ? this.analyseTeam(index, context) : this.analyseTeamSearch(index, context);
+
+                return {
+                    teamId: team.teamId,
+                    teamName: team.teamName,
+                    position: team.position,
+                    points: team.points,
+                    remainingMatches: fixtures.filter(fixture => fixture.home === index || fixture.away === index).length,
+                    ...analysis
+                };
+            });
+
+            return {
+                qualifiers: qualifiers,
+                remainingMatches: fixtures.length,
+                exhaustive: exhaustive,
+                estimated: teams.some(team => team.estimated),
+                teams: teams
+            };
+        } catch (error) {
+            console.error('Error calculating qualification scenarios:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the most bonus points one side can earn in a match, for any result and on top of a win
+     */
+    getMaxBonus() {
+        return this.tournament.getBonusRules().reduce((bonus, rule) => {
+            if (rule.type === 'goalsScored') bonus.any += rule.points;
+            if (rule.type === 'winMargin') bonus.win += rule.points;
+            return bonus;
+        }, { any: 0, win: 0 });
+    }
+
+    /**
+     * Work out final points for every win/draw/loss combination of the remaining fixtures
+     * Outcome k gives fixture j the result floor(k / 3^j) % 3; bonus points are kept as a min/max range
+     */
+    enumerateOutcomes(context) {
+        const { standings, fixtures, qualifiers, pointsSystem, maxBonus } = context;
+        const teamCount = standings.length;
+        const total = Math.pow(3, fixtures.length);
+
+        const gained = new Int16Array(total * teamCount);
+        const surely = standings.map(() => new Uint8Array(total));
+        const possibly = standings.map(() => new Uint8Array(total));
+        const minPoints = new Array(teamCount);
+        const maxPoints = new Array(teamCount);
+
+        for (let k = 0; k < total; k++) {
+            for (let t = 0; t < teamCount; t++) {
+                minPoints[t] = standings[t].points;
+                maxPoints[t] = standings[t].points;
+            }
+
+            let code = k;
+            fixtures.forEach(fixture => {
+                const outcome = code % 3;
+                code = Math.floor(code / 3);
+
+                const homePoints = outcome === 0 ? pointsSystem.win : outcome === 1 ? pointsSystem.draw : pointsSystem.loss;
+                const awayPoints = outcome === 2 ? pointsSystem.win : outcome === 1 ? pointsSystem.draw : pointsSystem.loss;
+
+                gained[k * teamCount + fixture.home] += homePoints;
+                gained[k * teamCount + fixture.away] += awayPoints;
+                minPoints[fixture.home] += homePoints;
+                minPoints[fixture.away] += awayPoints;
+                maxPoints[fixture.home] += homePoints + maxBonus.any + (outcome === 0 ? maxBonus.win : 0);
+                maxPoints[fixture.away] += awayPoints + maxBonus.any + (outcome === 2 ? maxBonus.win : 0);
+            });
+
+            for (let t = 0; t < teamCount; t++) {
+                let threats = 0;
+                let certainlyAbove = 0;
+                for (let other = 0; other < teamCount; other++) {
+                    if (other === t) continue;
+                    if (maxPoints[other] >= minPoints[t]) threats += 1;
+                    if (minPoints[other] > maxPoints[t]) certainlyAbove += 1;
+                }
+                surely[t][k] = threats < qualifiers ? 1 : 0;
+                possibly[t][k] = certainlyAbove < qualifiers ? 1 : 0;
+            }
+        }
+
+        return { total, gained, surely, possibly };
+    }
+
+    /**
+     * Analyse one team over every outcome of the remaining fixtures
+     */
+    analyseTeam(teamIndex, context) {
+        const { standings, fixtures } = context;
+        const { total, gained, surely, possibly } = context.table;
+        const teamCount = standings.length;
+
+        let alwaysIn = true;
+        let everIn = false;
+        const safeByGain = {};
+        let minimumPoints = null;
+
+        for (let k = 0; k < total; k++) {
+            const gain = gained[k * teamCount + teamIndex];
+            if (!surely[teamIndex][k]) alwaysIn = false;
+            if (possibly[teamIndex][k]) everIn = true;
+
+            safeByGain[gain] = (safeByGain[gain] ?? true) && surely[teamIndex][k] === 1;
+            if (surely[teamIndex][k] && (minimumPoints === null || gain < minimumPoints)) {
+                minimumPoints = gain;
+            }
+        }
+
+        // The fewest points that qualify whatever happens elsewhere
+        let pointsToClinch = null;
+        Object.keys(safeByGain).map(Number).sort((a, b) => b - a).every(gain => {
+            if (!safeByGain[gain]) return false;
+            pointsToClinch = gain;
+            return true;
+        });
+
+        const status = alwaysIn ? 'qualified' : !everIn ? 'eliminated' : 'alive';
+
+        return {
+            status: status,
+            pointsToClinch: status === 'qualified' ? 0 : pointsToClinch,
+            minimumPoints: status === 'qualified' ? 0 : minimumPoints,
+            needsTieBreakers: status === 'alive' && minimumPoints === null,
+            scenarios: status === 'alive' ? this.findScenarios(teamIndex, context) : [],
+            estimated: false
+        };
+    }
+
+    /**
+     * Analyse one team by searching the remaining fixtures, when there are too many to enumerate every outcome
+     * Each question (can the rivals still catch the team, can it still get through) is a depth-first search;
+     * when a search runs out of its node budget the points bounds are used and the figures are marked as estimates
+     */
+    analyseTeamSearch(teamIndex, context) {
+        const search = (goal, options) => this.searchOutcomes(teamIndex, context, goal, options);
+        const ownFixtures = context.fixtures.filter(fixture => fixture.home === teamIndex || fixture.away === teamIndex);
+        const { win, draw, loss } = context.pointsSystem;
+
+        // Every points total the team can still collect (e.g. 5 is out of reach with two matches left)
+        const gains = [...ownFixtures.reduce((totals) => new Set([...totals].flatMap(total => 
+            [total + win, total + draw, total + loss])), new Set([0]))].sort((a, b) => a - b);
+
+        const threat = search('threat');
+        const possible = search('possible');
+        if (threat === undefined || possible === undefined) {
+            return { ...this.analyseTeamBounds(teamIndex, context), estimated: true };
+        }
+
+        if (threat === null) {
+            return { status: 'qualified', pointsToClinch: 0, minimumPoints: 0, needsTieBreakers: false, scenarios: [], estimated: false };
+        }
+
+        if (possible === null) {
+            return { status: 'eliminated', pointsToClinch: null, minimumPoints: null, needsTieBreakers: false, scenarios: [], estimated: false };
+        }
+
+        // Fewest points after which no combination of other results can push the team out
+        const pointsToClinch = this.findLowestGain(gains, gain => {
+            const result = search('threat', { minGain: gain });
+            return result === undefined ? undefined : result === null;
+        });
+
+        // Fewest points with which some combination of other results puts the team through
+        const minimumPoints = this.findLowestGain(gains, gain => {
+            const result = search('safe', { maxGain: gain });
+            return result === undefined ? undefined : result !== null;
+        });
+
+        let estimated = pointsToClinch === undefined || minimumPoints === undefined;
+        let scenarios = [];
+
+        // A team that can clinch on its own is told which of its own results are enough
+        if (pointsToClinch !== null && pointsToClinch !== undefined && ownFixtures.length <= this.maxEnumeratedMatches) {
+            scenarios = this.findOwnResultScenarios(teamIndex, context, minimumPoints ?? 0, pointsToClinch);
+        }
+
+        // Otherwise show the least demanding full combination of results, widened where possible
+        if (scenarios.length === 0 && minimumPoints !== null && minimumPoints !== undefined) {
+            const outcome = search('safe', { minGain: minimumPoints, maxGain: minimumPoints });
+            estimated = estimated || outcome === undefined;
+            if (outcome) {
+                const order = context.fixtures
+                    .map((fixture, j) => j)
+                    .sort((a, b) => this.involvesTeam(context.fixtures[a], teamIndex) - 
+                        this.involvesTeam(context.fixtures[b], teamIndex) || a - b);
+                const masks = this.widenScenario(teamIndex, context, outcome.map(result => 1 << result), order);
+                scenarios.push({ masks: masks, points: minimumPoints });
+            }
+        }
+
+        const bounds = estimated ? this.analyseTeamBounds(teamIndex, context) : null;
+
+        return {
+            status: 'alive',
+            pointsToClinch: pointsToClinch === undefined ? bounds.pointsToClinch : pointsToClinch,
+            minimumPoints: minimumPoints === undefined ? null : minimumPoints,
+            needsTieBreakers: minimumPoints === null,
+            scenarios: this.describeScenarios(scenarios, context),
+            estimated: estimated
+        };
+    }
+
+    /**
+     * Find the lowest of the sorted gains for which a monotone test passes (binary search)
+     * Returns null when no gain passes, or undefined if a test could not be decided
+     */
+    findLowestGain(gains, test) {
+        let low = 0;
+        let high = gains.length;
+
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            const passed = test(gains[mid]);
+            if (passed === undefined) return undefined;
+            if (passed) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return low < gains.length ? gains[low] : null;
+    }
+
+    /**
+     * Find the least demanding combinations of the team's own results that qualify whatever happens elsewhere
+     */
+    findOwnResultScenarios(teamIndex, context, minimumPoints, pointsToClinch) {
+        const { fixtures, pointsSystem } = context;
+        const own = fixtures.map((fixture, j) => j).filter(j => this.involvesTeam(fixtures[j], teamIndex));
+        const gainOf = (result, j) => result === 1 ? pointsSystem.draw : 
+            (result === 0) === (fixtures[j].home === teamIndex) ? pointsSystem.win : pointsSystem.loss;
+
+        // Combination k gives own fixture i the result floor(k / 3^i) % 3
+        const combinations = [];
+        for (let k = 0; k < Math.pow(3, own.length); k++) {
+            const results = own.map((j, i) => Math.floor(k / Math.pow(3, i)) % 3);
+            combinations.push({ results, gain: results.reduce((sum, result, i) => sum + gainOf(result, own[i]), 0) });
+        }
+        // Below the minimum nothing qualifies, and from the clinching total up everything does
+        const candidates = combinations
+            .filter(combination => combination.gain >= minimumPoints)
+            .sort((a, b) => a.gain - b.gain);
+
+        const scenarios = [];
+        for (const combination of candidates) {
+            if (scenarios.length >= this.maxScenarios) break;
+            if (scenarios.some(scenario => own.every((j, i) => scenario.masks[j] & (1 << combination.results[i])))) continue;
+
+            const masks = fixtures.map(() => 7);
+            own.forEach((j, i) => {
+                masks[j] = 1 << combination.results[i];
+            });
+
+            if (combination.gain >= pointsToClinch || this.searchOutcomes(teamIndex, context, 'threat', { masks }) === null) {
+                scenarios.push({ masks: this.widenScenario(teamIndex, context, masks, own), points: combination.gain });
+            }
+        }
+
+        return scenarios;
+    }
+
+    /**
+     * Widen the given results of a qualifying outcome to "any result" or two results while the team still qualifies
+     */
+    widenScenario(teamIndex, context, masks, fixtureIndices) {
+        const widenedMasks = masks.slice();
+
+        fixtureIndices.forEach(j => {
+            const mask = widenedMasks[j];
+            const widened = [7, ...[0, 1, 2].filter(result => !(mask & (1 << result))).map(result => mask | (1 << result))];
+            for (const candidate of widened) {
+                const trial = widenedMasks.slice();
+                trial[j] = candidate;
+                // Every outcome allowed by the masks qualifies when no counter-example exists
+                if (this.searchOutcomes(teamIndex, context, 'threat', { masks: trial }) === null) {
+                    widenedMasks[j] = candidate;
+                    break;
+                }
+            }
+        });
+
+        return widenedMasks;
+    }
+
+    /**
+     * Depth-first search for one result per remaining fixture that meets a goal for the team:
+     * 'threat' - enough rivals can reach the team's points to keep it out of the guaranteed places,
+     * 'safe' - too few rivals can reach its points, so it surely qualifies,
+     * 'possible' - too few rivals finish surely above it, so it can still qualify
+     * Returns the results by fixture index, null when none exists, or undefined when the node budget ran out
+     */
+    searchOutcomes(teamIndex, context, goal, options = {}) {
+        const { standings, fixtures, qualifiers, pointsSystem, maxBonus } = context;
+        const masks = options.masks || fixtures.map(() => 7);
+        const minGain = options.minGain ?? -Infinity;
+        const maxGain = options.maxGain ?? Infinity;
+        const teamCount = standings.length;
+        const fixtureCount = fixtures.length;
+
+        // The team's own fixtures first, so its points are known early and prune the rest
+        const order = fixtures
+            .map((fixture, j) => j)
+            .sort((a, b) => this.involvesTeam(fixtures[b], teamIndex) - this.involvesTeam(fixtures[a], teamIndex) || a - b);
+
+        // Points for [home, away] per result, without (min) and with (max) every possible bonus
+        const resultPoints = [0, 1, 2].map(result => {
+            const homeMin = result === 0 ? pointsSystem.win : result === 1 ? pointsSystem.draw : pointsSystem.loss;
+            const awayMin = result === 2 ? pointsSystem.win : result === 1 ? pointsSystem.draw : pointsSystem.loss;
+            return {
+                min: [homeMin, awayMin],
+                max: [homeMin + maxBonus.any + (result === 0 ? maxBonus.win : 0), awayMin + maxBonus.any + (result === 2 ? maxBonus.win : 0)]
+            };
+        });
+
+        // What every team can still add from position p onwards: lowest/highest of its min and max points
+        const bounds = ['lowMin', 'highMin', 'lowMax', 'highMax'].reduce((all, key) => {
+            all[key] = new Float64Array((fixtureCount + 1) * teamCount);
+            return all;
+        }, {});
+
+        for (let p = fixtureCount - 1; p >= 0; p--) {
+            const j = order[p];
+            const fixture = fixtures[j];
+            for (let t = 0; t < teamCount; t++) {
+                Object.values(bounds).forEach(array => {
+                    array[p * teamCount + t] = array[(p + 1) * teamCount + t];
+                });
+            }
+
+            [fixture.home, fixture.away].forEach((team, side) => {
+                const allowed = [0, 1, 2].filter(result => masks[j] & (1 << result));
+                const mins = allowed.map(result => resultPoints[result].min[side]);
+                const maxs = allowed.map(result => resultPoints[result].max[side]);
+                bounds.lowMin[p * teamCount + team] += Math.min(...mins);
+                bounds.highMin[p * teamCount + team] += Math.max(...mins);
+                bounds.lowMax[p * teamCount + team] += Math.min(...maxs);
+                bounds.highMax[p * teamCount + team] += Math.max(...maxs);
+            });
+        }
+
+        const minPoints = standings.map(team => team.points);
+        const maxPoints = standings.map(team => team.points);
+        const assignment = new Array(fixtureCount);
+        let gain = 0;
+        let nodes = 0;
+
+        // With the remaining fixtures at their extremes, can the goal still be met from position p?
+        const stillPossible = (p) => {
+            const at = (key, t) => bounds[key][p * teamCount + t];
+            if (gain + at('highMin', teamIndex) < minGain || gain + at('lowMin', teamIndex) > maxGain) {
+                return false;
+            }
+
+            let count = 0;
+            if (goal === 'threat') {
+                const teamLow = minPoints[teamIndex] + at('lowMin', teamIndex);
+                for (let t = 0; t < teamCount; t++) {
+                    if (t !== teamIndex && maxPoints[t] + at('highMax', t) >= teamLow) count++;
+                }
+                return count >= qualifiers;
+            }
+
+            if (goal === 'safe') {
+                const teamHigh = minPoints[teamIndex] + at('highMin', teamIndex);
+                for (let t = 0; t < teamCount; t++) {
+                    if (t !== teamIndex && maxPoints[t] + at('lowMax', t) >= teamHigh) count++;
+                }
+                return count < qualifiers;
+            }
+
+            const teamHigh = maxPoints[teamIndex] + at('highMax', teamIndex);
+            for (let t = 0; t < teamCount; t++) {
+                if (t !== teamIndex && minPoints[t] + at('lowMin', t) > teamHigh) count++;
+            }
+            return count < qualifiers;
+        };
+
+        const visit = (p) => {
+            if (++nodes > this.searchNodeBudget || !stillPossible(p)) {
+                return false;
+            }
+            if (p === fixtureCount) {
+                return true;
+            }
+
+            const j = order[p];
+            const fixture = fixtures[j];
+            const teamSide = fixture.home === teamIndex ? 0 : fixture.away === teamIndex ? 1 : -1;
+
+            // Try the results most likely to meet the goal first
+            let results;
+            if (teamSide !== -1) {
+                const teamWin = teamSide === 0 ? 0 : 2;
+                results = goal === 'threat' ? [2 - teamWin, 1, teamWin] : [teamWin, 1, 2 - teamWin];
+            } else {
+                const weakerWin = minPoints[fixture.home] <= minPoints[fixture.away] ? 0 : 2;
+                results = goal === 'threat' ? [weakerWin, 2 - weakerWin, 1] : [weakerWin, 1, 2 - weakerWin];
+            }
+
+            for (const result of results) {
+                if (!(masks[j] & (1 << result))) continue;
+
+                const points = resultPoints[result];
+                minPoints[fixture.home] += points.min[0];
+                minPoints[fixture.away] += points.min[1];
+                maxPoints[fixture.home] += points.max[0];
+                maxPoints[fixture.away] += points.max[1];
+                const teamGain = teamSide === -1 ? 0 : points.min[teamSide];
+                gain += teamGain;
+                assignment[j] = result;
+
+                const found = visit(p + 1);
+
+                minPoints[fixture.home] -= points.min[0];
+                minPoints[fixture.away] -= points.min[1];
+                maxPoints[fixture.home] -= points.max[0];
+                maxPoints[fixture.away] -= points.max[1];
+                gain -= teamGain;
+
+                if (found) return true;
+            }
+
+            return false;
+        };
+
+        const found = visit(0);
+        if (nodes > this.searchNodeBudget) {
+            return undefined;
+        }
+        return found ? assignment.slice() : null;
+    }
+
+    /**
+     * Check whether a fixture involves a team (1 or 0, for sorting)
+     */
+    involvesTeam(fixture, teamIndex) {
+        return fixture.home === teamIndex || fixture.away === teamIndex ? 1 : 0;
+    }
+
+    /**
+     * Analyse one team from points bounds only, used when a search runs out of its node budget
+     * Each rival is assumed able to win every remaining match, so the result is safe but may call a team alive too long
+     */
+    analyseTeamBounds(teamIndex, context) {
+        const { standings, fixtures, qualifiers, pointsSystem, maxBonus } = context;
+        const remaining = standings.map((team, index) => 
+            fixtures.filter(fixture => fixture.home === index || fixture.away === index).length);
+        const maxPerMatch = pointsSystem.win + maxBonus.any + maxBonus.win;
+
+        const minFinal = standings.map((team, index) => team.points + remaining[index] * pointsSystem.loss);
+        const maxFinal = standings.map((team, index) => team.points + remaining[index] * maxPerMatch);
+        const others = standings.map((team, index) => index).filter(index => index !== teamIndex);
+
+        const threatsAt = (points) => others.filter(other => maxFinal[other] >= points).length;
+
+        const status = threatsAt(minFinal[teamIndex]) < qualifiers ? 'qualified' :
+            others.filter(other => minFinal[other] > maxFinal[teamIndex]).length >= qualifiers ? 'eliminated' : 'alive';
+
+        let pointsToClinch = null;
+        for (let gain = 0; gain <= remaining[teamIndex] * pointsSystem.win; gain++) {
+            if (threatsAt(standings[teamIndex].points + gain) < qualifiers) {
+                pointsToClinch = gain;
+                break;
+            }
+        }
+
+        return {
+            status: status,
+            pointsToClinch: status === 'qualified' ? 0 : pointsToClinch,
+            minimumPoints: null,
+            needsTieBreakers: false,
+            scenarios: []
+        };
+    }
+
+    /**
+     * Once every match is played the table itself decides
+     */
+    analyseFinishedTeam(team) {
+        return {
+            status: team.qualified ? 'qualified' : 'eliminated',
+            pointsToClinch: team.qualified ? 0 : null,
+            minimumPoints: team.qualified ? 0 : null,
+            needsTieBreakers: false,
+            scenarios: [],
+            estimated: false
+        };
+    }
+
+    /**
+     * Find a few sets of results that put the team through whatever happens in the other matches
+     * Starting from the least demanding qualifying outcome, each match is widened to "any result"
+     * or to two results (e.g. "does not lose") as long as the team still qualifies
+     */
+    findScenarios(teamIndex, context) {
+        const { fixtures, standings } = context;
+        const { total, gained, surely } = context.table;
+        const teamCount = standings.length;
+        const qualifying = [];
+
+        for (let k = 0; k < total; k++) {
+            if (surely[teamIndex][k]) qualifying.push(k);
+        }
+        qualifying.sort((a, b) => gained[a * teamCount + teamIndex] - gained[b * teamCount + teamIndex] || a - b);
+
+        const outcomeOf = (k, j) => Math.floor(k / Math.pow(3, j)) % 3;
+        const covers = (masks, k) => masks.every((mask, j) => mask & (1 << outcomeOf(k, j)));
+        const allQualify = (masks) => {
+            let codes = [0];
+            masks.forEach((mask, j) => {
+                const next = [];
+                const place = Math.pow(3, j);
+                codes.forEach(code => {
+                    for (let outcome = 0; outcome < 3; outcome++) {
+                        if (mask & (1 << outcome)) next.push(code + outcome * place);
+                    }
+                });
+                codes = next;
+            });
+            return codes.every(code => surely[teamIndex][code]);
+        };
+
+        const scenarios = [];
+
+        for (const k of qualifying) {
+            if (scenarios.length >= this.maxScenarios) break;
+            if (scenarios.some(scenario => covers(scenario.masks, k))) continue;
+
+            const masks = fixtures.map((fixture, j) => 1 << outcomeOf(k, j));
+            masks.forEach((mask, j) => {
+                const widened = [7, ...[0, 1, 2].filter(outcome => !(mask & (1 << outcome))).map(outcome => mask | (1 << outcome))];
+                for (const candidate of widened) {
+                    const trial = masks.slice();
+                    trial[j] = candidate;
+                    if (allQualify(trial)) {
+                        masks[j] = candidate;
+                        break;
+                    }
+                }
+            });
+
+            scenarios.push({ masks: masks, points: gained[k * teamCount + teamIndex] });
+        }
+
+        return this.describeScenarios(scenarios, context);
+    }
+
+    /**
+     * Turn result masks into the conditions shown for each scenario (matches allowing any result are left out)
+     */
+    describeScenarios(scenarios, context) {
+        const { fixtures, standings } = context;
+        const teamNames = {};
+        standings.forEach(team => {
+            teamNames[team.teamId] = team.teamName;
+        });
+
+        return scenarios.map(scenario => ({
+            points: scenario.points,
+            conditions: fixtures
+                .map((fixture, j) => ({ fixture, mask: scenario.masks[j] }))
+                .filter(({ mask }) => mask !== 7)
+                .map(({ fixture, mask }) => {
+                    const outcomes = this.outcomes.filter((outcome, index) => mask & (1 << index));
+                    return {
+                        matchId: fixture.id,
+                        day: fixture.day,
+                        homeTeam: fixture.homeTeam,
+                        awayTeam: fixture.awayTeam,
+                        outcomes: outcomes,
+                        text: this.getConditionText(outcomes, teamNames[fixture.homeTeam], teamNames[fixture.awayTeam])
+                    };
+                })
+        }));
+    }
+
+    /**
+     * Get the Arabic text for the results allowed in one match
+     */
+    getConditionText(outcomes, homeName, awayName) {
+        const key = outcomes.join('|');
+        const textMap = {
+            'home_win': `فوز ${homeName} على ${awayName}`,
+            'draw': `تعادل ${homeName} و${awayName}`,
+            'away_win': `فوز ${awayName} على ${homeName}`,
+            'home_win|draw': `عدم خسارة ${homeName} أمام ${awayName}`,
+            'draw|away_win': `عدم خسارة ${awayName} أمام ${homeName}`,
+            'home_win|away_win': `عدم تعادل ${homeName} و${awayName}`
+        };
+        return textMap[key] || '';
+    }
+
+    /**
+     * Get the Arabic text for a qualification status
+     */
+    getStatusText(status) {
+        const statusMap = {
+            'qualified': 'تأهل رسمياً',
+            'eliminated': 'خرج رسمياً',
+            'alive': 'ما زال ينافس'
+        };
+        return statusMap[status] || status;
+    }
+}
+
+export default QualificationEngine;
\ No newline at end of file
@@ -0,0 +1,348 @@
+/**
+ * Ranking Policy for Salfoon Ramadan League Platform
+ * Single definition of the league ranking criteria shared by every engine
+ */
+
+import LocalStorageManager from './storage.js';
+import TeamsEngine from './teamsEngine.js';
+import TournamentSystem from './tournamentEngine.js';
+
+class RankingPolicy {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        // Created on first use - both engines build their own ranking policy
+        this.teamsEngine = null;
+        this.tournament = null;
+        this.supportedCriteria = [
+            'points', 'headToHead', 'goalDifference', 'goalsFor', 
+            'goalsAgainst', 'wins', 'fairPlay', 'lots'
+        ];
+        this.defaultCriteria = [
+            'points', 'headToHead', 'goalDifference', 'goalsFor', 
+            'goalsAgainst', 'wins', 'fairPlay', 'lots'
+        ];
+    }
+
+    /**
+     * Get ranking policy from config, falling back to defaults
+     */
+    getPolicy() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const policy = configData?.tournament?.rankingPolicy || {};
+        const criteria = Array.isArray(policy.criteria) ? 
+            policy.criteria.filter(criterion => this.supportedCriteria.includes(criterion)) : [];
+
+        return {
+            criteria: criteria.length > 0 ? criteria : this.defaultCriteria,
+            drawOrder: Array.isArray(policy.drawOrder) ? policy.drawOrder : [],
+            season: configData?.tournament?.season || ''
+        };
+    }
+
+    /**
+     * Get ordered ranking criteria
+     */
+    getCriteria() {
+        return this.getPolicy().criteria;
+    }
+
+    /**
+     * Rank standings rows, recording the criterion that separated each tied team
+     */
+    rank(teams, matches = null) {
+        try {
+            const policy = this.getPolicy();
+            const [primary, ...tieBreakers] = policy.criteria;
+            const rows = teams.map(team => ({ ...team, tieBreakReason: null, tiedWith: [] }));
+
+            // Split the league on the primary criterion - separation here is not a tie-break
+            const groups = this.splitGroup(rows, primary, matches, policy);
+
+            return groups.flatMap(group => {
+                if (group.length === 1) {
+                    return group;
+                }
+
+                group.forEach(team => {
+                    team.tiedWith = group.filter(t => t.teamId !== team.teamId).map(t => t.teamName);
+                });
+
+                return this.rankTiedGroup(group, tieBreakers, matches, policy);
+            });
+        } catch (error) {
+            console.error('Error ranking teams:', error);
+            return teams;
+        }
+    }
+
+    /**
+     * Order a group of tied teams through the remaining criteria
+     */
+    rankTiedGroup(group, criteria, matches, policy) {
+        if (group.length <= 1) {
+            return group;
+        }
+
+        // Nothing left to compare - fall back to team name
+        if (criteria.length === 0) {
+            return [...group]
+                .sort((a, b) => a.teamName.localeCompare(b.teamName, 'ar'))
+                .map(team => ({ ...team, tieBreakReason: 'teamName' }));
+        }
+
+        const [criterion, ...remaining] = criteria;
+        const subGroups = this.splitGroup(group, criterion, matches, policy);
+
+        if (subGroups.length === 1) {
+            return this.rankTiedGroup(group, remaining, matches, policy);
+        }
+
+        // Without a recorded draw for every team in the group, the order is only provisional
+        const reason = criterion === 'lots' && !group.every(team => policy.drawOrder.includes(team.teamId)) ? 
+            'provisionalLots' : criterion;
+        // Teams separated by lots keep the whole group, which is what the admin records a draw for
+        const drawGroup = criterion === 'lots' ? { drawGroup: group.map(team => team.teamId) } : {};
+
+        return subGroups.flatMap(subGroup => {
+            if (subGroup.length === 1) {
+                return [{ ...subGroup[0], tieBreakReason: reason, ...drawGroup }];
+            }
+            // A smaller head-to-head group gets its own mini-league before moving on
+            const nextCriteria = criterion === 'headToHead' ? criteria : remaining;
+            return this.rankTiedGroup(subGroup, nextCriteria, matches, policy);
+        });
+    }
+
+    /**
+     * Sort a group on one criterion and split it into sub-groups that are still level
+     */
+    splitGroup(group, criterion, matches, policy) {
+        const values = this.getCriterionValues(group, criterion, matches, policy);
+        const compareValues = (a, b) => {
+            for (let i = 0; i < values[a.teamId].length; i++) {
+                if (values[b.teamId][i] !== values[a.teamId][i]) {
+                    return values[b.teamId][i] - values[a.teamId][i];
+                }
+            }
+            return 0;
+        };
+
+        const subGroups = [];
+        [...group].sort(compareValues).forEach(team => {
+            const lastGroup = subGroups[subGroups.length - 1];
+            if (lastGroup && compareValues(lastGroup[0], team) === 0) {
+                lastGroup.push(team);
+            } else {
+                subGroups.push([team]);
+            }
+        });
+
+        return subGroups;
+    }
+
+    /**
+     * Get comparable values (higher is better) for each team on a criterion
+     */
+    getCriterionValues(group, criterion, matches, policy) {
+        const values = {};
+
+        if (criterion === 'headToHead') {
+            const miniLeague = this.getHeadToHeadTable(group.map(team => team.teamId), matches);
+            group.forEach(team => {
+                const record = miniLeague[team.teamId];
+                values[team.teamId] = [record.points, record.goalsFor - record.goalsAgainst, record.goalsFor];
+            });
+            return values;
+        }
+
+        group.forEach(team => {
+            switch (criterion) {
+                case 'points':
+                    values[team.teamId] = [team.points];
+                    break;
+                case 'goalDifference':
+                    values[team.teamId] = [team.goalDifference];
+                    break;
+                case 'goalsFor':
+                    values[team.teamId] = [team.goalsFor];
+                    break;
+                case 'goalsAgainst':
+                    values[team.teamId] = [-team.goalsAgainst];
+                    break;
+                case 'wins':
+                    values[team.teamId] = [team.won];
+                    break;
+                case 'fairPlay':
+                    values[team.teamId] = [-(team.fairPlayPoints || 0)];
+                    break;
+                case 'lots':
+                    values[team.teamId] = this.getLotValue(team.teamId, policy);
+                    break;
+                default:
+                    values[team.teamId] = [0];
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Build a head-to-head mini-league among the given teams
+     */
+    getHeadToHeadTable(teamIds, matches = null) {
+        if (!this.teamsEngine) {
+            this.teamsEngine = new TeamsEngine();
+        }
+        if (!this.tournament) {
+            this.tournament = new TournamentSystem();
+        }
+
+        const { win, draw } = this.tournament.getPointsSystem();
+        const table = {};
+        teamIds.forEach(teamId => {
+            table[teamId] = { points: 0, goalsFor: 0, goalsAgainst: 0 };
+        });
+
+        for (let i = 0; i < teamIds.length; i++) {
+            for (let j = i + 1; j < teamIds.length; j++) {
+                const record = this.teamsEngine.getHeadToHeadRecord(teamIds[i], teamIds[j], matches);
+                if (!record) continue;
+
+                const team1 = table[teamIds[i]];
+                const team2 = table[teamIds[j]];
+
+                team1.points += record.team1Wins * win + record.draws * draw;
+                team2.points += record.team2Wins * win + record.draws * draw;
+                team1.goalsFor += record.team1Goals;
+                team1.goalsAgainst += record.team2Goals;
+                team2.goalsFor += record.team2Goals;
+                team2.goalsAgainst += record.team1Goals;
+            }
+        }
+
+        return table;
+    }
+
+    /**
+     * Get drawing-of-lots value for a team
+     * Uses the recorded draw order if the admin entered one, otherwise a fixed per-season
+     * placeholder order that is shown as provisional until the draw is held
+     */
+    getLotValue(teamId, policy) {
+        const drawPosition = policy.drawOrder.indexOf(teamId);
+        if (drawPosition !== -1) {
+            return [1, -drawPosition];
+        }
+
+        // FNV-1a hash of season and team so the draw is stable between page loads
+        const seed = `${policy.season}:${teamId}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return [0, hash];
+    }
+
+    /**
+     * Get the groups of tied teams in ranked standings that are still waiting for a drawing of lots
+     */
+    getPendingDraws(standings) {
+        const groups = {};
+
+        standings
+            .filter(team => team.tieBreakReason === 'provisionalLots' && team.drawGroup)
+            .forEach(team => {
+                const key = team.drawGroup.join(',');
+                if (!groups[key]) {
+                    groups[key] = { teamIds: team.drawGroup, teams: [] };
+                }
+                groups[key].teams.push({ teamId: team.teamId, teamName: team.teamName, position: team.position });
+            });
+
+        return Object.values(groups);
+    }
+
+    /**
+     * Record the result of a drawing of lots between tied teams, the first team drawn ranking highest
+     * Earlier draws for other teams are kept; teams drawn again take their new order
+     */
+    recordDrawOrder(teamIds) {
+        try {
+            if (!Array.isArray(teamIds) || teamIds.length < 2 || new Set(teamIds).size !== teamIds.length) {
+                throw new Error('A draw needs at least two different teams');
+            }
+
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            const unknownTeam = teamIds.find(teamId => !teamsData?.teams.some(team => team.id === teamId));
+            if (unknownTeam) {
+                throw new Error(`Team with ID ${unknownTeam} not found`);
+            }
+
+            const configData = this.storage.load(this.storage.keys.CONFIG);
+            if (!configData?.tournament) {
+                throw new Error('Failed to load tournament config');
+            }
+
+            const policy = configData.tournament.rankingPolicy || {};
+            const previousOrder = Array.isArray(policy.drawOrder) ? policy.drawOrder : [];
+            policy.drawOrder = [...previousOrder.filter(teamId => !teamIds.includes(teamId)), ...teamIds];
+            configData.tournament.rankingPolicy = policy;
+
+            const saved = this.storage.save(this.storage.keys.CONFIG, configData);
+            if (!saved) {
+                throw new Error('Failed to save draw order');
+            }
+
+            return {
+                success: true,
+                drawOrder: policy.drawOrder
+            };
+
+        } catch (error) {
+            console.error('Error recording draw order:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get criterion text in Arabic
+     */
+    getCriterionText(criterion) {
+        const criterionMap = {
+            'points': 'النقاط',
+            'headToHead': 'المواجهات المباشرة',
+            'goalDifference': 'فارق الأهداف',
+            'goalsFor': 'الأهداف المسجلة',
+            'goalsAgainst': 'الأهداف المستقبلة',
+            'wins': 'عدد الانتصارات',
+            'fairPlay': 'اللعب النظيف',
+            'lots': 'القرعة',
+            'provisionalLots': 'ترتيب مؤقت إلى حين إجراء القرعة',
+            'teamName': 'الترتيب الأبجدي'
+        };
+        return criterionMap[criterion] || criterion;
+    }
+
+    /**
+     * Get criterion description in Arabic (used on the rules page)
+     */
+    getCriterionDescription(criterion) {
+        const descriptionMap = {
+            'points': 'الفريق الحاصل على أكبر عدد من النقاط يتقدم',
+            'headToHead': 'دوري مصغر بين الفرق المتعادلة: النقاط ثم فارق الأهداف ثم الأهداف المسجلة في مبارياتها فيما بينها',
+            'goalDifference': 'فارق الأهداف العام (الأهداف المسجلة - الأهداف المستقبلة)',
+            'goalsFor': 'العدد الإجمالي للأهداف المسجلة',
+            'goalsAgainst': 'يتقدم الفريق الأقل استقبالاً للأهداف',
+            'wins': 'يتقدم الفريق صاحب العدد الأكبر من الانتصارات',
+            'fairPlay': 'يتقدم الفريق الأقل في نقاط اللعب النظيف (البطاقات)',
+            'lots': 'تُجرى قرعة بين الفرق التي بقيت متعادلة في جميع المعايير، ويبقى ترتيبها مؤقتاً إلى أن تُسجَّل نتيجة القرعة'
+        };
+        return descriptionMap[criterion] || '';
+    }
+}
+
+export default RankingPolicy;
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Rating Engine for Salfoon Ramadan League Platform
+ * Maintains Elo-style power ratings updated after every played match
+ */
+
+import LocalStorageManager from './storage.js';
+
+class RatingEngine {
+    constructor() {
+        this.storage = new LocalStorageManager();
+        this.defaultSettings = {
+            initialRating: 1500,
+            kFactor: 30,
+            // Rating points added to the home side when working out expectations
+            homeAdvantage: 0
+        };
+        this.defaultDrawRate = 0.25;
+        // Imaginary matches at the default draw rate so a few early draws do not dominate
+        this.drawRatePriorMatches = 10;
+    }
+
+    /**
+     * Get rating settings from config, falling back to defaults
+     */
+    getSettings() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const settings = {
+            ...this.defaultSettings,
+            ...(configData?.tournament?.ratings || {})
+        };
+
+        return {
+            initialRating: parseFloat(settings.initialRating) || this.defaultSettings.initialRating,
+            kFactor: Math.max(0, parseFloat(settings.kFactor) || 0),
+            homeAdvantage: parseFloat(settings.homeAdvantage) || 0
+        };
+    }
+
+    /**
+     * Get played matches in the order they were played
+     * Forfeits are left out because the scoreline says nothing about strength
+     */
+    getRatedMatches(matches = null) {
+        if (!matches) {
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            matches = matchesData?.matches || [];
+        }
+
+        return matches
+            .filter(match => match.status === 'played' && match.homeGoals !== null && match.awayGoals !== null && !match.forfeit)
+            .sort((a, b) => a.day - b.day || (a.scheduledTime || '').localeCompare(b.scheduledTime || ''));
+    }
+
+    /**
+     * Expected score (win = 1, draw = 0.5) for a side rated ratingDifference points above its opponent
+     */
+    getExpectedScore(ratingDifference) {
+        return 1 / (1 + Math.pow(10, -ratingDifference / 400));
+    }
+
+    /**
+     * Multiplier that gives bigger wins a bigger rating change
+     */
+    getMarginMultiplier(goalDifference) {
+        const margin = Math.abs(goalDifference);
+        if (margin <= 1) return 1;
+        if (margin === 2) return 1.5;
+        return (11 + margin) / 8;
+    }
+
+    /**
+     * Get a signature of the rated results, the teams and the rating settings
+     */
+    getInputSignature(matches = null) {
+        const teamsData = this.storage.load(this.storage.keys.TEAMS);
+        const settings = this.getSettings();
+        const parts = this.getRatedMatches(matches).map(match => 
+            `${match.id}:${match.day}:${match.homeTeam}-${match.awayTeam}:${match.homeGoals}-${match.awayGoals}`);
+
+        parts.push((teamsData?.teams || []).map(team => team.id).join(','));
+        parts.push(`${settings.initialRating}:${settings.kFactor}:${settings.homeAdvantage}`);
+
+        return this.storage.getSignature(parts);
+    }
+
+    /**
+     * Replay every played match from the initial rating and record each team's rating history
+     */
+    calculateRatings() {
+        try {
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!teamsData || !matchesData) {
+                throw new Error('Failed to load teams or matches data');
+            }
+
+            const settings = this.getSettings();
+            const teams = {};
+            teamsData.teams.forEach(team => {
+                teams[team.id] = {
+                    teamId: team.id,
+                    teamName: team.name,
+                    rating: settings.initialRating,
+                    history: []
+                };
+            });
+
+            const ratedMatches = this.getRatedMatches(matchesData.matches)
+                .filter(match => teams[match.homeTeam] && teams[match.awayTeam]);
+
+            ratedMatches.forEach(match => {
+                const home = teams[match.homeTeam];
+                const away = teams[match.awayTeam];
+                const expectedHome = this.getExpectedScore(home.rating + settings.homeAdvantage - away.rating);
+                const actualHome = match.homeGoals > match.awayGoals ? 1 : match.homeGoals === match.awayGoals ? 0.5 : 0;
+                const change = settings.kFactor * this.getMarginMultiplier(match.homeGoals - match.awayGoals) * (actualHome - expectedHome);
+
+                [[home, away, change, match.homeGoals, match.awayGoals], [away, home, -change, match.awayGoals, match.homeGoals]]
+                    .forEach(([team, opponent, teamChange, goalsFor, goalsAgainst]) => {
+                        const before = team.rating;
+                        team.rating = before + teamChange;
+                        team.history.push({
+                            matchId: match.id,
+                            day: match.day,
+                            opponent: opponent.teamId,
+                            opponentName: opponent.teamName,
+                            score: `${goalsFor}-${goalsAgainst}`,
+                            result: goalsFor > goalsAgainst ? 'W' : goalsFor === goalsAgainst ? 'D' : 'L',
+                            before: Math.round(before * 10) / 10,
+                            after: Math.round(team.rating * 10) / 10,
+                            change: Math.round(teamChange * 10) / 10
+                        });
+                    });
+            });
+
+            const drawnMatches = ratedMatches.filter(match => match.homeGoals === match.awayGoals).length;
+
+            const rankedTeams = Object.values(teams)
+                .map(team => ({ ...team, rating: Math.round(team.rating * 10) / 10 }))
+                .sort((a, b) => b.rating - a.rating || a.teamName.localeCompare(b.teamName, 'ar'));
+            rankedTeams.forEach((team, index) => {
+                team.rank = index + 1;
+            });
+
+            return {
+                success: true,
+                signature: this.getInputSignature(matchesData.matches),
+                generatedAt: new Date().toISOString(),
+                settings: settings,
+                ratedMatches: ratedMatches.length,
+                drawRate: (drawnMatches + this.defaultDrawRate * this.drawRatePriorMatches) / 
+                    (ratedMatches.length + this.drawRatePriorMatches),
+                teams: rankedTeams
+            };
+        } catch (error) {
+            console.error('Error calculating ratings:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Recalculate the ratings and store them
+     */
+    updateRatings() {
+        const ratings = this.calculateRatings();
+        if (ratings.success) {
+            this.storage.save(this.storage.keys.RATINGS, ratings);
+        }
+        return ratings;
+    }
+
+    /**
+     * Get the stored ratings, recalculating them if the results have changed since they were made
+     */
+    getRatings() {
+        const stored = this.storage.load(this.storage.keys.RATINGS);
+        if (stored && stored.signature === this.getInputSignature()) {
+            return stored;
+        }
+        return this.updateRatings();
+    }
+
+    /**
+     * Get a single team's rating entry
+     */
+    getTeamRating(teamId, ratings = null) {
+        ratings = ratings || this.getRatings();
+        if (!ratings?.success) return null;
+        return ratings.teams.find(team => team.teamId === teamId) || null;
+    }
+
+    /**
+     * Get pre-match win/draw/loss probabilities (percentages) from the home side's point of view
+     * The draw share follows the league's draw rate and shrinks as the rating gap grows
+     */
+    getMatchProbabilities(homeTeamId, awayTeamId, ratings = null) {
+        ratings = ratings || this.getRatings();
+        const home = this.getTeamRating(homeTeamId, ratings);
+        const away = this.getTeamRating(awayTeamId, ratings);
+        if (!home || !away) return null;
+
+        const expectedHome = this.getExpectedScore(home.rating + ratings.settings.homeAdvantage - away.rating);
+        const draw = ratings.drawRate * (1 - Math.abs(2 * expectedHome - 1));
+        const homeWin = Math.max(0, expectedHome - draw / 2);
+        const awayWin = Math.max(0, 1 - expectedHome - draw / 2);
+
+        const homePercent = Math.round(homeWin * 100);
+        const drawPercent = Math.round(draw * 100);
+
+        return {
+            homeRating: home.rating,
+            awayRating: away.rating,
+            homeWin: homePercent,
+            draw: drawPercent,
+            awayWin: 100 - homePercent - drawPercent
+        };
+    }
+}
+
+export default RatingEngine;
\ No newline at end of file
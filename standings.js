@@ -6,13 +6,20 @@
 import LocalStorageManager from './storage.js';
 import StandingsCalculator from './standingsEngine.js';
 import TournamentSystem from './tournamentEngine.js';
+import DisciplineEngine from './disciplineEngine.js';
+import QualificationEngine from './qualificationEngine.js';
 
 class StandingsController {
     constructor() {
         this.storage = new LocalStorageManager();
         this.standingsCalculator = new StandingsCalculator();
         this.tournament = new TournamentSystem();
+        this.disciplineEngine = new DisciplineEngine();
+        this.qualificationEngine = new QualificationEngine();
         this.updateInterval = null;
+        this.replayInterval = null;
+        this.standingsHistory = [];
+        this.selectedSnapshot = null;
         
         this.init();
     }
@@ -48,8 +55,30 @@ class StandingsController {
             // Get league statistics
             const leagueStats = this.standingsCalculator.getLeagueStats();
             
+            // Get forfeits and point deductions applied by the admin
+            const adjustments = this.standingsCalculator.getStandingsAdjustments();
+            
+            // Get a standings snapshot after every played matchday
+            this.standingsHistory = this.standingsCalculator.getStandingsHistory();
+            
             // Display standings table
-            this.displayStandingsTable(standings);
+            this.displayStandingsTable(standings, adjustments);
+            
+            // Display qualification legend for the actual number of teams
+            this.displayQualificationLegend(standings.length);
+            
+            // Display footnotes explaining each adjustment
+            this.displayStandingsFootnotes(adjustments);
+            
+            // Display what each team needs from the remaining fixtures
+            this.displayQualificationScenarios(this.qualificationEngine.getQualificationScenarios());
+            
+            // Display the matchday-by-matchday replay and position chart
+            this.displayTimeMachine();
+            
+            // Display fair-play table
+            this.displayFairPlayTable(this.disciplineEngine.getFairPlayTable());
+            this.displayFairPlayNote(this.disciplineEngine.getSettings());
             
             // Display tournament progress
             this.displayTournamentProgress(leagueStats);
@@ -69,22 +98,26 @@ class StandingsController {
         }
     }
 
-    displayStandingsTable(standings) {
+    displayStandingsTable(standings, adjustments = []) {
         const tbody = document.getElementById('standings-tbody');
         if (!tbody) return;
 
         tbody.innerHTML = '';
 
+        const footnoteMarkers = this.getFootnoteMarkers(adjustments);
+
         standings.forEach((team, index) => {
             const row = document.createElement('tr');
             row.className = team.qualified ? 'qualified' : 'eliminated';
             
-            // Add position change indicator if available
-            const positionClass = this.getPositionChangeClass(team.position);
+            // Add position change indicator since the previous matchday
+            const positionChange = this.getLatestPositionChange(team.teamId);
+            const positionClass = this.getPositionChangeClass(positionChange);
             
             row.innerHTML = `
                 <td class="position ${positionClass}">
                     <span class="position-number">${team.position}</span>
+                    ${this.renderPositionChange(positionChange)}
                     ${team.qualified ? '<span class="qualification-indicator">✓</span>' : ''}
                 </td>
                 <td class="team-info">
@@ -92,8 +125,14 @@ class StandingsController {
                         <img src="${team.logo}" alt="${team.teamName}" class="team-logo" 
                              onerror="this.src='images/default-team.png'">
                         <div class="team-details">
-                            <span class="team-name">${team.teamName}</span>
+                            <span class="team-name">${team.teamName}${footnoteMarkers[team.teamId] ? 
+                                `<sup class="footnote-marker">${footnoteMarkers[team.teamId].join('،')}</sup>` : ''}</span>
                             <span class="qualification-status">${team.qualificationStatus}</span>
+                            ${team.tieBreakReason ? `
+                                <span class="tie-break-reason ${team.tieBreakReason === 'provisionalLots' ? 'provisional' : ''}" title="متساوٍ في النقاط مع: ${team.tiedWith.join('، ')}">
+                                    ${team.tieBreakReason === 'provisionalLots' ? 'لم يُحسم التعادل' : 'حُسم التعادل بـ'}: ${this.standingsCalculator.getTieBreakerText(team.tieBreakReason)}
+                                </span>
+                            ` : ''}
                         </div>
                     </div>
                 </td>
@@ -106,6 +145,8 @@ class StandingsController {
                 <td class="goal-difference ${this.getGoalDifferenceClass(team.goalDifference)}">
                     ${team.goalDifference > 0 ? '+' : ''}${team.goalDifference}
                 </td>
+                <td class="bonus-points">${team.bonusPoints > 0 ? `+${team.bonusPoints}` : '0'}</td>
+                <td class="deducted-points">${team.deductedPoints > 0 ? `-${team.deductedPoints}` : '0'}</td>
                 <td class="points">
                     <strong>${team.points}</strong>
                 </td>
@@ -123,6 +164,93 @@ class StandingsController {
         });
     }
 
+    displayQualificationLegend(teamCount) {
+        const qualifiers = Math.min(this.tournament.getPlayoffQualifiers(), teamCount);
+        const qualifiedText = document.getElementById('legend-qualified-text');
+        const eliminatedText = document.getElementById('legend-eliminated-text');
+
+        if (qualifiedText) {
+            qualifiedText.textContent = `مؤهل للنهائيات (المراكز 1-${qualifiers})`;
+        }
+        if (eliminatedText) {
+            eliminatedText.textContent = qualifiers < teamCount ? 
+                `خارج التأهل (المراكز ${qualifiers + 1}-${teamCount})` : 'خارج التأهل';
+        }
+    }
+
+    getFootnoteMarkers(adjustments) {
+        const markers = {};
+        adjustments.forEach((adjustment, index) => {
+            const teamIds = adjustment.type === 'forfeit' ? 
+                [adjustment.teamId, adjustment.opponentId] : [adjustment.teamId];
+            teamIds.forEach(teamId => {
+                markers[teamId] = markers[teamId] || [];
+                markers[teamId].push(index + 1);
+            });
+        });
+        return markers;
+    }
+
+    displayStandingsFootnotes(adjustments) {
+        const list = document.getElementById('standings-footnotes');
+        if (!list) return;
+
+        if (adjustments.length === 0) {
+            list.style.display = 'none';
+            list.innerHTML = '';
+            return;
+        }
+
+        list.innerHTML = adjustments.map(adjustment => {
+            if (adjustment.type === 'forfeit') {
+                return `
+                    <li class="standings-footnote forfeit">
+                        انسحب ${adjustment.teamName} من مباراته أمام ${adjustment.opponentName} (اليوم ${adjustment.day} من رمضان)
+                        واحتُسبت النتيجة ${adjustment.homeGoals} - ${adjustment.awayGoals}. السبب: ${adjustment.reason}
+                    </li>
+                `;
+            }
+
+            return `
+                <li class="standings-footnote deduction">
+                    خُصمت ${adjustment.points} ${adjustment.points === 1 ? 'نقطة' : 'نقاط'} من ${adjustment.teamName}. السبب: ${adjustment.reason}
+                </li>
+            `;
+        }).join('');
+        list.style.display = 'block';
+    }
+
+    displayFairPlayTable(fairPlayTable) {
+        const tbody = document.getElementById('fair-play-tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = fairPlayTable.map(team => `
+            <tr>
+                <td class="position">${team.position}</td>
+                <td class="team-info">
+                    <div class="team-display">
+                        <img src="${team.logo}" alt="${team.teamName}" class="team-logo" 
+                             onerror="this.src='images/default-team.png'">
+                        <span class="team-name">${team.teamName}</span>
+                    </div>
+                </td>
+                <td class="yellow-cards">${team.yellowCards}</td>
+                <td class="red-cards">${team.redCards}</td>
+                <td class="points"><strong>${team.points}</strong></td>
+            </tr>
+        `).join('');
+    }
+
+    displayFairPlayNote(settings) {
+        const yellow = document.getElementById('fair-play-yellow-points');
+        const red = document.getElementById('fair-play-red-points');
+        if (!yellow || !red) return;
+
+        const pointsText = (points) => points === 1 ? 'نقطة' : `${points} نقاط`;
+        yellow.textContent = pointsText(settings.fairPlayPoints.yellowCard);
+        red.textContent = pointsText(settings.fairPlayPoints.redCard);
+    }
+
     renderForm(form) {
         if (!form || form.length === 0) {
             return '<span class="no-form">-</span>';
@@ -141,12 +269,228 @@ class StandingsController {
         return 'neutral';
     }
 
-    getPositionChangeClass(position) {
-        // This would require historical data to show position changes
-        // For now, return empty string
+    getLatestPositionChange(teamId) {
+        const latest = this.standingsHistory[this.standingsHistory.length - 1];
+        const team = latest ? latest.standings.find(other => other.teamId === teamId) : null;
+        return team ? team.positionChange : 0;
+    }
+
+    getPositionChangeClass(positionChange) {
+        if (positionChange > 0) return 'position-up';
+        if (positionChange < 0) return 'position-down';
         return '';
     }
 
+    renderPositionChange(positionChange) {
+        if (positionChange > 0) {
+            return `<span class="position-change up" title="تقدم ${positionChange} ${positionChange === 1 ? 'مركز' : 'مراكز'}">▲${positionChange}</span>`;
+        }
+        if (positionChange < 0) {
+            return `<span class="position-change down" title="تراجع ${-positionChange} ${positionChange === -1 ? 'مركز' : 'مراكز'}">▼${-positionChange}</span>`;
+        }
+        return '<span class="position-change same">-</span>';
+    }
+
+    displayQualificationScenarios(scenarios) {
+        const section = document.getElementById('qualification-scenarios');
+        if (!section) return;
+
+        if (!scenarios || scenarios.remainingMatches === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = 'block';
+
+        const engine = this.qualificationEngine;
+        document.getElementById('scenarios-note').textContent = (scenarios.exhaustive ?
+            `حُسبت جميع الاحتمالات للمباريات الـ ${scenarios.remainingMatches} المتبقية.` :
+            `تبقّى ${scenarios.remainingMatches} مباراة، وحُسبت الحالات بالبحث في النتائج الممكنة لها.`) +
+            ' الفريق المتساوي في النقاط مع منافسه لا يُعد ضامناً لأن فارق الأهداف لم يُحسم بعد.' +
+            (scenarios.estimated ? ' الأرقام المعلَّمة بـ «تقديري» مبنية على أقصى ما يمكن أن يجمعه كل فريق، وقد تزيد على الحاجة الفعلية.' : '');
+
+        document.getElementById('scenarios-grid').innerHTML = scenarios.teams.map(team => `
+            <div class="scenario-card ${team.status}">
+                <div class="scenario-header">
+                    <span class="team-name">${team.position}. ${team.teamName}</span>
+                    <span class="scenario-status ${team.status}">${engine.getStatusText(team.status)}</span>
+                    ${team.estimated ? '<span class="scenario-estimate">تقديري</span>' : ''}
+                </div>
+                <p class="scenario-summary">${this.getScenarioSummary(team)}</p>
+                ${team.scenarios.length > 0 ? `
+                    <p class="scenario-title">يتأهل مهما كانت بقية النتائج إذا تحقق:</p>
+                    <ol class="scenario-list">
+                        ${team.scenarios.map(scenario => `
+                            <li>${scenario.conditions.map(condition => 
+                                `<span class="scenario-condition" title="اليوم ${condition.day} من رمضان">${condition.text}</span>`
+                            ).join(' و ')}</li>
+                        `).join('')}
+                    </ol>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    getScenarioSummary(team) {
+        if (team.status === 'qualified') {
+            return 'ضمن التأهل مهما كانت نتائج المباريات المتبقية';
+        }
+
+        if (team.status === 'eliminated') {
+            return 'لم يعد بإمكانه بلوغ مراكز التأهل';
+        }
+
+        if (team.needsTieBreakers) {
+            return 'لا يتأهل إلا بتساوٍ في النقاط يحسمه فارق الأهداف أو معايير الترتيب الأخرى';
+        }
+
+        let summary = team.pointsToClinch !== null ?
+            `يضمن التأهل بجمع ${team.pointsToClinch} ${team.pointsToClinch === 1 ? 'نقطة' : 'نقاط'} من مبارياته الـ ${team.remainingMatches} المتبقية (${team.points + team.pointsToClinch} نقطة)` :
+            'لا يكفيه الفوز في كل مبارياته وحده - يحتاج إلى نتائج الفرق الأخرى';
+
+        if (team.minimumPoints !== null && (team.pointsToClinch === null || team.minimumPoints < team.pointsToClinch)) {
+            summary += `، وقد يتأهل بـ ${team.minimumPoints} ${team.minimumPoints === 1 ? 'نقطة' : 'نقاط'} فقط إذا خدمته النتائج الأخرى`;
+        }
+
+        return summary;
+    }
+
+    displayTimeMachine() {
+        const section = document.getElementById('time-machine');
+        if (!section) return;
+
+        if (this.standingsHistory.length === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = 'block';
+
+        // Keep the matchday the user picked across auto-refreshes
+        const lastIndex = this.standingsHistory.length - 1;
+        if (this.selectedSnapshot === null || this.selectedSnapshot > lastIndex) {
+            this.selectedSnapshot = lastIndex;
+        }
+
+        const slider = document.getElementById('matchday-slider');
+        slider.max = lastIndex;
+        slider.value = this.selectedSnapshot;
+
+        const teamSelect = document.getElementById('chart-team-select');
+        if (teamSelect.options.length <= 1) {
+            this.standingsHistory[lastIndex].standings.forEach(team => {
+                teamSelect.add(new Option(team.teamName, team.teamId));
+            });
+        }
+
+        this.displaySnapshot(this.selectedSnapshot);
+    }
+
+    displaySnapshot(index) {
+        const snapshot = this.standingsHistory[index];
+        if (!snapshot) return;
+
+        this.selectedSnapshot = index;
+
+        document.getElementById('matchday-label').textContent = 
+            `بعد اليوم ${snapshot.day} من رمضان (${index + 1} من ${this.standingsHistory.length})`;
+
+        const tbody = document.getElementById('history-tbody');
+        tbody.innerHTML = snapshot.standings.map(team => `
+            <tr class="${team.qualified ? 'qualified' : 'eliminated'}">
+                <td class="position ${this.getPositionChangeClass(team.positionChange)}">${team.position}</td>
+                <td class="change">${this.renderPositionChange(team.positionChange)}</td>
+                <td class="team-info">${team.teamName}</td>
+                <td class="matches">${team.played}</td>
+                <td class="goal-difference ${this.getGoalDifferenceClass(team.goalDifference)}">
+                    ${team.goalDifference > 0 ? '+' : ''}${team.goalDifference}
+                </td>
+                <td class="points"><strong>${team.points}</strong></td>
+            </tr>
+        `).join('');
+
+        this.displayPositionChart();
+    }
+
+    displayPositionChart() {
+        const container = document.getElementById('position-chart');
+        if (!container) return;
+
+        const history = this.standingsCalculator.getPositionHistory(this.standingsHistory);
+        const selectedTeam = document.getElementById('chart-team-select')?.value;
+        const teamCount = history.teams.length;
+        const dayCount = history.days.length;
+
+        const width = 640;
+        const height = 60 + teamCount * 30;
+        const padding = { top: 20, right: 20, bottom: 30, left: 40 };
+        const x = (index) => padding.left + (dayCount > 1 ? index * (width - padding.left - padding.right) / (dayCount - 1) : 0);
+        const y = (position) => padding.top + (teamCount > 1 ? (position - 1) * (height - padding.top - padding.bottom) / (teamCount - 1) : 0);
+
+        const positionLabels = Array.from({ length: teamCount }, (_, i) => `
+            <text x="${padding.left - 15}" y="${y(i + 1) + 4}" class="chart-axis-label">${i + 1}</text>
+        `).join('');
+
+        const dayLabels = history.days.map((day, index) => `
+            <text x="${x(index)}" y="${height - 8}" class="chart-axis-label">${day}</text>
+        `).join('');
+
+        const selectedLine = `<line x1="${x(this.selectedSnapshot)}" y1="${padding.top - 10}" x2="${x(this.selectedSnapshot)}" y2="${height - padding.bottom + 5}" class="chart-selected-day" />`;
+
+        const lines = history.teams.map(team => {
+            const color = team.colors?.primary || '#64748b';
+            const state = !selectedTeam ? '' : team.teamId === selectedTeam ? 'highlight' : 'faded';
+            const points = team.positions.map((entry, index) => `${x(index)},${y(entry.position)}`).join(' ');
+
+            return `
+                <g class="chart-team ${state}">
+                    <polyline points="${points}" fill="none" stroke="${color}" class="chart-line" />
+                    ${team.positions.map((entry, index) => `
+                        <circle cx="${x(index)}" cy="${y(entry.position)}" r="4" fill="${color}">
+                            <title>${team.teamName} - اليوم ${entry.day}: المركز ${entry.position} (${entry.points} نقطة)</title>
+                        </circle>
+                    `).join('')}
+                </g>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="تطور مراكز الفرق عبر أيام البطولة">
+                ${positionLabels}
+                ${dayLabels}
+                ${selectedLine}
+                ${lines}
+            </svg>
+        `;
+    }
+
+    toggleReplay() {
+        const playButton = document.getElementById('matchday-play');
+
+        if (this.replayInterval) {
+            clearInterval(this.replayInterval);
+            this.replayInterval = null;
+            playButton.textContent = '▶';
+            return;
+        }
+
+        // Start from the first matchday unless the replay was paused part-way
+        if (this.selectedSnapshot >= this.standingsHistory.length - 1) {
+            this.selectedSnapshot = -1;
+        }
+
+        playButton.textContent = '⏸';
+        this.replayInterval = setInterval(() => {
+            const next = this.selectedSnapshot + 1;
+            document.getElementById('matchday-slider').value = next;
+            this.displaySnapshot(next);
+
+            if (next >= this.standingsHistory.length - 1) {
+                this.toggleReplay();
+            }
+        }, 1200);
+    }
+
     displayTournamentProgress(leagueStats) {
         if (!leagueStats) return;
 
@@ -208,15 +552,31 @@ class StandingsController {
         if (!playoffSection) return;
 
         const qualifiedTeams = standings.filter(team => team.qualified);
+        const bracket = qualifiedTeams.length > 0 ? this.tournament.generatePlayoffBracket(qualifiedTeams) : null;
         
-        if (qualifiedTeams.length >= 4) {
+        if (bracket) {
             playoffSection.style.display = 'block';
-            
-            // Update semifinal matchups
-            document.getElementById('team-1').textContent = qualifiedTeams[0].teamName;
-            document.getElementById('team-4').textContent = qualifiedTeams[3].teamName;
-            document.getElementById('team-2').textContent = qualifiedTeams[1].teamName;
-            document.getElementById('team-3').textContent = qualifiedTeams[2].teamName;
+
+            // Show every pairing that already involves a seeded team, plus the teams with a bye
+            const teamText = (team, source) => team ? team.teamName : this.tournament.getPlayoffSourceText(source, bracket.rounds);
+            const matches = bracket.rounds.flatMap(round => round.matches)
+                .filter(match => match.homeTeam || match.awayTeam);
+
+            document.getElementById('bracket-preview').innerHTML = `
+                ${matches.map(match => `
+                    <div class="semifinal">
+                        <h3>${match.matchName}</h3>
+                        <div class="match-preview">
+                            <span class="team-home">${teamText(match.homeTeam, match.homeSource)}</span>
+                            <span class="vs">×</span>
+                            <span class="team-away">${teamText(match.awayTeam, match.awaySource)}</span>
+                        </div>
+                    </div>
+                `).join('')}
+                ${bracket.byes.length > 0 ? `
+                    <p class="bracket-note">تأهل مباشرة إلى نصف النهائي: ${bracket.byes.map(team => team.teamName).join('، ')}</p>
+                ` : ''}
+            `;
         } else {
             playoffSection.style.display = 'none';
         }
@@ -311,6 +671,19 @@ class StandingsController {
     }
 
     setupEventListeners() {
+        // Matchday slider and replay
+        document.getElementById('matchday-slider')?.addEventListener('input', (e) => {
+            this.displaySnapshot(parseInt(e.target.value));
+        });
+
+        document.getElementById('matchday-play')?.addEventListener('click', () => {
+            this.toggleReplay();
+        });
+
+        document.getElementById('chart-team-select')?.addEventListener('change', () => {
+            this.displayPositionChart();
+        });
+
         // Refresh button
         const refreshBtn = document.getElementById('refresh-standings');
         if (refreshBtn) {
@@ -447,6 +820,9 @@ class StandingsController {
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
         }
+        if (this.replayInterval) {
+            clearInterval(this.replayInterval);
+        }
     }
 }
 
@@ -5,12 +5,17 @@
 
 import LocalStorageManager from './storage.js';
 import TournamentSystem from './tournamentEngine.js';
+import PlayerStatsEngine from './playerStatsEngine.js';
+import DisciplineEngine from './disciplineEngine.js';
+import RankingPolicy from './rankingPolicy.js';
 
 class StandingsCalculator {
     constructor() {
         this.storage = new LocalStorageManager();
         this.tournament = new TournamentSystem();
-        this.playoffQualifiers = 4;
+        this.playerStatsEngine = new PlayerStatsEngine();
+        this.disciplineEngine = new DisciplineEngine();
+        this.rankingPolicy = new RankingPolicy();
     }
 
     /**
@@ -40,6 +45,11 @@ class StandingsCalculator {
                 goalsAgainst: 0,
                 goalDifference: 0,
                 points: 0,
+                bonusPoints: 0,
+                deductedPoints: 0,
+                fairPlayPoints: 0,
+                tieBreakReason: null,
+                tiedWith: [],
                 form: [], // Last 5 matches
                 qualified: false,
                 position: 0
@@ -64,12 +74,14 @@ class StandingsCalculator {
                     homeTeam.goalsFor += match.homeGoals;
                     homeTeam.goalsAgainst += match.awayGoals;
                     homeTeam.points += points.homePoints;
+                    homeTeam.bonusPoints += points.homeBonus;
 
                     // Update away team
                     awayTeam.played += 1;
                     awayTeam.goalsFor += match.awayGoals;
                     awayTeam.goalsAgainst += match.homeGoals;
                     awayTeam.points += points.awayPoints;
+                    awayTeam.bonusPoints += points.awayBonus;
 
                     // Update match results
                     if (points.result === 'home_win') {
@@ -99,13 +111,18 @@ class StandingsCalculator {
                 }
             });
 
-            // Calculate goal difference
+            // Calculate goal difference, point deductions and fair-play points from the same matches
+            const fairPlay = this.disciplineEngine.calculateFairPlayPoints(playedMatches);
+            const deductions = this.tournament.getDeductedPointsByTeam();
             standings.forEach(team => {
                 team.goalDifference = team.goalsFor - team.goalsAgainst;
+                team.deductedPoints = deductions[team.teamId] || 0;
+                team.points -= team.deductedPoints;
+                team.fairPlayPoints = fairPlay[team.teamId]?.points || 0;
             });
 
             // Apply tie-breaking rules and sort
-            const sortedStandings = this.applyTieBreakers(standings);
+            const sortedStandings = this.applyTieBreakers(standings, playedMatches);
 
             // Determine qualification status
             return this.determineQualification(sortedStandings);
@@ -117,37 +134,77 @@ class StandingsCalculator {
     }
 
     /**
-     * Apply tie-breaking logic: Points → Goal Difference → Goals Scored
+     * Apply tie-breaking logic from the shared ranking policy
      */
-    applyTieBreakers(teams) {
+    applyTieBreakers(teams, matches = null) {
         try {
-            return [...teams].sort((a, b) => {
-                // Primary: Points (descending)
-                if (b.points !== a.points) {
-                    return b.points - a.points;
-                }
+            return this.rankingPolicy.rank(teams, matches);
+        } catch (error) {
+            console.error('Error applying tie-breakers:', error);
+            return teams;
+        }
+    }
 
-                // Secondary: Goal Difference (descending)
-                if (b.goalDifference !== a.goalDifference) {
-                    return b.goalDifference - a.goalDifference;
-                }
+    /**
+     * Get tie-break criterion text in Arabic
+     */
+    getTieBreakerText(criterion) {
+        return this.rankingPolicy.getCriterionText(criterion);
+    }
 
-                // Tertiary: Goals Scored (descending)
-                if (b.goalsFor !== a.goalsFor) {
-                    return b.goalsFor - a.goalsFor;
-                }
+    /**
+     * Get admin adjustments (forfeits and point deductions) affecting the standings
+     */
+    getStandingsAdjustments() {
+        try {
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
 
-                // Quaternary: Goals Conceded (ascending - fewer goals conceded is better)
-                if (a.goalsAgainst !== b.goalsAgainst) {
-                    return a.goalsAgainst - b.goalsAgainst;
-                }
+            if (!teamsData || !matchesData) {
+                throw new Error('Failed to load required data');
+            }
 
-                // Final: Alphabetical by team name
-                return a.teamName.localeCompare(b.teamName, 'ar');
+            const teamNames = {};
+            teamsData.teams.forEach(team => {
+                teamNames[team.id] = team.name;
             });
+
+            const forfeits = matchesData.matches
+                .filter(match => match.status === 'played' && match.forfeit)
+                .sort((a, b) => a.day - b.day)
+                .map(match => {
+                    const opponentId = match.forfeit.teamId === match.homeTeam ? match.awayTeam : match.homeTeam;
+                    return {
+                        type: 'forfeit',
+                        id: match.id,
+                        teamId: match.forfeit.teamId,
+                        teamName: teamNames[match.forfeit.teamId] || match.forfeit.teamId,
+                        opponentId: opponentId,
+                        opponentName: teamNames[opponentId] || opponentId,
+                        day: match.day,
+                        homeGoals: match.homeGoals,
+                        awayGoals: match.awayGoals,
+                        reason: match.forfeit.reason
+                    };
+                });
+
+            const deductions = this.tournament.getPointDeductions()
+                .slice()
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+                .map(deduction => ({
+                    type: 'deduction',
+                    id: deduction.id,
+                    teamId: deduction.teamId,
+                    teamName: teamNames[deduction.teamId] || deduction.teamId,
+                    points: deduction.points,
+                    reason: deduction.reason,
+                    createdAt: deduction.createdAt
+                }));
+
+            return [...forfeits, ...deductions];
         } catch (error) {
-            console.error('Error applying tie-breakers:', error);
-            return teams;
+            console.error('Error getting standings adjustments:', error);
+            return [];
         }
     }
 
@@ -156,10 +213,12 @@ class StandingsCalculator {
      */
     determineQualification(sortedStandings) {
         try {
+            const playoffQualifiers = this.tournament.getPlayoffQualifiers();
+
             return sortedStandings.map((team, index) => ({
                 ...team,
                 position: index + 1,
-                qualified: index < this.playoffQualifiers,
+                qualified: index < playoffQualifiers,
                 qualificationStatus: this.getQualificationStatus(index + 1)
             }));
         } catch (error) {
@@ -172,7 +231,11 @@ class StandingsCalculator {
      * Get qualification status text
      */
     getQualificationStatus(position) {
-        if (position <= this.playoffQualifiers) {
+        if (this.tournament.getPlayoffByes().includes(position)) {
+            return 'مؤهل مباشرة إلى نصف النهائي';
+        }
+
+        if (position <= this.tournament.getPlayoffQualifiers()) {
             const statusMap = {
                 1: 'مؤهل للنهائيات - المركز الأول',
                 2: 'مؤهل للنهائيات - المركز الثاني',
@@ -288,6 +351,73 @@ class StandingsCalculator {
         }
     }
 
+    /**
+     * Get the matchdays on which matches have been played, in order
+     */
+    getPlayedMatchdays() {
+        const matchesData = this.storage.load(this.storage.keys.MATCHES);
+        const days = (matchesData?.matches || [])
+            .filter(match => match.status === 'played' && match.homeGoals !== null && match.awayGoals !== null)
+            .map(match => match.day);
+
+        return [...new Set(days)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Get a standings snapshot after every played matchday
+     * Each team carries its position change since the previous snapshot (positive means it moved up);
+     * point deductions have no matchday, so every snapshot includes them
+     */
+    getStandingsHistory() {
+        try {
+            let previous = null;
+
+            return this.getPlayedMatchdays().map(day => {
+                const standings = this.getStandingsAfterMatchday(day).map(team => {
+                    const before = previous ? previous.find(other => other.teamId === team.teamId) : null;
+                    return {
+                        ...team,
+                        previousPosition: before ? before.position : null,
+                        positionChange: before ? before.position - team.position : 0
+                    };
+                });
+
+                previous = standings;
+                return { day: day, standings: standings };
+            });
+        } catch (error) {
+            console.error('Error getting standings history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get each team's position after every played matchday, for position-over-time charts
+     */
+    getPositionHistory(history = null) {
+        const snapshots = history || this.getStandingsHistory();
+        const teams = {};
+
+        snapshots.forEach(snapshot => {
+            snapshot.standings.forEach(team => {
+                if (!teams[team.teamId]) {
+                    teams[team.teamId] = {
+                        teamId: team.teamId,
+                        teamName: team.teamName,
+                        colors: team.colors,
+                        positions: []
+                    };
+                }
+                teams[team.teamId].positions.push({ day: snapshot.day, position: team.position, points: team.points });
+            });
+        });
+
+        return {
+            days: snapshots.map(snapshot => snapshot.day),
+            teams: Object.values(teams)
+        };
+    }
+
     /**
      * Get team statistics with additional calculations
      */
@@ -515,15 +645,23 @@ class StandingsCalculator {
     }
 
     /**
-     * Get top scorer (placeholder - would need player data)
+     * Get top scorer from recorded match events
      */
     getTopScorer() {
-        // This would require individual player statistics
-        // For now, return placeholder
+        const [topScorer] = this.playerStatsEngine.getTopScorers(null, 1);
+        
+        if (!topScorer) {
+            return {
+                name: 'سيتم تحديثه قريباً',
+                team: '',
+                goals: 0
+            };
+        }
+
         return {
-            name: 'سيتم تحديثه قريباً',
-            team: '',
-            goals: 0
+            name: topScorer.name,
+            team: topScorer.team,
+            goals: topScorer.goals
         };
     }
 
@@ -550,7 +688,9 @@ class StandingsCalculator {
                         lost: standingTeam.lost,
                         goalsFor: standingTeam.goalsFor,
                         goalsAgainst: standingTeam.goalsAgainst,
-                        points: standingTeam.points
+                        points: standingTeam.points,
+                        bonusPoints: standingTeam.bonusPoints,
+                        deductedPoints: standingTeam.deductedPoints
                     };
                 }
             });
@@ -6,12 +6,16 @@
 import LocalStorageManager from './storage.js';
 import FixturesEngine from './fixturesEngine.js';
 import TeamsEngine from './teamsEngine.js';
+import PlayerStatsEngine from './playerStatsEngine.js';
+import TournamentSystem from './tournamentEngine.js';
 
 class StatisticsEngine {
     constructor() {
         this.storage = new LocalStorageManager();
         this.fixturesEngine = new FixturesEngine();
         this.teamsEngine = new TeamsEngine();
+        this.playerStatsEngine = new PlayerStatsEngine();
+        this.tournament = new TournamentSystem();
     }
 
     /**
@@ -58,7 +62,7 @@ class StatisticsEngine {
             // Team statistics
             const teamStats = this.calculateTeamStatistics(teams, playedMatches);
             
-            // Player statistics (simulated based on match data)
+            // Player statistics (from recorded match events)
             const playerStats = this.calculatePlayerStatistics(playedMatches, teams);
 
             return {
@@ -156,6 +160,8 @@ class StatisticsEngine {
      */
     calculateHomeAwayRecords(teams, playedMatches) {
         try {
+            const { win, draw, loss } = this.tournament.getPointsSystem();
+
             const records = teams.map(team => {
                 const homeMatches = playedMatches.filter(m => m.homeTeam === team.id);
                 const awayMatches = playedMatches.filter(m => m.awayTeam === team.id);
@@ -178,8 +184,8 @@ class StatisticsEngine {
                     points: 0
                 };
 
-                homeRecord.points = homeRecord.won * 3 + homeRecord.drawn;
-                awayRecord.points = awayRecord.won * 3 + awayRecord.drawn;
+                homeRecord.points = homeRecord.won * win + homeRecord.drawn * draw + homeRecord.lost * loss;
+                awayRecord.points = awayRecord.won * win + awayRecord.drawn * draw + awayRecord.lost * loss;
 
                 return { home: homeRecord, away: awayRecord };
             });
@@ -260,87 +266,57 @@ class StatisticsEngine {
      */
     calculatePlayerStatistics(playedMatches, teams) {
         try {
-            // Since we don't have detailed player data, we'll simulate based on match results
             const playerStats = {
                 topScorers: [],
+                topAssists: [],
+                ownGoals: [],
                 bestPlayers: [],
                 totalPlayers: teams.reduce((sum, team) => sum + (team.squad?.length || 6), 0)
             };
 
-            // Extract best players from matches
-            const bestPlayerCounts = {};
+            // Scorer, assist, own-goal and man-of-the-match tables from recorded match data
+            const leaderboards = this.playerStatsEngine.getLeaderboards();
+            playerStats.topScorers = leaderboards.topScorers;
+            playerStats.topAssists = leaderboards.topAssists;
+            playerStats.ownGoals = leaderboards.ownGoals;
+
+            // Best player names the registry migration could not match to a squad player are still counted
+            const unlinkedCounts = {};
             playedMatches.forEach(match => {
-                if (match.bestPlayer) {
-                    bestPlayerCounts[match.bestPlayer] = (bestPlayerCounts[match.bestPlayer] || 0) + 1;
+                if (!match.bestPlayerId && match.bestPlayer) {
+                    unlinkedCounts[match.bestPlayer] = (unlinkedCounts[match.bestPlayer] || 0) + 1;
                 }
             });
 
-            // Convert to array and sort
-            playerStats.bestPlayers = Object.entries(bestPlayerCounts)
-                .map(([name, count]) => ({ name, awards: count }))
+            playerStats.bestPlayers = [
+                ...leaderboards.bestPlayers.map(player => ({ 
+                    playerId: player.playerId, 
+                    name: player.name, 
+                    team: player.team, 
+                    awards: player.manOfTheMatch 
+                })),
+                ...Object.entries(unlinkedCounts).map(([name, count]) => ({ playerId: null, name, team: null, awards: count }))
+            ]
                 .sort((a, b) => b.awards - a.awards)
                 .slice(0, 10);
 
-            // Simulate top scorers based on team performance
-            const simulatedScorers = this.simulateTopScorers(teams, playedMatches);
-            playerStats.topScorers = simulatedScorers;
-
             return playerStats;
 
         } catch (error) {
             console.error('Error calculating player statistics:', error);
-            return { topScorers: [], bestPlayers: [], totalPlayers: 0 };
+            return { topScorers: [], topAssists: [], ownGoals: [], bestPlayers: [], totalPlayers: 0 };
         }
     }
 
     /**
-     * Simulate top scorers based on team performance
+     * Get player leaderboards, optionally filtered by team
      */
-    simulateTopScorers(teams, playedMatches) {
+    getPlayerLeaderboards(teamId = null) {
         try {
-            const scorers = [];
-
-            teams.forEach(team => {
-                if (team.squad && team.squad.length > 0) {
-                    // Simulate goals for each player based on team's total goals
-                    const teamGoals = team.statistics.goalsFor;
-                    const attackers = team.squad.filter(p => p.position === 'مهاجم');
-                    const midfielders = team.squad.filter(p => p.position === 'وسط');
-
-                    // Distribute goals among attackers and midfielders
-                    attackers.forEach((player, index) => {
-                        const goals = Math.floor(teamGoals * (0.4 - index * 0.1)) || 0;
-                        if (goals > 0) {
-                            scorers.push({
-                                name: player.name,
-                                team: team.name,
-                                teamId: team.id,
-                                goals: goals,
-                                position: player.position
-                            });
-                        }
-                    });
-
-                    midfielders.forEach((player, index) => {
-                        const goals = Math.floor(teamGoals * (0.2 - index * 0.05)) || 0;
-                        if (goals > 0) {
-                            scorers.push({
-                                name: player.name,
-                                team: team.name,
-                                teamId: team.id,
-                                goals: goals,
-                                position: player.position
-                            });
-                        }
-                    });
-                }
-            });
-
-            return scorers.sort((a, b) => b.goals - a.goals).slice(0, 15);
-
+            return this.playerStatsEngine.getLeaderboards(teamId);
         } catch (error) {
-            console.error('Error simulating top scorers:', error);
-            return [];
+            console.error('Error getting player leaderboards:', error);
+            return { topScorers: [], topAssists: [], ownGoals: [] };
         }
     }
 
@@ -634,6 +610,8 @@ class StatisticsEngine {
             teams: {},
             players: {
                 topScorers: [],
+                topAssists: [],
+                ownGoals: [],
                 bestPlayers: [],
                 totalPlayers: 0
             },
@@ -681,9 +659,17 @@ class StatisticsEngine {
 
             if (stats.players.topScorers.length > 0) {
                 csv += '\nأفضل الهدافين\n';
-                csv += 'اللاعب,الفريق,الأهداف\n';
+                csv += 'اللاعب,الفريق,الأهداف,ركلات الجزاء\n';
                 stats.players.topScorers.forEach(scorer => {
-                    csv += `${scorer.name},${scorer.team},${scorer.goals}\n`;
+                    csv += `${scorer.name},${scorer.team},${scorer.goals},${scorer.penalties}\n`;
+                });
+            }
+
+            if (stats.players.topAssists.length > 0) {
+                csv += '\nأفضل صانعي الأهداف\n';
+                csv += 'اللاعب,الفريق,التمريرات الحاسمة\n';
+                stats.players.topAssists.forEach(player => {
+                    csv += `${player.name},${player.team},${player.assists}\n`;
                 });
             }
 
@@ -6,13 +6,17 @@
 import LocalStorageManager from './storage.js';
 import StatisticsEngine from './statisticsEngine.js';
 import TeamsEngine from './teamsEngine.js';
+import ProjectionEngine from './projectionEngine.js';
+import { createPlayerLink } from './playerRegistry.js';
 
 class StatisticsController {
     constructor() {
         this.storage = new LocalStorageManager();
         this.statisticsEngine = new StatisticsEngine();
         this.teamsEngine = new TeamsEngine();
+        this.projectionEngine = new ProjectionEngine();
         this.currentCategory = 'players';
+        this.currentPlayersTeam = 'all';
         this.tournamentStats = null;
         
         this.init();
@@ -49,6 +53,9 @@ class StatisticsController {
             // Display current category
             this.displayCategory(this.currentCategory);
             
+            // Display simulated final positions and playoff odds
+            this.displayProjection(this.projectionEngine.getProjection());
+            
             // Populate team selector
             this.populateTeamSelector();
             
@@ -105,8 +112,8 @@ class StatisticsController {
 
         const { players } = this.tournamentStats;
 
-        // Display top scorers
-        this.displayTopScorers(players.topScorers);
+        // Display scorer, assist and own-goal tables (optionally filtered by team)
+        this.displayPlayerLeaderboards();
         
         // Display best players
         this.displayBestPlayers(players.bestPlayers);
@@ -119,6 +126,15 @@ class StatisticsController {
         document.getElementById('avg-goals-per-player').textContent = avgGoalsPerPlayer;
     }
 
+    displayPlayerLeaderboards() {
+        const teamId = this.currentPlayersTeam === 'all' ? null : this.currentPlayersTeam;
+        const leaderboards = this.statisticsEngine.getPlayerLeaderboards(teamId);
+
+        this.displayTopScorers(leaderboards.topScorers);
+        this.displayTopAssists(leaderboards.topAssists);
+        this.displayOwnGoals(leaderboards.ownGoals);
+    }
+
     displayTopScorers(scorers) {
         const container = document.getElementById('top-scorers');
         if (!container) return;
@@ -134,13 +150,69 @@ class StatisticsController {
                 <span class="player-header">اللاعب</span>
                 <span class="team-header">الفريق</span>
                 <span class="goals-header">الأهداف</span>
+                <span class="penalties-header">ج</span>
+                <span class="matches-header" title="مباريات فريق اللاعب">م</span>
             </div>
             ${scorers.map((scorer, index) => `
                 <div class="scorer-row">
                     <span class="scorer-rank">${index + 1}</span>
-                    <span class="scorer-name">${scorer.name}</span>
+                    <span class="scorer-name">${createPlayerLink(scorer.playerId, scorer.name)}</span>
                     <span class="scorer-team">${scorer.team}</span>
                     <span class="scorer-goals">${scorer.goals}</span>
+                    <span class="scorer-penalties">${scorer.penalties}</span>
+                    <span class="scorer-matches">${scorer.matches}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    displayTopAssists(players) {
+        const container = document.getElementById('top-assists');
+        if (!container) return;
+
+        if (players.length === 0) {
+            container.innerHTML = '<p class="no-data">لا توجد تمريرات حاسمة مسجلة بعد</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="scorers-header">
+                <span class="rank-header">المركز</span>
+                <span class="player-header">اللاعب</span>
+                <span class="team-header">الفريق</span>
+                <span class="goals-header">التمريرات الحاسمة</span>
+            </div>
+            ${players.map((player, index) => `
+                <div class="scorer-row">
+                    <span class="scorer-rank">${index + 1}</span>
+                    <span class="scorer-name">${createPlayerLink(player.playerId, player.name)}</span>
+                    <span class="scorer-team">${player.team}</span>
+                    <span class="scorer-goals">${player.assists}</span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    displayOwnGoals(players) {
+        const container = document.getElementById('own-goals');
+        if (!container) return;
+
+        if (players.length === 0) {
+            container.innerHTML = '<p class="no-data">لا توجد أهداف عكسية</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="scorers-header">
+                <span class="player-header">اللاعب</span>
+                <span class="team-header">الفريق</span>
+                <span class="goals-header">الأهداف العكسية</span>
+            </div>
+            ${players.map(player => `
+                <div class="scorer-row">
+                    <span class="scorer-name">${createPlayerLink(player.playerId, player.name)}</span>
+                    <span class="scorer-team">${player.team}</span>
+                    <span class="scorer-goals">${player.ownGoals}</span>
                 </div>
             `).join('')}
         `;
@@ -159,7 +231,7 @@ class StatisticsController {
             <div class="best-player-item">
                 <div class="player-rank">${index + 1}</div>
                 <div class="player-info">
-                    <h4 class="player-name">${player.name}</h4>
+                    <h4 class="player-name">${createPlayerLink(player.playerId, player.name)}</h4>
                     <p class="player-awards">${player.awards} جائزة أفضل لاعب</p>
                 </div>
             </div>
@@ -344,10 +416,66 @@ class StatisticsController {
         detailElement.textContent = formatter(record);
     }
 
+    displayProjection(projection) {
+        const section = document.getElementById('season-projection');
+        if (!section) return;
+
+        if (!projection || !projection.success || projection.remainingMatches === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = 'block';
+
+        const positions = projection.teams.map((team, index) => index + 1);
+
+        document.getElementById('projection-note').textContent = 
+            `نتيجة ${projection.iterations} محاكاة للمباريات الـ ${projection.remainingMatches} المتبقية، ` +
+            `بحسب قوة هجوم ودفاع كل فريق في مبارياته السابقة. تتحدث التوقعات مع كل نتيجة جديدة.`;
+
+        document.getElementById('projection-thead').innerHTML = `
+            <tr>
+                <th class="team-col">الفريق</th>
+                <th class="points-col">النقاط</th>
+                <th title="متوسط النقاط في نهاية الدور الأول">المتوقع</th>
+                <th title="نسبة بلوغ الأدوار الإقصائية">التأهل</th>
+                ${positions.map(position => `<th class="position-col">${position}</th>`).join('')}
+            </tr>
+        `;
+
+        document.getElementById('projection-tbody').innerHTML = projection.teams.map(team => `
+            <tr>
+                <td class="team-col" title="الهجوم ${team.attack} - الدفاع ${team.defence}">${team.teamName}</td>
+                <td class="points">${team.points}</td>
+                <td>${team.expectedPoints}</td>
+                <td class="playoff-odds"><strong>${this.formatProbability(team.playoffProbability)}</strong></td>
+                ${team.positionProbabilities.map(probability => `
+                    <td class="position-odds" style="background-color: rgba(30, 64, 175, ${(probability / 100).toFixed(2)});${probability >= 50 ? ' color: #fff;' : ''}">
+                        ${this.formatProbability(probability)}
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('');
+    }
+
+    formatProbability(probability) {
+        if (probability === 0) return '-';
+        if (probability < 1) return '&lt;1%';
+        if (probability > 99 && probability < 100) return '&gt;99%';
+        return `${Math.round(probability)}%`;
+    }
+
     populateTeamSelector() {
         const teams = this.teamsEngine.getAllTeams();
         const selector = document.getElementById('team-select');
+        const playersFilter = document.getElementById('players-team-filter');
         
+        if (playersFilter) {
+            playersFilter.innerHTML = '<option value="all">جميع الفرق</option>' + 
+                teams.map(team => `<option value="${team.id}">${team.name}</option>`).join('');
+            playersFilter.value = this.currentPlayersTeam;
+        }
+
         if (!selector) return;
 
         selector.innerHTML = '<option value="">اختر فريق</option>' + 
@@ -483,6 +611,12 @@ class StatisticsController {
             });
         });
 
+        // Player leaderboards team filter
+        document.getElementById('players-team-filter')?.addEventListener('change', (e) => {
+            this.currentPlayersTeam = e.target.value;
+            this.displayPlayerLeaderboards();
+        });
+
         // Team analysis
         document.getElementById('analyze-btn')?.addEventListener('click', () => {
             this.analyzeTeamPerformance();
@@ -12,7 +12,15 @@ class LocalStorageManager {
             CONFIG: 'salfoon_config',
             USER_PREFERENCES: 'salfoon_preferences',
             ADMIN_SESSION: 'salfoon_admin_session',
-            CACHE_METADATA: 'salfoon_cache_metadata'
+            CACHE_METADATA: 'salfoon_cache_metadata',
+            ADJUSTMENTS: 'salfoon_adjustments',
+            PLAYOFFS: 'salfoon_playoffs',
+            PLAYOFF_HISTORY: 'salfoon_playoff_history',
+            ARCHIVE: 'salfoon_archive',
+            AUTO_BACKUPS: 'salfoon_auto_backups',
+            PROJECTION: 'salfoon_projection',
+            RATINGS: 'salfoon_ratings',
+            PLAYERS: 'salfoon_players'
         };
         
         this.initializeStorage();
@@ -132,6 +140,21 @@ class LocalStorageManager {
         return localStorage.getItem(key) !== null;
     }
 
+    /**
+     * Get a short hash of any JSON data, so derived data can be stored with the inputs it was built from
+     */
+    getSignature(data) {
+        const text = JSON.stringify(data);
+
+        // djb2 string hash
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+        }
+
+        return hash.toString(36);
+    }
+
     /**
      * Validate data integrity
      */
@@ -152,6 +175,8 @@ class LocalStorageManager {
                     return data.articles && Array.isArray(data.articles);
                 case this.keys.CONFIG:
                     return data.tournament && typeof data.tournament === 'object';
+                case this.keys.PLAYERS:
+                    return data.players && Array.isArray(data.players);
                 default:
                     return true;
             }
@@ -168,6 +193,9 @@ class LocalStorageManager {
         try {
             const backup = {};
             Object.values(this.keys).forEach(key => {
+                // Backups never contain earlier automatic backups
+                if (key === this.keys.AUTO_BACKUPS) return;
+
                 const data = this.load(key);
                 if (data !== null) {
                     backup[key] = data;
@@ -5,11 +5,14 @@
 
 import LocalStorageManager from './storage.js';
 import TeamsEngine from './teamsEngine.js';
+import DisciplineEngine from './disciplineEngine.js';
+import { createPlayerLink } from './playerRegistry.js';
 
 class TeamsController {
     constructor() {
         this.storage = new LocalStorageManager();
         this.teamsEngine = new TeamsEngine();
+        this.disciplineEngine = new DisciplineEngine();
         this.currentView = 'grid';
         this.currentRanking = 'points';
         this.teams = [];
@@ -73,6 +76,7 @@ class TeamsController {
         const averageGoals = this.teams.length > 0 ? 
             (this.teams.reduce((sum, team) => sum + team.statistics.goalsFor, 0) / this.teams.length).toFixed(1) : 0;
 
+        document.getElementById('total-teams').textContent = this.teams.length;
         document.getElementById('qualified-teams').textContent = qualifiedTeams;
         document.getElementById('total-players').textContent = totalPlayers;
         document.getElementById('average-goals').textContent = averageGoals;
@@ -125,6 +129,12 @@ class TeamsController {
                             <span class="stat-value">${team.goalDifference > 0 ? '+' : ''}${team.goalDifference}</span>
                             <span class="stat-label">الفارق</span>
                         </div>
+                        ${team.powerRating ? `
+                            <div class="stat-item">
+                                <span class="stat-value">${Math.round(team.powerRating.rating)}</span>
+                                <span class="stat-label">التصنيف</span>
+                            </div>
+                        ` : ''}
                     </div>
                     
                     <div class="team-record">
@@ -207,7 +217,7 @@ class TeamsController {
         const currentRankingData = this.rankings[this.currentRanking];
         if (!currentRankingData) return;
 
-        container.innerHTML = currentRankingData.slice(0, 7).map((team, index) => {
+        container.innerHTML = currentRankingData.map((team, index) => {
             let statValue = '';
             switch (this.currentRanking) {
                 case 'points':
@@ -222,6 +232,9 @@ class TeamsController {
                 case 'cleanSheets':
                     statValue = `${team.additionalStats?.cleanSheets || 0} مباراة`;
                     break;
+                case 'powerRating':
+                    statValue = team.powerRating ? `${Math.round(team.powerRating.rating)} نقطة تصنيف` : '-';
+                    break;
             }
 
             return `
@@ -326,8 +339,35 @@ class TeamsController {
                         <span class="team2-stat ${comp.goalsScored.better === 'team2' ? 'better' : ''}">${comp.goalsScored.team2}</span>
                     </div>
                 </div>
+                
+                ${comp.rating.team1 !== null && comp.rating.team2 !== null ? `
+                    <div class="comparison-row">
+                        <div class="stat-comparison">
+                            <span class="team1-stat ${comp.rating.better === 'team1' ? 'better' : ''}">${Math.round(comp.rating.team1)}</span>
+                            <span class="stat-label">التصنيف</span>
+                            <span class="team2-stat ${comp.rating.better === 'team2' ? 'better' : ''}">${Math.round(comp.rating.team2)}</span>
+                        </div>
+                    </div>
+                ` : ''}
             </div>
             
+            ${comparison.probabilities ? `
+                <div class="comparison-probabilities">
+                    <h4>توقعات المواجهة حسب التصنيف</h4>
+                    ${this.createProbabilityBar(comparison.probabilities, team1.shortName, team2.shortName)}
+                </div>
+            ` : ''}
+            
+            ${comparison.ratingHistory.team1.length > 0 || comparison.ratingHistory.team2.length > 0 ? `
+                <div class="comparison-rating-chart">
+                    <h4>تطور التصنيف</h4>
+                    ${this.createRatingChart([
+                        { name: team1.name, color: team1.colors?.primary, history: comparison.ratingHistory.team1 },
+                        { name: team2.name, color: team2.colors?.primary, history: comparison.ratingHistory.team2 }
+                    ])}
+                </div>
+            ` : ''}
+            
             ${headToHead.played > 0 ? `
                 <div class="head-to-head">
                     <h4>المواجهات المباشرة</h4>
@@ -355,6 +395,72 @@ class TeamsController {
         container.style.display = 'block';
     }
 
+    createProbabilityBar(probabilities, homeName, awayName) {
+        return `
+            <div class="probability-bar">
+                <span class="probability-segment home" style="width: ${probabilities.homeWin}%"></span>
+                <span class="probability-segment draw" style="width: ${probabilities.draw}%"></span>
+                <span class="probability-segment away" style="width: ${probabilities.awayWin}%"></span>
+            </div>
+            <div class="probability-labels">
+                <span>فوز ${homeName} ${probabilities.homeWin}%</span>
+                <span>تعادل ${probabilities.draw}%</span>
+                <span>فوز ${awayName} ${probabilities.awayWin}%</span>
+            </div>
+        `;
+    }
+
+    createRatingChart(series) {
+        const lines = series.filter(entry => entry.history.length > 0);
+        if (lines.length === 0) return '';
+
+        const values = lines.flatMap(entry => [entry.history[0].before, ...entry.history.map(point => point.after)]);
+        const maxMatches = Math.max(...lines.map(entry => entry.history.length));
+        const minRating = Math.floor(Math.min(...values) / 10) * 10 - 10;
+        const maxRating = Math.ceil(Math.max(...values) / 10) * 10 + 10;
+
+        const width = 480;
+        const height = 200;
+        const padding = { top: 15, right: 15, bottom: 25, left: 45 };
+        const x = (index) => padding.left + index * (width - padding.left - padding.right) / Math.max(maxMatches, 1);
+        const y = (rating) => padding.top + (maxRating - rating) * (height - padding.top - padding.bottom) / (maxRating - minRating);
+
+        const ratingLabels = [maxRating, Math.round((maxRating + minRating) / 2), minRating].map(rating => `
+            <text x="${padding.left - 8}" y="${y(rating) + 4}" class="chart-axis-label">${rating}</text>
+        `).join('');
+
+        const matchLabels = Array.from({ length: maxMatches + 1 }, (_, index) => `
+            <text x="${x(index)}" y="${height - 6}" class="chart-axis-label">${index}</text>
+        `).join('');
+
+        const paths = lines.map(entry => {
+            const color = entry.color || '#64748b';
+            const points = [`${x(0)},${y(entry.history[0].before)}`,
+                ...entry.history.map((point, index) => `${x(index + 1)},${y(point.after)}`)].join(' ');
+
+            return `
+                <g class="chart-team">
+                    <polyline points="${points}" fill="none" stroke="${color}" class="chart-line" />
+                    ${entry.history.map((point, index) => `
+                        <circle cx="${x(index + 1)}" cy="${y(point.after)}" r="4" fill="${color}">
+                            <title>${entry.name} - اليوم ${point.day} ضد ${point.opponentName} (${point.score}): ${Math.round(point.after)} (${point.change > 0 ? '+' : ''}${point.change})</title>
+                        </circle>
+                    `).join('')}
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <div class="rating-chart">
+                <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="تطور تصنيف الفرق بعد كل مباراة">
+                    ${ratingLabels}
+                    ${matchLabels}
+                    ${paths}
+                </svg>
+            </div>
+        `;
+    }
+
     displayTeamAwards() {
         const container = document.getElementById('awards-container');
         if (!container) return;
@@ -402,6 +508,8 @@ class TeamsController {
         // Get team trends
         const trends = this.teamsEngine.getTeamTrends(teamId);
         const awards = this.teamsEngine.getTeamAwards(teamId);
+        const suspensions = this.disciplineEngine.getSuspensions(teamId, true);
+        const cardRecords = this.disciplineEngine.getCardRecords(teamId);
 
         modalBody.innerHTML = `
             <div class="team-details">
@@ -487,6 +595,31 @@ class TeamsController {
                     </div>
                 ` : ''}
                 
+                ${team.powerRating ? `
+                    <div class="team-rating-detail">
+                        <h3>التصنيف</h3>
+                        <div class="rating-summary">
+                            <span class="rating-value">${Math.round(team.powerRating.rating)}</span>
+                            <span class="rating-rank">الترتيب ${team.powerRating.rank} حسب التصنيف</span>
+                        </div>
+                        ${team.powerRating.history.length > 0 ? `
+                            ${this.createRatingChart([{ name: team.name, color: team.colors?.primary, history: team.powerRating.history }])}
+                            <div class="rating-history">
+                                ${[...team.powerRating.history].reverse().map(entry => `
+                                    <div class="rating-history-item">
+                                        <span class="rating-day">اليوم ${entry.day}</span>
+                                        <span class="rating-opponent">ضد ${entry.opponentName} (${entry.score})</span>
+                                        <span class="rating-change ${entry.change > 0 ? 'positive' : entry.change < 0 ? 'negative' : ''}">
+                                            ${entry.change > 0 ? '+' : ''}${entry.change}
+                                        </span>
+                                        <span class="rating-after">${Math.round(entry.after)}</span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : '<p class="no-data">لم يلعب الفريق أي مباراة بعد</p>'}
+                    </div>
+                ` : ''}
+                
                 ${team.squad && team.squad.length > 0 ? `
                     <div class="team-squad">
                         <h3>تشكيلة الفريق</h3>
@@ -494,14 +627,50 @@ class TeamsController {
                             ${team.squad.map(player => `
                                 <div class="player-item">
                                     <span class="player-number">${player.number}</span>
-                                    <span class="player-name">${player.name}</span>
+                                    <span class="player-name">${createPlayerLink(player.playerId, player.name)}</span>
                                     <span class="player-position">${player.position}</span>
+                                    ${suspensions.some(s => s.playerNumber === player.number) ? 
+                                        '<span class="suspended-badge">موقوف</span>' : ''
+                                    }
                                 </div>
                             `).join('')}
                         </div>
                     </div>
                 ` : ''}
                 
+                ${suspensions.length > 0 || cardRecords.length > 0 ? `
+                    <div class="team-discipline">
+                        <h3>الانضباط</h3>
+                        ${suspensions.length > 0 ? `
+                            <div class="suspensions-list">
+                                ${suspensions.map(suspension => `
+                                    <div class="suspension-item">
+                                        <span class="player-number">${suspension.playerNumber}</span>
+                                        <span class="player-name">${createPlayerLink(suspension.playerId, suspension.playerName)}</span>
+                                        <span class="suspension-reason">موقوف - ${suspension.reasonText}</span>
+                                        <span class="suspension-remaining">
+                                            متبقي ${suspension.matchesToServe - suspension.servedCount} مباراة
+                                        </span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : '<p class="no-data">لا يوجد لاعبون موقوفون</p>'}
+                        ${cardRecords.length > 0 ? `
+                            <div class="cards-list">
+                                ${cardRecords.map(record => `
+                                    <div class="player-item">
+                                        <span class="player-number">${record.number}</span>
+                                        <span class="player-name">${record.name}</span>
+                                        <span class="player-cards">
+                                            🟨 ${record.yellowCards} 🟥 ${record.redCards}
+                                        </span>
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                    </div>
+                ` : ''}
+                
                 ${awards.length > 0 ? `
                     <div class="team-awards-detail">
                         <h3>الجوائز والإنجازات</h3>
@@ -6,12 +6,14 @@
 import LocalStorageManager from './storage.js';
 import StandingsCalculator from './standingsEngine.js';
 import FixturesEngine from './fixturesEngine.js';
+import RatingEngine from './ratingEngine.js';
 
 class TeamsEngine {
     constructor() {
         this.storage = new LocalStorageManager();
         this.standingsCalculator = new StandingsCalculator();
         this.fixturesEngine = new FixturesEngine();
+        this.ratingEngine = new RatingEngine();
     }
 
     /**
@@ -69,6 +71,9 @@ class TeamsEngine {
             // Calculate additional statistics
             const additionalStats = this.calculateAdditionalStats(team.id, teamFixtures);
 
+            // Get power rating and its history
+            const powerRating = this.ratingEngine.getTeamRating(team.id);
+
             return {
                 ...team,
                 currentPosition: teamStanding ? teamStanding.position : null,
@@ -84,7 +89,8 @@ class TeamsEngine {
                     next: nextFixture,
                     last: lastResult
                 },
-                additionalStats: additionalStats
+                additionalStats: additionalStats,
+                powerRating: powerRating
             };
 
         } catch (error) {
@@ -256,10 +262,11 @@ class TeamsEngine {
 
     /**
      * Get team head-to-head record against another team
+     * Optionally limited to a given list of matches (e.g. standings after a matchday)
      */
-    getHeadToHeadRecord(teamId1, teamId2) {
+    getHeadToHeadRecord(teamId1, teamId2, matches = null) {
         try {
-            const fixtures = this.fixturesEngine.getAllFixtures();
+            const fixtures = matches || this.fixturesEngine.getAllFixtures();
             const h2hFixtures = fixtures.filter(fixture => 
                 (fixture.homeTeam === teamId1 && fixture.awayTeam === teamId2) ||
                 (fixture.homeTeam === teamId2 && fixture.awayTeam === teamId1)
@@ -332,6 +339,8 @@ class TeamsEngine {
             }
 
             const h2hRecord = this.getHeadToHeadRecord(teamId1, teamId2);
+            const rating1 = team1.powerRating?.rating ?? null;
+            const rating2 = team2.powerRating?.rating ?? null;
 
             return {
                 team1: team1,
@@ -361,8 +370,19 @@ class TeamsEngine {
                         team2: team2.statistics.goalsFor,
                         better: team1.statistics.goalsFor > team2.statistics.goalsFor ? 'team1' : 
                                team2.statistics.goalsFor > team1.statistics.goalsFor ? 'team2' : 'equal'
+                    },
+                    rating: {
+                        team1: rating1,
+                        team2: rating2,
+                        better: rating1 > rating2 ? 'team1' : rating2 > rating1 ? 'team2' : 'equal'
                     }
-                }
+                },
+                ratingHistory: {
+                    team1: team1.powerRating?.history || [],
+                    team2: team2.powerRating?.history || []
+                },
+                // Pre-match odds with the first team at home
+                probabilities: this.ratingEngine.getMatchProbabilities(teamId1, teamId2)
             };
 
         } catch (error) {
@@ -439,12 +459,14 @@ class TeamsEngine {
             const teams = this.getAllTeams();
             
             return {
-                points: teams.sort((a, b) => b.statistics.points - a.statistics.points),
-                goalsScored: teams.sort((a, b) => b.statistics.goalsFor - a.statistics.goalsFor),
-                goalsConceded: teams.sort((a, b) => a.statistics.goalsAgainst - b.statistics.goalsAgainst),
-                goalDifference: teams.sort((a, b) => b.goalDifference - a.goalDifference),
-                cleanSheets: teams.sort((a, b) => (b.additionalStats?.cleanSheets || 0) - (a.additionalStats?.cleanSheets || 0)),
-                winPercentage: teams.sort((a, b) => {
+                // League order follows the shared ranking policy via the standings position
+                points: [...teams].sort((a, b) => (a.currentPosition || teams.length) - (b.currentPosition || teams.length)),
+                goalsScored: [...teams].sort((a, b) => b.statistics.goalsFor - a.statistics.goalsFor),
+                goalsConceded: [...teams].sort((a, b) => a.statistics.goalsAgainst - b.statistics.goalsAgainst),
+                goalDifference: [...teams].sort((a, b) => b.goalDifference - a.goalDifference),
+                cleanSheets: [...teams].sort((a, b) => (b.additionalStats?.cleanSheets || 0) - (a.additionalStats?.cleanSheets || 0)),
+                powerRating: [...teams].sort((a, b) => (a.powerRating?.rank || teams.length) - (b.powerRating?.rank || teams.length)),
+                winPercentage: [...teams].sort((a, b) => {
                     const aWinPct = a.statistics.played > 0 ? (a.statistics.won / a.statistics.played) : 0;
                     const bWinPct = b.statistics.played > 0 ? (b.statistics.won / b.statistics.played) : 0;
                     return bWinPct - aWinPct;
@@ -557,8 +579,8 @@ class TeamsEngine {
                 };
             }
 
-            // Update allowed fields
-            const allowedFields = ['name', 'shortName', 'logo', 'founded', 'colors', 'squad'];
+            // Update allowed fields (squads come from the player registry)
+            const allowedFields = ['name', 'shortName', 'logo', 'founded', 'colors'];
             const team = teamsData.teams[teamIndex];
 
             allowedFields.forEach(field => {
@@ -4,17 +4,252 @@
  */
 
 import LocalStorageManager from './storage.js';
+import RankingPolicy from './rankingPolicy.js';
 
 class TournamentSystem {
     constructor() {
         this.storage = new LocalStorageManager();
-        this.pointsSystem = {
+        this.rankingPolicy = new RankingPolicy();
+        this.defaultPointsSystem = {
             win: 3,
             draw: 1,
             loss: 0
         };
-        this.maxTeams = 7;
-        this.playoffQualifiers = 4;
+        this.minTeams = 2;
+        this.roundRobinFormats = {
+            single: 1,
+            double: 2
+        };
+        this.defaultPlayoffTeams = 4;
+        this.resetModes = ['results', 'everything', 'matchday'];
+        this.playoffRoundNames = {
+            quarterfinals: 'ربع النهائي',
+            semifinals: 'نصف النهائي',
+            final: 'النهائي'
+        };
+        // Fixed brackets per number of qualifiers; sources are a seed or the winner/loser of an earlier match
+        this.playoffBracketFormats = {
+            2: [
+                { round: 'final', matches: [
+                    { id: 'final', matchName: 'المباراة النهائية', home: { seed: 1 }, away: { seed: 2 } }
+                ] }
+            ],
+            4: [
+                { round: 'semifinals', matches: [
+                    { id: 'semi-1', matchName: 'نصف النهائي الأول', home: { seed: 1 }, away: { seed: 4 } },
+                    { id: 'semi-2', matchName: 'نصف النهائي الثاني', home: { seed: 2 }, away: { seed: 3 } }
+                ] },
+                { round: 'final', matches: [
+                    { id: 'final', matchName: 'المباراة النهائية', home: { winner: 'semi-1' }, away: { winner: 'semi-2' } }
+                ] }
+            ],
+            6: [
+                { round: 'quarterfinals', matches: [
+                    { id: 'quarter-1', matchName: 'ربع النهائي الأول', home: { seed: 4 }, away: { seed: 5 } },
+                    { id: 'quarter-2', matchName: 'ربع النهائي الثاني', home: { seed: 3 }, away: { seed: 6 } }
+                ] },
+                { round: 'semifinals', matches: [
+                    { id: 'semi-1', matchName: 'نصف النهائي الأول', home: { seed: 1 }, away: { winner: 'quarter-1' } },
+                    { id: 'semi-2', matchName: 'نصف النهائي الثاني', home: { seed: 2 }, away: { winner: 'quarter-2' } }
+                ] },
+                { round: 'final', matches: [
+                    { id: 'final', matchName: 'المباراة النهائية', home: { winner: 'semi-1' }, away: { winner: 'semi-2' } }
+                ] }
+            ],
+            8: [
+                { round: 'quarterfinals', matches: [
+                    { id: 'quarter-1', matchName: 'ربع النهائي الأول', home: { seed: 1 }, away: { seed: 8 } },
+                    { id: 'quarter-2', matchName: 'ربع النهائي الثاني', home: { seed: 4 }, away: { seed: 5 } },
+                    { id: 'quarter-3', matchName: 'ربع النهائي الثالث', home: { seed: 2 }, away: { seed: 7 } },
+                    { id: 'quarter-4', matchName: 'ربع النهائي الرابع', home: { seed: 3 }, away: { seed: 6 } }
+                ] },
+                { round: 'semifinals', matches: [
+                    { id: 'semi-1', matchName: 'نصف النهائي الأول', home: { winner: 'quarter-1' }, away: { winner: 'quarter-2' } },
+                    { id: 'semi-2', matchName: 'نصف النهائي الثاني', home: { winner: 'quarter-3' }, away: { winner: 'quarter-4' } }
+                ] },
+                { round: 'final', matches: [
+                    { id: 'final', matchName: 'المباراة النهائية', home: { winner: 'semi-1' }, away: { winner: 'semi-2' } }
+                ] }
+            ]
+        };
+        this.thirdPlaceMatch = {
+            id: 'third-place',
+            matchName: 'مباراة المركز الثالث',
+            home: { loser: 'semi-1' },
+            away: { loser: 'semi-2' }
+        };
+    }
+
+    /**
+     * Get the league format from config (single or double round robin)
+     */
+    getLeagueFormat() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const roundRobin = configData?.tournament?.format?.roundRobin;
+
+        return this.roundRobinFormats[roundRobin] ? roundRobin : 'single';
+    }
+
+    /**
+     * Get the round-robin structure for a number of teams
+     * Odd team counts get one bye per round, so every team sits out once per leg
+     */
+    getLeagueStructure(teamCount = null) {
+        try {
+            if (teamCount === null) {
+                const teamsData = this.storage.load(this.storage.keys.TEAMS);
+                teamCount = teamsData ? teamsData.teams.length : 0;
+            }
+
+            const format = this.getLeagueFormat();
+            const legs = this.roundRobinFormats[format];
+            const hasByes = teamCount % 2 === 1;
+            const roundsPerLeg = hasByes ? teamCount : teamCount - 1;
+
+            return {
+                format: format,
+                legs: legs,
+                teams: teamCount,
+                rounds: roundsPerLeg * legs,
+                matchesPerRound: Math.floor(teamCount / 2),
+                matchesPerTeam: (teamCount - 1) * legs,
+                totalMatches: (teamCount * (teamCount - 1) / 2) * legs,
+                hasByes: hasByes,
+                byesPerTeam: hasByes ? legs : 0
+            };
+        } catch (error) {
+            console.error('Error getting league structure:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the Ramadan day the playoffs start on (null when not configured)
+     */
+    getPlayoffStartDay() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const playoffStartDay = parseInt(configData?.tournament?.format?.playoffStartDay);
+
+        return isNaN(playoffStartDay) ? null : playoffStartDay;
+    }
+
+    /**
+     * Get the playoff format from config
+     * legs maps each round to 1 (single match) or 2 (home and away); away goals only apply to two-legged ties
+     */
+    getPlayoffFormat() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const format = configData?.tournament?.format || {};
+        const legs = format.playoffLegs || {};
+        const parseLegs = (value) => parseInt(value) === 2 ? 2 : 1;
+
+        return {
+            enabled: format.playoffs !== false,
+            teams: parseInt(format.playoffTeams) || this.defaultPlayoffTeams,
+            legs: {
+                quarterfinals: parseLegs(legs.quarterfinals),
+                semifinals: parseLegs(legs.semifinals),
+                final: parseLegs(legs.final)
+            },
+            awayGoals: format.playoffAwayGoals !== false,
+            thirdPlace: format.playoffThirdPlace !== false
+        };
+    }
+
+    /**
+     * Get the number of teams that qualify for the playoffs
+     */
+    getPlayoffQualifiers() {
+        return this.getPlayoffFormat().teams;
+    }
+
+    /**
+     * Get the seeds that skip the first playoff round (top-6 format)
+     */
+    getPlayoffByes(teams = null) {
+        const rounds = this.playoffBracketFormats[teams || this.getPlayoffQualifiers()];
+        if (!rounds) return [];
+
+        const firstRoundSeeds = rounds[0].matches.flatMap(match => [match.home.seed, match.away.seed]);
+        return rounds.flatMap(round => round.matches)
+            .flatMap(match => [match.home.seed, match.away.seed])
+            .filter(seed => seed && !firstRoundSeeds.includes(seed));
+    }
+
+    /**
+     * Get the playoff rounds for the configured format, with legs per round and the third-place match
+     */
+    getPlayoffRounds(format = null) {
+        format = format || this.getPlayoffFormat();
+        const rounds = this.playoffBracketFormats[format.teams];
+        if (!rounds) return [];
+
+        return rounds.map(round => ({
+            key: round.round,
+            name: this.playoffRoundNames[round.round],
+            legs: format.legs[round.round] || 1,
+            matches: round.matches.map(match => ({ ...match })),
+            thirdPlace: round.round === 'final' && format.thirdPlace && rounds.some(r => r.round === 'semifinals') ?
+                { ...this.thirdPlaceMatch } : null
+        }));
+    }
+
+    /**
+     * Validate the configured playoff format against the number of teams
+     */
+    validatePlayoffFormat(teamCount = null) {
+        const format = this.getPlayoffFormat();
+        const supported = Object.keys(this.playoffBracketFormats).map(Number);
+
+        if (teamCount === null) {
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            teamCount = teamsData ? teamsData.teams.length : 0;
+        }
+
+        if (!format.enabled) {
+            return {
+                valid: false,
+                error: 'Playoffs are disabled in config'
+            };
+        }
+
+        if (!supported.includes(format.teams)) {
+            return {
+                valid: false,
+                error: `Unsupported playoff format: ${format.teams} teams (supported: ${supported.join(', ')})`
+            };
+        }
+
+        if (format.teams > teamCount) {
+            return {
+                valid: false,
+                error: `Playoff format needs ${format.teams} teams but the league has ${teamCount}`
+            };
+        }
+
+        return {
+            valid: true,
+            format: format
+        };
+    }
+
+    /**
+     * Describe where a playoff slot's team comes from, in Arabic
+     */
+    getPlayoffSourceText(source, rounds = null) {
+        const ordinals = ['الأول', 'الثاني', 'الثالث', 'الرابع', 'الخامس', 'السادس', 'السابع', 'الثامن'];
+
+        if (source.seed) {
+            return `المركز ${ordinals[source.seed - 1] || source.seed}`;
+        }
+
+        const matchId = source.winner || source.loser;
+        const match = (rounds || this.getPlayoffRounds())
+            .flatMap(round => round.matches)
+            .find(m => m.id === matchId);
+        const matchName = match ? match.matchName : matchId;
+
+        return source.winner ? `فائز ${matchName}` : `خاسر ${matchName}`;
     }
 
     /**
@@ -30,34 +265,48 @@ class TournamentSystem {
             }
 
             // Validate team count
-            if (teamsData.teams.length !== this.maxTeams) {
-                throw new Error(`Tournament must have exactly ${this.maxTeams} teams`);
+            const teamIds = teamsData.teams.map(team => team.id);
+            if (teamIds.length < this.minTeams) {
+                throw new Error(`Tournament must have at least ${this.minTeams} teams`);
             }
 
-            // Validate match count (round-robin: n*(n-1)/2 matches)
-            const expectedMatches = (this.maxTeams * (this.maxTeams - 1)) / 2;
-            if (matchesData.matches.length !== expectedMatches) {
-                throw new Error(`Tournament must have exactly ${expectedMatches} matches for round-robin format`);
+            if (new Set(teamIds).size !== teamIds.length) {
+                throw new Error('Duplicate team ID found in tournament structure');
             }
 
-            // Validate each team plays against every other team exactly once
-            const teamIds = teamsData.teams.map(team => team.id);
-            const matchPairs = new Set();
+            const structure = this.getLeagueStructure(teamIds.length);
 
-            matchesData.matches.forEach(match => {
-                const pair1 = `${match.homeTeam}-${match.awayTeam}`;
-                const pair2 = `${match.awayTeam}-${match.homeTeam}`;
-                
-                if (matchPairs.has(pair1) || matchPairs.has(pair2)) {
-                    throw new Error('Duplicate match found in tournament structure');
-                }
-                
-                matchPairs.add(pair1);
+            // Validate match count (round-robin: n*(n-1)/2 matches per leg)
+            if (matchesData.matches.length !== structure.totalMatches) {
+                throw new Error(`Tournament must have exactly ${structure.totalMatches} matches for ${structure.format} round-robin format`);
+            }
+
+            // Validate each pair of teams meets once per leg, with home and away swapped between legs
+            const matchPairs = {};
 
+            matchesData.matches.forEach(match => {
                 // Validate teams exist
                 if (!teamIds.includes(match.homeTeam) || !teamIds.includes(match.awayTeam)) {
                     throw new Error('Match contains invalid team ID');
                 }
+
+                if (match.homeTeam === match.awayTeam) {
+                    throw new Error('A team cannot play against itself');
+                }
+
+                const pairKey = [match.homeTeam, match.awayTeam].sort().join('|');
+                const fixture = `${match.homeTeam}-${match.awayTeam}`;
+                matchPairs[pairKey] = matchPairs[pairKey] || [];
+
+                if (matchPairs[pairKey].length >= structure.legs) {
+                    throw new Error('Duplicate match found in tournament structure');
+                }
+
+                if (matchPairs[pairKey].includes(fixture)) {
+                    throw new Error(`Duplicate home fixture found: ${match.homeTeam} hosts ${match.awayTeam} more than once`);
+                }
+
+                matchPairs[pairKey].push(fixture);
             });
 
             // Validate each team has correct number of matches
@@ -66,7 +315,7 @@ class TournamentSystem {
                     match.homeTeam === teamId || match.awayTeam === teamId
                 );
                 
-                if (teamMatches.length !== this.maxTeams - 1) {
+                if (teamMatches.length !== structure.matchesPerTeam) {
                     throw new Error(`Team ${teamId} has incorrect number of matches`);
                 }
             });
@@ -75,7 +324,10 @@ class TournamentSystem {
                 valid: true,
                 teams: teamsData.teams.length,
                 matches: matchesData.matches.length,
-                structure: 'round-robin'
+                structure: 'round-robin',
+                format: structure.format,
+                rounds: structure.rounds,
+                hasByes: structure.hasByes
             };
 
         } catch (error) {
@@ -87,8 +339,53 @@ class TournamentSystem {
         }
     }
 
+    /**
+     * Get points system from config settings, falling back to defaults
+     */
+    getPointsSystem() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const settings = configData?.tournament?.settings || {};
+
+        return {
+            win: settings.pointsWin ?? this.defaultPointsSystem.win,
+            draw: settings.pointsDraw ?? this.defaultPointsSystem.draw,
+            loss: settings.pointsLoss ?? this.defaultPointsSystem.loss
+        };
+    }
+
+    /**
+     * Get bonus point rules from config settings (empty when disabled)
+     */
+    getBonusRules() {
+        const configData = this.storage.load(this.storage.keys.CONFIG);
+        const bonusPoints = configData?.tournament?.settings?.bonusPoints;
+
+        if (!bonusPoints || !bonusPoints.enabled || !Array.isArray(bonusPoints.rules)) {
+            return [];
+        }
+
+        return bonusPoints.rules;
+    }
+
+    /**
+     * Calculate bonus points earned by one side of a match
+     */
+    calculateBonusPoints(goalsScored, goalsConceded, bonusRules) {
+        return bonusRules.reduce((bonus, rule) => {
+            switch (rule.type) {
+                case 'goalsScored':
+                    return goalsScored >= rule.min ? bonus + rule.points : bonus;
+                case 'winMargin':
+                    return goalsScored - goalsConceded >= rule.min ? bonus + rule.points : bonus;
+                default:
+                    return bonus;
+            }
+        }, 0);
+    }
+
     /**
      * Calculate points for a match result
+     * Returned points include any bonus points; the bonus is also reported separately
      */
     calculatePoints(matchResult) {
         try {
@@ -96,42 +393,169 @@ class TournamentSystem {
                 return {
                     homePoints: 0,
                     awayPoints: 0,
+                    homeBonus: 0,
+                    awayBonus: 0,
                     result: 'not_played'
                 };
             }
 
             const homeGoals = parseInt(matchResult.homeGoals);
             const awayGoals = parseInt(matchResult.awayGoals);
+            const pointsSystem = this.getPointsSystem();
+            // Forfeit scorelines are awarded, not played, so they never earn bonus points
+            const bonusRules = matchResult.forfeit ? [] : this.getBonusRules();
+            const homeBonus = this.calculateBonusPoints(homeGoals, awayGoals, bonusRules);
+            const awayBonus = this.calculateBonusPoints(awayGoals, homeGoals, bonusRules);
+
+            let result;
+            let homePoints;
+            let awayPoints;
 
             if (homeGoals > awayGoals) {
-                return {
-                    homePoints: this.pointsSystem.win,
-                    awayPoints: this.pointsSystem.loss,
-                    result: 'home_win'
-                };
+                result = 'home_win';
+                homePoints = pointsSystem.win;
+                awayPoints = pointsSystem.loss;
             } else if (awayGoals > homeGoals) {
-                return {
-                    homePoints: this.pointsSystem.loss,
-                    awayPoints: this.pointsSystem.win,
-                    result: 'away_win'
-                };
+                result = 'away_win';
+                homePoints = pointsSystem.loss;
+                awayPoints = pointsSystem.win;
             } else {
-                return {
-                    homePoints: this.pointsSystem.draw,
-                    awayPoints: this.pointsSystem.draw,
-                    result: 'draw'
-                };
+                result = 'draw';
+                homePoints = pointsSystem.draw;
+                awayPoints = pointsSystem.draw;
             }
+
+            return {
+                homePoints: homePoints + homeBonus,
+                awayPoints: awayPoints + awayBonus,
+                homeBonus: homeBonus,
+                awayBonus: awayBonus,
+                result: result
+            };
         } catch (error) {
             console.error('Error calculating points:', error);
             return {
                 homePoints: 0,
                 awayPoints: 0,
+                homeBonus: 0,
+                awayBonus: 0,
                 result: 'error'
             };
         }
     }
 
+    /**
+     * Get point deductions, optionally for a single team
+     */
+    getPointDeductions(teamId = null) {
+        try {
+            const adjustments = this.storage.load(this.storage.keys.ADJUSTMENTS);
+            const deductions = adjustments?.deductions || [];
+            return teamId ? deductions.filter(deduction => deduction.teamId === teamId) : deductions;
+        } catch (error) {
+            console.error('Error getting point deductions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get total deducted points per team
+     */
+    getDeductedPointsByTeam() {
+        const totals = {};
+        this.getPointDeductions().forEach(deduction => {
+            totals[deduction.teamId] = (totals[deduction.teamId] || 0) + deduction.points;
+        });
+        return totals;
+    }
+
+    /**
+     * Add a point deduction for a team (sanction)
+     */
+    addPointDeduction(teamId, points, reason) {
+        try {
+            const deductedPoints = parseInt(points);
+            if (!teamId || isNaN(deductedPoints) || deductedPoints <= 0) {
+                throw new Error('Team ID and a positive number of points are required');
+            }
+
+            if (!reason || !reason.trim()) {
+                throw new Error('A reason is required for a point deduction');
+            }
+
+            const teamsData = this.storage.load(this.storage.keys.TEAMS);
+            if (!teamsData || !teamsData.teams.find(team => team.id === teamId)) {
+                throw new Error(`Team with ID ${teamId} not found`);
+            }
+
+            const adjustments = this.storage.load(this.storage.keys.ADJUSTMENTS) || { deductions: [] };
+            if (!adjustments.deductions) {
+                adjustments.deductions = [];
+            }
+
+            const deduction = {
+                id: `deduction-${Date.now()}`,
+                teamId: teamId,
+                points: deductedPoints,
+                reason: reason.trim(),
+                createdAt: new Date().toISOString()
+            };
+
+            adjustments.deductions.push(deduction);
+
+            const saved = this.storage.save(this.storage.keys.ADJUSTMENTS, adjustments);
+            if (!saved) {
+                throw new Error('Failed to save point deduction');
+            }
+
+            return {
+                success: true,
+                deduction: deduction
+            };
+
+        } catch (error) {
+            console.error('Error adding point deduction:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Remove a point deduction
+     */
+    removePointDeduction(deductionId) {
+        try {
+            const adjustments = this.storage.load(this.storage.keys.ADJUSTMENTS);
+            const deductions = adjustments?.deductions || [];
+            const deduction = deductions.find(d => d.id === deductionId);
+
+            if (!deduction) {
+                throw new Error(`Deduction with ID ${deductionId} not found`);
+            }
+
+            adjustments.deductions = deductions.filter(d => d.id !== deductionId);
+
+            const saved = this.storage.save(this.storage.keys.ADJUSTMENTS, adjustments);
+            if (!saved) {
+                throw new Error('Failed to remove point deduction');
+            }
+
+            return {
+                success: true,
+                deduction: deduction
+            };
+
+        } catch (error) {
+            console.error('Error removing point deduction:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Determine playoff qualification based on standings
      */
@@ -141,20 +565,15 @@ class TournamentSystem {
                 throw new Error('Invalid standings data');
             }
 
-            // Sort standings by points, then goal difference, then goals scored
-            const sortedStandings = [...standings].sort((a, b) => {
-                if (b.points !== a.points) {
-                    return b.points - a.points;
-                }
-                if (b.goalDifference !== a.goalDifference) {
-                    return b.goalDifference - a.goalDifference;
-                }
-                return b.goalsFor - a.goalsFor;
-            });
+            // Standings from StandingsCalculator are already ranked; anything else follows the ranking policy
+            const sortedStandings = standings.every(team => team.position) ?
+                [...standings].sort((a, b) => a.position - b.position) :
+                this.rankingPolicy.rank(standings);
 
-            // Mark top 4 teams as qualified
-            const qualifiedTeams = sortedStandings.slice(0, this.playoffQualifiers);
-            const eliminatedTeams = sortedStandings.slice(this.playoffQualifiers);
+            // Mark the configured number of qualifiers
+            const playoffQualifiers = this.getPlayoffQualifiers();
+            const qualifiedTeams = sortedStandings.slice(0, playoffQualifiers);
+            const eliminatedTeams = sortedStandings.slice(playoffQualifiers);
 
             return {
                 qualified: qualifiedTeams.map((team, index) => ({
@@ -165,7 +584,7 @@ class TournamentSystem {
                 })),
                 eliminated: eliminatedTeams.map((team, index) => ({
                     ...team,
-                    position: this.playoffQualifiers + index + 1,
+                    position: playoffQualifiers + index + 1,
                     qualified: false,
                     playoffSeed: null
                 })),
@@ -183,75 +602,47 @@ class TournamentSystem {
     }
 
     /**
-     * Generate playoff bracket (1st vs 4th, 2nd vs 3rd)
+     * Generate the playoff pairings for the qualified teams (seeded in order)
      */
     generatePlayoffBracket(qualifiedTeams) {
         try {
-            if (!qualifiedTeams || qualifiedTeams.length < 4) {
-                throw new Error('Need at least 4 qualified teams for playoffs');
+            const rounds = this.getPlayoffRounds();
+            if (rounds.length === 0) {
+                throw new Error('Unsupported playoff format');
             }
 
-            const bracket = {
-                semifinals: [
-                    {
-                        id: 'semi-1',
-                        homeTeam: qualifiedTeams[0], // 1st place
-                        awayTeam: qualifiedTeams[3], // 4th place
-                        matchName: 'نصف النهائي الأول',
-                        winner: null
-                    },
-                    {
-                        id: 'semi-2',
-                        homeTeam: qualifiedTeams[1], // 2nd place
-                        awayTeam: qualifiedTeams[2], // 3rd place
-                        matchName: 'نصف النهائي الثاني',
+            if (!qualifiedTeams || qualifiedTeams.length < this.getPlayoffQualifiers()) {
+                throw new Error(`Need at least ${this.getPlayoffQualifiers()} qualified teams for playoffs`);
+            }
+
+            const resolve = (source) => source.seed ? qualifiedTeams[source.seed - 1] : null;
+
+            return {
+                rounds: rounds.map(round => ({
+                    key: round.key,
+                    name: round.name,
+                    legs: round.legs,
+                    matches: round.matches.map(match => ({
+                        id: match.id,
+                        matchName: match.matchName,
+                        homeTeam: resolve(match.home),
+                        awayTeam: resolve(match.away),
+                        homeSource: match.home,
+                        awaySource: match.away,
                         winner: null
-                    }
-                ],
-                final: {
-                    id: 'final',
-                    homeTeam: null, // Winner of semi-1
-                    awayTeam: null, // Winner of semi-2
-                    matchName: 'المباراة النهائية',
-                    winner: null
-                }
+                    }))
+                })),
+                byes: this.getPlayoffByes().map(seed => qualifiedTeams[seed - 1])
             };
-
-            return bracket;
         } catch (error) {
             console.error('Error generating playoff bracket:', error);
             return null;
         }
     }
 
-    /**
-     * Get current tournament phase
-     */
-    getCurrentPhase() {
-        try {
-            const matchesData = this.storage.load(this.storage.keys.MATCHES);
-            if (!matchesData) {
-                return 'not_started';
-            }
-
-            const playedMatches = matchesData.matches.filter(match => match.status === 'played');
-            const totalMatches = matchesData.matches.length;
-
-            if (playedMatches.length === 0) {
-                return 'not_started';
-            } else if (playedMatches.length < totalMatches) {
-                return 'group_stage';
-            } else {
-                return 'playoffs';
-            }
-        } catch (error) {
-            console.error('Error getting current phase:', error);
-            return 'unknown';
-        }
-    }
-
     /**
      * Get tournament statistics
+     * The tournament phase comes from PlayoffEngine.getTournamentPhase, which also follows the playoff bracket
      */
     getTournamentStats() {
         try {
@@ -279,8 +670,7 @@ class TournamentSystem {
                 postponedMatches: postponedMatches.length,
                 totalGoals: totalGoals,
                 averageGoalsPerMatch: playedMatches.length > 0 ? (totalGoals / playedMatches.length).toFixed(2) : 0,
-                completionPercentage: ((playedMatches.length / matchesData.matches.length) * 100).toFixed(1),
-                currentPhase: this.getCurrentPhase()
+                completionPercentage: ((playedMatches.length / matchesData.matches.length) * 100).toFixed(1)
             };
         } catch (error) {
             console.error('Error getting tournament stats:', error);
@@ -351,49 +741,105 @@ class TournamentSystem {
     }
 
     /**
-     * Reset tournament (for testing/admin purposes)
+     * Work out what a reset would change without touching any data
+     * 'results' clears every played result, 'matchday' clears results after the given day
+     * and 'everything' also removes the fixtures and point deductions; the playoff bracket is always discarded
+     */
+    planReset(options = {}) {
+        try {
+            const mode = options.mode;
+            if (!this.resetModes.includes(mode)) {
+                throw new Error(`Invalid reset mode. Must be one of: ${this.resetModes.join(', ')}`);
+            }
+
+            const matchesData = this.storage.load(this.storage.keys.MATCHES);
+            if (!matchesData) {
+                throw new Error('Failed to load matches data');
+            }
+
+            let day = null;
+            if (mode === 'matchday') {
+                day = parseInt(options.day);
+                if (isNaN(day) || day < 0) {
+                    throw new Error('A valid matchday is required to roll back to');
+                }
+            }
+
+            const playedMatches = matchesData.matches.filter(match => match.status === 'played');
+            const clearedMatches = mode === 'matchday' ? 
+                playedMatches.filter(match => match.day > day) : playedMatches;
+
+            if (mode === 'matchday' && clearedMatches.length === 0) {
+                throw new Error(`No results after day ${day} to roll back`);
+            }
+
+            return {
+                valid: true,
+                mode: mode,
+                day: day,
+                clearedMatches: clearedMatches.map(match => match.id),
+                removedMatches: mode === 'everything' ? matchesData.matches.map(match => match.id) : [],
+                removedDeductions: mode === 'everything' ? this.getPointDeductions().length : 0,
+                removesPlayoffs: this.storage.exists(this.storage.keys.PLAYOFFS)
+            };
+        } catch (error) {
+            return {
+                valid: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Reset tournament data according to a reset plan (see planReset)
+     * Team statistics are not touched here; callers recompute them from the remaining matches
      */
-    resetTournament() {
+    resetTournament(options = {}) {
         try {
-            // Reset all match results
+            const plan = this.planReset(options);
+            if (!plan.valid) {
+                throw new Error(plan.error);
+            }
+
             const matchesData = this.storage.load(this.storage.keys.MATCHES);
-            if (matchesData) {
-                matchesData.matches.forEach(match => {
-                    if (match.id !== 'match-02') { // Keep the pre-loaded result
+
+            if (plan.mode === 'everything') {
+                matchesData.matches = [];
+                this.storage.remove(this.storage.keys.ADJUSTMENTS);
+            } else {
+                matchesData.matches
+                    .filter(match => plan.clearedMatches.includes(match.id))
+                    .forEach(match => {
                         match.homeGoals = null;
                         match.awayGoals = null;
                         match.status = 'scheduled';
-                        match.bestPlayer = null;
-                        match.postponementReason = null;
-                        match.lastUpdated = null;
-                    }
-                });
-                this.storage.save(this.storage.keys.MATCHES, matchesData);
+                        match.bestPlayerId = null;
+                        match.events = [];
+                        match.forfeit = null;
+                        // Keep the calendar revision rising so exported events are replaced
+                        match.calendarSequence = (match.calendarSequence ?? (match.rescheduleHistory || []).length) + 1;
+                        match.lastUpdated = new Date().toISOString();
+                    });
             }
 
-            // Reset team statistics (except for teams with played matches)
-            const teamsData = this.storage.load(this.storage.keys.TEAMS);
-            if (teamsData) {
-                teamsData.teams.forEach(team => {
-                    if (team.id !== 'bait-shahra' && team.id !== 'may-22') {
-                        team.statistics = {
-                            played: 0,
-                            won: 0,
-                            drawn: 0,
-                            lost: 0,
-                            goalsFor: 0,
-                            goalsAgainst: 0,
-                            points: 0
-                        };
-                    }
-                });
-                this.storage.save(this.storage.keys.TEAMS, teamsData);
+            if (!this.storage.save(this.storage.keys.MATCHES, matchesData)) {
+                throw new Error('Failed to save matches');
             }
 
-            return true;
+            // The bracket was seeded from results that no longer exist
+            this.storage.remove(this.storage.keys.PLAYOFFS);
+            this.storage.remove(this.storage.keys.PLAYOFF_HISTORY);
+
+            return {
+                success: true,
+                ...plan
+            };
         } catch (error) {
             console.error('Error resetting tournament:', error);
-            return false;
+            return {
+                success: false,
+                error: error.message
+            };
         }
     }
 }